@@ -5,6 +5,10 @@ import { fileURLToPath } from 'url';
 import path from 'path';
 import fs from 'fs';
 import readline from 'readline';
+import { CONFIG_FILE, readConfigFile, writeConfigFile } from './lib/config-file.js';
+import { ModelDownloader, loadCatalog, resolveSource, MODELS_DIR } from './lib/model-downloader.js';
+import { setPassword, createToken, listTokens, revokeToken, setAuthEnabled, getAuthSummary } from './lib/auth.js';
+import { Logger, LOG_LEVELS, resolveLogFile, listRotatedFiles, parseLogLine } from './lib/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -38,71 +42,44 @@ const colors = {
     bgWhite: '\x1b[47m'
 };
 
-// Logger mejorado con colores y archivos
-class Logger {
-    constructor(logFile = null, verbose = false) {
-        this.logFile = logFile;
-        this.verbose = verbose;
-        
-        if (logFile) {
-            const logDir = path.dirname(logFile);
-            if (!fs.existsSync(logDir)) {
-                fs.mkdirSync(logDir, { recursive: true });
-            }
-        }
-    }
-    
-    log(level, message, data = null) {
-        const timestamp = new Date().toISOString();
-        const levelColors = {
-            INFO: colors.green,
-            DEBUG: colors.cyan,
-            WARN: colors.yellow,
-            ERROR: colors.red,
-            FATAL: colors.magenta
-        };
-        
-        const color = levelColors[level] || colors.white;
-        const logMessage = `[${timestamp}] [${level}] ${message}`;
-        
-        // Mostrar en consola
-        if (this.verbose || level !== 'DEBUG') {
-            console.log(color + logMessage + colors.reset);
-            if (data && this.verbose) {
-                console.log(colors.dim + JSON.stringify(data, null, 2) + colors.reset);
-            }
-        }
-        
-        // Escribir en archivo
-        if (this.logFile) {
-            const fileMessage = `[${timestamp}] [${level}] ${message}` + 
-                (data ? '\n' + JSON.stringify(data, null, 2) : '') + '\n';
-            fs.appendFileSync(this.logFile, fileMessage, 'utf8');
-        }
-    }
-    
-    info(message, data = null) { this.log('INFO', message, data); }
-    debug(message, data = null) { this.log('DEBUG', message, data); }
-    warn(message, data = null) { this.log('WARN', message, data); }
-    error(message, data = null) { this.log('ERROR', message, data); }
-}
-
 // Default configuration
 const DEFAULT_CONFIG = {
     port: 3000,
     llamaPort: 8080,
-    wsPort: 8081,
+    wsPort: null,
     model: './../models/Llama-3.2-1B-Instruct-Q4_K_M.gguf',
     ctxSize: 4096,
     nGpuLayers: 20,
     parallel: 4,
+    queueSize: 16,
+    queueTimeout: 120,
+    rateLimit: 30,
+    tokenRateLimit: 120,
+    maxPromptChars: 32000,
+    maxTokens: 4096,
+    maxWsClients: 16,
+    maxBody: 2,
+    contextPolicy: 'keep-pinned',
+    attachmentTokens: 2048,
+    embeddingModel: null,
+    embeddingPort: 8082,
+    ragTopK: 4,
+    workspace: null,
+    metricsPublic: false,
     host: '0.0.0.0',
     logFile: './logs/openchatmobile.log',
-    verbose: false
+    logLevel: 'info',
+    logMaxSize: 10,
+    logMaxFiles: 5,
+    logPrompts: false,
+    verbose: false,
+    chatTemplate: 'auto',
+    chatTemplates: {},
+    projectors: {},
+    modelMirror: null
 };
 
 // Global variables
-let llamaProcess = null;
 let expressProcess = null;
 let logger = null;
 
@@ -119,19 +96,58 @@ Commands:
   logs                   View server logs
   config                 Show/edit configuration
   clean-logs             Clean log files
+  models list            List installed models
+  models catalog         List recommended models
+  models pull <name|url> Download a model (resumable)
+  auth status            Show authentication settings
+  auth set-password      Set the login password (enables auth)
+  auth create-token [name] Create an API token (enables auth)
+  auth list              List API tokens
+  auth revoke <id|name>  Revoke an API token
+  auth enable|disable    Turn authentication on or off
 
 Options:
   -p, --port <num>       Backend server port (default: ${DEFAULT_CONFIG.port})
   --llama-port <num>     LLaMA server port (default: ${DEFAULT_CONFIG.llamaPort})
-  --ws-port <num>        WebSocket port (default: ${DEFAULT_CONFIG.wsPort})
+  --ws-port <num>        Also serve the WebSocket on a separate port (legacy clients)
   -m, --model <path>     Path to GGUF model (default: ${DEFAULT_CONFIG.model})
   --ctx-size <num>       Context size (default: ${DEFAULT_CONFIG.ctxSize})
   --gpu-layers <num>     GPU layers to use (default: ${DEFAULT_CONFIG.nGpuLayers})
   --parallel <num>       Parallelization (default: ${DEFAULT_CONFIG.parallel})
+  --queue-size <num>     Requests allowed to wait for a free slot (default: ${DEFAULT_CONFIG.queueSize})
+  --queue-timeout <sec>  Max time a request waits in the queue (default: ${DEFAULT_CONFIG.queueTimeout})
+  --rate-limit <num>     Chat/upload requests per minute per IP (default: ${DEFAULT_CONFIG.rateLimit})
+  --token-rate-limit <num> Requests per minute per API token or login (default: ${DEFAULT_CONFIG.tokenRateLimit})
+  --max-prompt-chars <num> Longest accepted prompt (default: ${DEFAULT_CONFIG.maxPromptChars})
+  --max-tokens <num>     Largest accepted maxTokens (default: ${DEFAULT_CONFIG.maxTokens})
+  --max-ws-clients <num> Concurrent WebSocket clients (default: ${DEFAULT_CONFIG.maxWsClients})
+  --max-body <MB>        Largest JSON body or WebSocket message (default: ${DEFAULT_CONFIG.maxBody})
+  --context-policy <p>   History trimming: drop-oldest, keep-system, keep-pinned (default: ${DEFAULT_CONFIG.contextPolicy})
+  --attachment-tokens <num> Token budget for attached files per request (default: ${DEFAULT_CONFIG.attachmentTokens})
+  --embedding-model <path> GGUF embedding model, enables search in large documents
+  --embedding-port <num> Embedding server port (default: ${DEFAULT_CONFIG.embeddingPort})
+  --rag-top-k <num>      Passages taken from each large document (default: ${DEFAULT_CONFIG.ragTopK})
+  --workspace <dir>      Directory the read_file tool may read (default: none)
+  --metrics-public       Serve /metrics to other hosts too (default: localhost only)
   --host <ip>            Host to bind (default: ${DEFAULT_CONFIG.host})
-  --log-file <path>      Log file path (default: ${DEFAULT_CONFIG.logFile})
+  --log-file <path>      Log file path, relative to backend/ (default: ${DEFAULT_CONFIG.logFile})
+  --log-level <level>    debug, info, warn or error (default: ${DEFAULT_CONFIG.logLevel})
+  --log-max-size <MB>    Rotate the log file at this size (default: ${DEFAULT_CONFIG.logMaxSize})
+  --log-max-files <num>  Rotated log files to keep (default: ${DEFAULT_CONFIG.logMaxFiles})
+  --log-prompts          Include prompts and replies in the logs (redacted by default)
+  --chat-template <name> Chat template: auto, llama3, chatml, mistral, gemma, phi3 (default: ${DEFAULT_CONFIG.chatTemplate})
+  --model-mirror <url>   Download models from a local HTTP mirror
+  --sha256 <hex>         Expected checksum for models pull
+  --allow-unverified     Let models pull download a file with no known checksum
   -v, --verbose          Verbose logging
 
+Logs options:
+  --lines <num>          Entries to show (default: 50)
+  --level <level>        Only show entries at this level or above
+  --json                 Print raw JSON lines
+  -v, --verbose          Also print the data of each entry
+  --follow               Keep printing new entries
+
   -h, --help            Show this help
   --version             Show version
   -d, --debug           Debug mode
@@ -141,7 +157,10 @@ Examples:
   ${colors.dim}open-chat-mobile start --port 4000 --model ./models/my-model.gguf
   open-chat-mobile stop
   open-chat-mobile logs --follow
+  open-chat-mobile logs --level warn --lines 100
   open-chat-mobile config set --port 4000
+  open-chat-mobile models pull llama-3.2-1b-instruct
+  open-chat-mobile auth create-token phone
   open-chat-mobile --log-file ./logs/custom.log --verbose${colors.reset}
 `;
 
@@ -157,16 +176,12 @@ function getLogFile() {
 }
 
 function getConfigFile() {
-    return path.join(__dirname, 'open-chat-mobile.config.json');
+    return CONFIG_FILE;
 }
 
 function loadConfig() {
     try {
-        const configFile = getConfigFile();
-        if (fs.existsSync(configFile)) {
-            const data = fs.readFileSync(configFile, 'utf8');
-            return { ...DEFAULT_CONFIG, ...JSON.parse(data) };
-        }
+        return { ...DEFAULT_CONFIG, ...readConfigFile() };
     } catch (error) {
         console.error(colors.red + 'Error loading configuration:' + error.message + colors.reset);
     }
@@ -175,8 +190,7 @@ function loadConfig() {
 
 function saveConfig(config) {
     try {
-        const configFile = getConfigFile();
-        fs.writeFileSync(configFile, JSON.stringify(config, null, 2));
+        writeConfigFile(config);
         console.log(colors.green + 'Configuration saved' + colors.reset);
     } catch (error) {
         console.error(colors.red + 'Error saving configuration:' + error.message + colors.reset);
@@ -227,20 +241,31 @@ async function startServer(cli, config) {
     const isForeground = cli.c.foreground || false;
     const verbose = cli.c.verbose || config.verbose;
     
-    logger = new Logger(config.logFile, verbose);
+    // The server owns rotation, the CLI only appends its startup lines
+    logger = new Logger({
+        file: config.logFile,
+        level: config.logLevel,
+        verbose,
+        source: 'cli',
+        rotate: false,
+        logPrompts: config.logPrompts
+    });
     
     logger.info('Starting OpenChatMobile...');
     logger.info(`Model: ${config.model}`);
     logger.info(`Backend: http://${config.host}:${config.port}`);
     logger.info(`LLaMA: http://${config.host}:${config.llamaPort}`);
-    logger.info(`WebSocket: ws://${config.host}:${config.wsPort}`);
+    logger.info(`WebSocket: ws://${config.host}:${config.port}/ws`);
     logger.info(`Log file: ${config.logFile}`);
     
     // Mostrar URLs importantes para el usuario
     console.log('\n' + colors.cyan + '=== OpenChatMobile Server ===' + colors.reset);
     console.log(colors.green + `✓ Frontend: http://localhost:${config.port}` + colors.reset);
     console.log(colors.green + `✓ API: http://localhost:${config.port}/api/health` + colors.reset);
-    console.log(colors.green + `✓ WebSocket: ws://localhost:${config.wsPort}` + colors.reset);
+    console.log(colors.green + `✓ WebSocket: ws://localhost:${config.port}/ws` + colors.reset);
+    if (config.wsPort) {
+        console.log(colors.green + `✓ WebSocket (legacy): ws://localhost:${config.wsPort}` + colors.reset);
+    }
     console.log(colors.green + `✓ LLaMA Server: http://localhost:${config.llamaPort}` + colors.reset);
     console.log(colors.cyan + '===============================' + colors.reset + '\n');
     
@@ -262,9 +287,31 @@ function startAsDaemon(config) {
         '--ctx-size', config.ctxSize.toString(),
         '--gpu-layers', config.nGpuLayers.toString(),
         '--parallel', config.parallel.toString(),
+        '--queue-size', config.queueSize.toString(),
+        '--queue-timeout', config.queueTimeout.toString(),
+        '--rate-limit', config.rateLimit.toString(),
+        '--token-rate-limit', config.tokenRateLimit.toString(),
+        '--max-prompt-chars', config.maxPromptChars.toString(),
+        '--max-tokens', config.maxTokens.toString(),
+        '--max-ws-clients', config.maxWsClients.toString(),
+        '--max-body', config.maxBody.toString(),
+        '--context-policy', config.contextPolicy,
+        '--attachment-tokens', config.attachmentTokens.toString(),
+        '--embedding-port', config.embeddingPort.toString(),
+        '--rag-top-k', config.ragTopK.toString(),
         '--host', config.host,
         '--log-file', config.logFile,
-        ...(config.verbose ? ['--verbose'] : [])
+        '--log-level', config.logLevel,
+        '--log-max-size', config.logMaxSize.toString(),
+        '--log-max-files', config.logMaxFiles.toString(),
+        '--chat-template', config.chatTemplate,
+        ...(config.wsPort ? ['--ws-port', config.wsPort.toString()] : []),
+        ...(config.modelMirror ? ['--model-mirror', config.modelMirror] : []),
+        ...(config.embeddingModel ? ['--embedding-model', config.embeddingModel] : []),
+        ...(config.workspace ? ['--workspace', config.workspace] : []),
+        ...(config.logPrompts ? ['--log-prompts', 'true'] : []),
+        ...(config.metricsPublic ? ['--metrics-public', 'true'] : []),
+        ...(config.verbose ? ['--verbose', 'true'] : [])
     ];
     
     const child = spawn('node', args, {
@@ -285,33 +332,9 @@ function startAsDaemon(config) {
 async function startInForeground(config) {
     logger.info('Starting in foreground mode...');
     
-    // Start LLaMA server
-    logger.info('Starting LLaMA server...');
-    llamaProcess = spawn('./../bin/llama-server', [
-        '-m', config.model,
-        '--port', config.llamaPort.toString(),
-        '--host', config.host,
-        '--ctx-size', config.ctxSize.toString(),
-        '--n-gpu-layers', config.nGpuLayers.toString(),
-        '--cont-batching',
-        '--parallel', config.parallel.toString(),
-        '--log-disable'
-    ]);
-    
-    llamaProcess.stdout.on('data', (data) => {
-        const output = data.toString();
-        logger.info(`LLaMA: ${output.trim()}`);
-    });
-    
-    llamaProcess.stderr.on('data', (data) => {
-        logger.error(`LLaMA Error: ${data}`);
-    });
-    
-    // Start Express server
+    // Start Express server (it supervises llama-server itself)
     const serverScript = path.join(__dirname, 'server.js');
     
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
     expressProcess = spawn('node', [
         serverScript,
         '--llama-port', config.llamaPort,
@@ -320,18 +343,39 @@ async function startInForeground(config) {
         '--ctx-size', config.ctxSize,
         '--gpu-layers', config.nGpuLayers,
         '--parallel', config.parallel,
+        '--queue-size', config.queueSize,
+        '--queue-timeout', config.queueTimeout,
+        '--rate-limit', config.rateLimit,
+        '--token-rate-limit', config.tokenRateLimit,
+        '--max-prompt-chars', config.maxPromptChars,
+        '--max-tokens', config.maxTokens,
+        '--max-ws-clients', config.maxWsClients,
+        '--max-body', config.maxBody,
+        '--context-policy', config.contextPolicy,
+        '--attachment-tokens', config.attachmentTokens.toString(),
+        '--embedding-port', config.embeddingPort.toString(),
+        '--rag-top-k', config.ragTopK.toString(),
         '--host', config.host,
         '--log-file', config.logFile,
-        ...(config.verbose ? ['--verbose'] : [])
+        '--log-level', config.logLevel,
+        '--log-max-size', config.logMaxSize.toString(),
+        '--log-max-files', config.logMaxFiles.toString(),
+        '--chat-template', config.chatTemplate,
+        ...(config.wsPort ? ['--ws-port', config.wsPort.toString()] : []),
+        ...(config.modelMirror ? ['--model-mirror', config.modelMirror] : []),
+        ...(config.embeddingModel ? ['--embedding-model', config.embeddingModel] : []),
+        ...(config.workspace ? ['--workspace', config.workspace] : []),
+        ...(config.logPrompts ? ['--log-prompts', 'true'] : []),
+        ...(config.metricsPublic ? ['--metrics-public', 'true'] : []),
+        ...(config.verbose ? ['--verbose', 'true'] : [])
     ], {
         stdio: 'inherit'
     });
     
     process.on('SIGINT', () => {
         logger.info('Stopping servers...');
-        if (llamaProcess) llamaProcess.kill();
         if (expressProcess) expressProcess.kill();
-        process.exit(0);
+        logger.close().then(() => process.exit(0));
     });
 }
 
@@ -363,9 +407,9 @@ function showStatus() {
         console.log(colors.cyan + '\nCurrent configuration:' + colors.reset);
         console.log(`   Backend: http://localhost:${config.port}`);
         console.log(`   LLaMA: http://localhost:${config.llamaPort}`);
-        console.log(`   WebSocket: ws://localhost:${config.wsPort}`);
+        console.log(`   WebSocket: ws://localhost:${config.port}/ws`);
         console.log(`   Model: ${config.model}`);
-        console.log(`   Context: ${config.ctxSize} tokens`);
+        console.log(`   Context: ${config.ctxSize} tokens (${config.contextPolicy})`);
         console.log(`   GPU Layers: ${config.nGpuLayers}`);
         console.log(`   Log file: ${config.logFile}`);
     } else {
@@ -380,51 +424,97 @@ function showStatus() {
 
 function showLogs(cli) {
     const config = loadConfig();
-    const logFile = cli.c['log-file'] || config.logFile || getLogFile();
+    const logFile = resolveLogFile(cli.c['log-file'] || config.logFile || getLogFile());
     
     if (!fs.existsSync(logFile)) {
         console.log(colors.yellow + 'No logs available' + colors.reset);
         return;
     }
     
+    const minLevel = cli.c.level ? String(cli.c.level).toLowerCase() : null;
+    if (minLevel && !LOG_LEVELS[minLevel]) {
+        console.log(colors.red + `Unknown log level: ${cli.c.level}` + colors.reset);
+        return;
+    }
+    
+    const options = { minLevel, json: Boolean(cli.c.json), verbose: Boolean(cli.c.verbose || cli.s.v) };
+    const count = Number(cli.c.lines) || 50;
     const shouldFollow = cli.c.follow || false;
     
-    if (shouldFollow) {
-        console.log(colors.cyan + 'Following logs (Ctrl+C to exit)...' + colors.reset);
-        
-        const stream = fs.createReadStream(logFile, { encoding: 'utf8' });
-        const rl = readline.createInterface({
-            input: stream,
-            terminal: false
-        });
-        
-        // Show last lines
-        const lines = fs.readFileSync(logFile, 'utf8').split('\n');
-        const lastLines = lines.slice(-20).filter(line => line.trim());
-        lastLines.forEach(line => {
-            colorizeLogLine(line);
-        });
+    // Last entries that pass the level filter
+    const lines = fs.readFileSync(logFile, 'utf8').split('\n').filter(line => line.trim());
+    lines.filter(line => matchesLevel(line, minLevel)).slice(-count).forEach(line => printLogLine(line, options));
+    
+    if (!shouldFollow) return;
+    
+    console.log(colors.cyan + 'Following logs (Ctrl+C to exit)...' + colors.reset);
+    
+    // Poll the path so rotation (a new file with the same name) is picked up
+    let offset = fs.statSync(logFile).size;
+    let partial = '';
+    fs.watchFile(logFile, { interval: 1000 }, (current) => {
+        if (current.size < offset) {
+            offset = 0;
+            partial = '';
+        }
+        if (current.size === offset) return;
         
-        // Watch for new logs
-        const watcher = fs.watch(logFile, (eventType) => {
-            if (eventType === 'change') {
-                const newLines = fs.readFileSync(logFile, 'utf8').split('\n');
-                const diff = newLines.slice(lines.length - 1);
-                diff.forEach(line => {
-                    if (line.trim()) colorizeLogLine(line);
-                });
-            }
-        });
+        const length = current.size - offset;
+        const buffer = Buffer.alloc(length);
+        const fd = fs.openSync(logFile, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, length, offset);
+        } finally {
+            fs.closeSync(fd);
+        }
+        offset = current.size;
         
-        process.on('SIGINT', () => {
-            watcher.close();
-            process.exit(0);
+        const chunk = partial + buffer.toString('utf8');
+        const newLines = chunk.split('\n');
+        partial = newLines.pop();
+        newLines.forEach(line => {
+            if (line.trim() && matchesLevel(line, minLevel)) printLogLine(line, options);
         });
-    } else {
-        // Show last 50 lines
-        const lines = fs.readFileSync(logFile, 'utf8').split('\n');
-        const lastLines = lines.slice(-50).filter(line => line.trim());
-        lastLines.forEach(line => colorizeLogLine(line));
+    });
+    
+    process.on('SIGINT', () => {
+        fs.unwatchFile(logFile);
+        process.exit(0);
+    });
+}
+
+function matchesLevel(line, minLevel) {
+    if (!minLevel) return true;
+    const entry = parseLogLine(line);
+    return Boolean(entry) && (LOG_LEVELS[entry.level] || 0) >= LOG_LEVELS[minLevel];
+}
+
+function printLogLine(line, { json, verbose }) {
+    const entry = parseLogLine(line);
+    if (!entry) {
+        // Text lines written by older versions
+        colorizeLogLine(line);
+        return;
+    }
+    
+    if (json) {
+        console.log(line);
+        return;
+    }
+    
+    const levelColors = {
+        debug: colors.cyan,
+        info: colors.green,
+        warn: colors.yellow,
+        error: colors.red,
+        fatal: colors.magenta
+    };
+    const source = entry.source && entry.source !== 'server' ? `(${entry.source}) ` : '';
+    console.log((levelColors[entry.level] || colors.white)
+        + `[${entry.time}] [${entry.level.toUpperCase()}] ${source}${entry.msg}` + colors.reset);
+    
+    if (verbose && entry.data !== undefined) {
+        console.log(colors.dim + JSON.stringify(entry.data, null, 2) + colors.reset);
     }
 }
 
@@ -444,14 +534,19 @@ function colorizeLogLine(line) {
 
 function cleanLogs() {
     const config = loadConfig();
-    const logFile = config.logFile || getLogFile();
+    const logFile = resolveLogFile(config.logFile || getLogFile());
+    const rotated = listRotatedFiles(logFile);
+    
+    if (!fs.existsSync(logFile) && rotated.length === 0) {
+        console.log(colors.yellow + 'No log file found' + colors.reset);
+        return;
+    }
     
     if (fs.existsSync(logFile)) {
         fs.writeFileSync(logFile, '');
-        console.log(colors.green + 'Logs cleaned successfully' + colors.reset);
-    } else {
-        console.log(colors.yellow + 'No log file found' + colors.reset);
     }
+    rotated.forEach(file => fs.unlinkSync(file));
+    console.log(colors.green + `Logs cleaned successfully${rotated.length ? ` (${rotated.length} rotated files removed)` : ''}` + colors.reset);
 }
 
 function handleConfig(cli) {
@@ -467,19 +562,228 @@ function handleConfig(cli) {
         if (cli.c['ctx-size']) newConfig.ctxSize = cli.c['ctx-size'];
         if (cli.c['gpu-layers']) newConfig.nGpuLayers = cli.c['gpu-layers'];
         if (cli.c.parallel) newConfig.parallel = cli.c.parallel;
+        if (cli.c['queue-size']) newConfig.queueSize = cli.c['queue-size'];
+        if (cli.c['queue-timeout']) newConfig.queueTimeout = cli.c['queue-timeout'];
+        if (cli.c['rate-limit']) newConfig.rateLimit = cli.c['rate-limit'];
+        if (cli.c['token-rate-limit']) newConfig.tokenRateLimit = cli.c['token-rate-limit'];
+        if (cli.c['max-prompt-chars']) newConfig.maxPromptChars = cli.c['max-prompt-chars'];
+        if (cli.c['max-tokens']) newConfig.maxTokens = cli.c['max-tokens'];
+        if (cli.c['max-ws-clients']) newConfig.maxWsClients = cli.c['max-ws-clients'];
+        if (cli.c['max-body']) newConfig.maxBody = cli.c['max-body'];
+        if (cli.c['context-policy']) newConfig.contextPolicy = cli.c['context-policy'];
+        if (cli.c['attachment-tokens']) newConfig.attachmentTokens = cli.c['attachment-tokens'];
+        if (cli.c['embedding-model']) newConfig.embeddingModel = cli.c['embedding-model'];
+        if (cli.c['embedding-port']) newConfig.embeddingPort = cli.c['embedding-port'];
+        if (cli.c['rag-top-k']) newConfig.ragTopK = cli.c['rag-top-k'];
+        if (cli.c.workspace) newConfig.workspace = path.resolve(cli.c.workspace);
+        if (cli.c['metrics-public'] !== undefined) newConfig.metricsPublic = cli.c['metrics-public'];
         if (cli.c.host) newConfig.host = cli.c.host;
         if (cli.c['log-file']) newConfig.logFile = cli.c['log-file'];
+        if (cli.c['log-level']) newConfig.logLevel = cli.c['log-level'];
+        if (cli.c['log-max-size']) newConfig.logMaxSize = cli.c['log-max-size'];
+        if (cli.c['log-max-files']) newConfig.logMaxFiles = cli.c['log-max-files'];
+        if (cli.c['log-prompts'] !== undefined) newConfig.logPrompts = cli.c['log-prompts'];
+        if (cli.c['chat-template']) newConfig.chatTemplate = cli.c['chat-template'];
+        if (cli.c['model-mirror']) newConfig.modelMirror = cli.c['model-mirror'];
         if (cli.c.verbose !== undefined) newConfig.verbose = cli.c.verbose;
         
         saveConfig(newConfig);
         console.log(colors.green + 'Restart the server to apply changes' + colors.reset);
     } else {
         console.log(colors.cyan + 'Current configuration:' + colors.reset);
-        console.log(JSON.stringify(config, null, 2));
+        const { auth, ...shown } = config;
+        console.log(JSON.stringify(shown, null, 2));
+        if (auth) {
+            console.log(colors.dim + '\nAuthentication settings: open-chat-mobile auth status' + colors.reset);
+        }
         console.log(colors.dim + `\nConfig file: ${getConfigFile()}` + colors.reset);
     }
 }
 
+function formatBytes(bytes) {
+    if (!bytes) return '0 MB';
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function handleModels(cli, config) {
+    const subcommand = cli.o?.[1]?.[0] || 'list';
+    
+    switch (subcommand) {
+        case 'list': {
+            const files = fs.existsSync(MODELS_DIR)
+                ? fs.readdirSync(MODELS_DIR).filter(file => file.endsWith('.gguf'))
+                : [];
+            if (files.length === 0) {
+                console.log(colors.yellow + 'No models installed' + colors.reset);
+                console.log(colors.dim + 'Use "open-chat-mobile models catalog" to see recommended models' + colors.reset);
+                return;
+            }
+            console.log(colors.cyan + 'Installed models:' + colors.reset);
+            files.forEach(file => {
+                const size = fs.statSync(path.join(MODELS_DIR, file)).size;
+                console.log(`   ${file} ${colors.dim}(${formatBytes(size)})${colors.reset}`);
+            });
+            break;
+        }
+        
+        case 'catalog': {
+            console.log(colors.cyan + 'Recommended models:' + colors.reset);
+            loadCatalog().forEach(entry => {
+                const installed = fs.existsSync(path.join(MODELS_DIR, entry.file));
+                const mark = installed ? colors.green + '✓' : colors.dim + '-';
+                console.log(`   ${mark} ${entry.name}${colors.reset} ${colors.dim}${entry.title} - ${entry.description}${colors.reset}`);
+            });
+            console.log(colors.dim + '\nUse "open-chat-mobile models pull <name>" to download one' + colors.reset);
+            break;
+        }
+        
+        case 'pull': {
+            const target = cli.o?.[2]?.[0];
+            if (!target) {
+                console.log(colors.red + 'Usage: open-chat-mobile models pull <name|url>' + colors.reset);
+                process.exit(1);
+            }
+            
+            const source = resolveSource(target, {
+                mirror: config.modelMirror,
+                sha256: cli.c.sha256,
+                allowUnverified: Boolean(cli.c['allow-unverified'])
+            });
+            
+            console.log(colors.cyan + `Downloading ${source.file}` + colors.reset);
+            console.log(colors.dim + `From: ${source.url}` + colors.reset);
+            
+            const downloader = new ModelDownloader();
+            downloader.on('progress', (status) => {
+                if (status.status !== 'downloading') return;
+                const percent = status.progress !== null ? `${(status.progress * 100).toFixed(1)}%` : '';
+                process.stdout.write(`\r   ${formatBytes(status.receivedBytes)} / ${formatBytes(status.totalBytes)} ${percent}   `);
+            });
+            
+            process.on('SIGINT', () => {
+                downloader.cancel(source.file);
+            });
+            
+            try {
+                const download = downloader.download(source);
+                const finalPath = await download.promise;
+                process.stdout.write('\n');
+                
+                const summary = downloader.describe(download);
+                console.log(colors.green + `✓ Saved to ${finalPath}` + colors.reset);
+                console.log(colors.dim + `sha256: ${summary.sha256}` + (summary.verified ? ' (verified)' : ' (NOT verified)') + colors.reset);
+            } catch (error) {
+                process.stdout.write('\n');
+                console.log(colors.red + `✗ ${error.message}` + colors.reset);
+                if (fs.existsSync(path.join(MODELS_DIR, `${source.file}.part`))) {
+                    console.log(colors.dim + 'Run the same command again to resume the download' + colors.reset);
+                }
+                process.exit(1);
+            }
+            break;
+        }
+        
+        default:
+            console.log(colors.red + `Unknown models command: ${subcommand}` + colors.reset);
+            console.log(usage);
+            process.exit(1);
+    }
+}
+
+function promptHidden(question) {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        let muted = false;
+        rl._writeToOutput = (text) => {
+            if (!muted) rl.output.write(text);
+        };
+        rl.question(question, (answer) => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+        muted = true;
+    });
+}
+
+async function handleAuth(cli) {
+    const subcommand = cli.o?.[1]?.[0] || 'status';
+    
+    switch (subcommand) {
+        case 'status': {
+            const summary = getAuthSummary();
+            console.log(colors.cyan + 'Authentication:' + colors.reset);
+            console.log(`   Enabled:  ${summary.enabled ? colors.green + 'yes' : colors.yellow + 'no'}${colors.reset}`);
+            console.log(`   Password: ${summary.password ? 'set' : 'not set'}`);
+            console.log(`   Tokens:   ${summary.tokens}`);
+            break;
+        }
+        
+        case 'set-password': {
+            const password = cli.c.password || await promptHidden('New password: ');
+            if (!cli.c.password) {
+                const confirmation = await promptHidden('Repeat password: ');
+                if (confirmation !== password) {
+                    console.log(colors.red + 'Passwords do not match' + colors.reset);
+                    process.exit(1);
+                }
+            }
+            await setPassword(password);
+            console.log(colors.green + '✓ Password saved, authentication enabled' + colors.reset);
+            break;
+        }
+        
+        case 'create-token': {
+            const name = cli.o?.[2]?.[0] || 'default';
+            const created = createToken(name);
+            console.log(colors.green + `✓ Token "${created.name}" created (id ${created.id})` + colors.reset);
+            console.log(`\n   ${colors.bright}${created.token}${colors.reset}\n`);
+            console.log(colors.dim + 'Copy it now, only its hash is stored.' + colors.reset);
+            console.log(colors.dim + 'Use it as "Authorization: Bearer <token>" or paste it in the login screen.' + colors.reset);
+            break;
+        }
+        
+        case 'list': {
+            const tokens = listTokens();
+            if (tokens.length === 0) {
+                console.log(colors.yellow + 'No API tokens' + colors.reset);
+                return;
+            }
+            console.log(colors.cyan + 'API tokens:' + colors.reset);
+            tokens.forEach(token => {
+                console.log(`   ${token.id}  ${token.name} ${colors.dim}(created ${token.createdAt})${colors.reset}`);
+            });
+            break;
+        }
+        
+        case 'revoke': {
+            const target = cli.o?.[2]?.[0];
+            if (!target) {
+                console.log(colors.red + 'Usage: open-chat-mobile auth revoke <id|name>' + colors.reset);
+                process.exit(1);
+            }
+            const revoked = revokeToken(target);
+            if (revoked === 0) {
+                console.log(colors.yellow + `No token matches "${target}"` + colors.reset);
+                process.exit(1);
+            }
+            console.log(colors.green + `✓ Revoked ${revoked} token(s)` + colors.reset);
+            break;
+        }
+        
+        case 'enable':
+        case 'disable':
+            setAuthEnabled(subcommand === 'enable');
+            console.log(colors.green + `✓ Authentication ${subcommand}d` + colors.reset);
+            break;
+        
+        default:
+            console.log(colors.red + `Unknown auth command: ${subcommand}` + colors.reset);
+            console.log(usage);
+            process.exit(1);
+    }
+}
+
 // Main function
 (async () => {
     try {
@@ -516,8 +820,30 @@ function handleConfig(cli) {
             ctxSize: cli.c['ctx-size'] || baseConfig.ctxSize,
             nGpuLayers: cli.c['gpu-layers'] || baseConfig.nGpuLayers,
             parallel: cli.c.parallel || baseConfig.parallel,
+            queueSize: cli.c['queue-size'] || baseConfig.queueSize,
+            queueTimeout: cli.c['queue-timeout'] || baseConfig.queueTimeout,
+            rateLimit: cli.c['rate-limit'] || baseConfig.rateLimit,
+            tokenRateLimit: cli.c['token-rate-limit'] || baseConfig.tokenRateLimit,
+            maxPromptChars: cli.c['max-prompt-chars'] || baseConfig.maxPromptChars,
+            maxTokens: cli.c['max-tokens'] || baseConfig.maxTokens,
+            maxWsClients: cli.c['max-ws-clients'] || baseConfig.maxWsClients,
+            maxBody: cli.c['max-body'] || baseConfig.maxBody,
+            contextPolicy: cli.c['context-policy'] || baseConfig.contextPolicy,
+            attachmentTokens: cli.c['attachment-tokens'] || baseConfig.attachmentTokens,
+            embeddingModel: cli.c['embedding-model'] || baseConfig.embeddingModel,
+            embeddingPort: cli.c['embedding-port'] || baseConfig.embeddingPort,
+            ragTopK: cli.c['rag-top-k'] || baseConfig.ragTopK,
+            // The server runs in backend/, resolve against the caller's directory
+            workspace: cli.c.workspace ? path.resolve(cli.c.workspace) : baseConfig.workspace,
+            metricsPublic: cli.c['metrics-public'] || baseConfig.metricsPublic,
             host: cli.c.host || baseConfig.host,
             logFile: cli.c['log-file'] || baseConfig.logFile,
+            logLevel: cli.c['log-level'] || baseConfig.logLevel,
+            logMaxSize: cli.c['log-max-size'] || baseConfig.logMaxSize,
+            logMaxFiles: cli.c['log-max-files'] || baseConfig.logMaxFiles,
+            logPrompts: cli.c['log-prompts'] || baseConfig.logPrompts,
+            chatTemplate: cli.c['chat-template'] || baseConfig.chatTemplate,
+            modelMirror: cli.c['model-mirror'] || baseConfig.modelMirror,
             verbose: cli.c.verbose || baseConfig.verbose
         };
         
@@ -553,6 +879,14 @@ function handleConfig(cli) {
                 handleConfig(cli);
                 break;
                 
+            case 'models':
+                await handleModels(cli, config);
+                break;
+                
+            case 'auth':
+                await handleAuth(cli);
+                break;
+                
             default:
                 console.log(colors.red + `Unknown command: ${command}` + colors.reset);
                 console.log(usage);
@@ -0,0 +1,258 @@
+import { DocumentError } from './document-extract.js';
+
+// Expands document attachments into the message text
+//
+// Messages reference uploaded documents by id ({ attachments: [id] }). Before
+// the chat template is applied, each attachment becomes a <file> block in
+// front of the message. All attachments of a request share one token budget,
+// spent from the newest message backwards so the file just attached wins over
+// the ones from earlier turns. When a document doesn't fit and a retriever
+// is configured, the passages closest to the last user message take its
+// place, numbered so the model can cite them. Otherwise the document is cut
+// and the model is told how much of it it is seeing.
+//
+// Images don't take part in the budget: they go to llama-server as base64
+// image_data and the message gets an [img-N] marker where the projector
+// inserts them. Without a projector loaded they are refused.
+
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+// Below this a partial section isn't worth including
+const MIN_PARTIAL_TOKENS = 32;
+// How long a request waits for a document that is still being indexed
+const INDEX_WAIT = 30000;
+const PASSAGE_PREVIEW_CHARS = 300;
+// First image_data id, the ids only have to be unique within a request
+const IMAGE_ID_BASE = 10;
+
+function sectionLabel(section, document) {
+    if (section.page) return `[Page ${section.page}]`;
+    // Markdown and HTML sections already start with their heading
+    if ((document.type === 'csv' || document.type === 'json') && section.title) return `[${section.title}]`;
+    return null;
+}
+
+function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+export class AttachmentExpander {
+    constructor({ documents, contextWindow, budgetTokens = 2048, retriever = null, topK = 4, vision = () => false, logger = null }) {
+        this.documents = documents;
+        this.contextWindow = contextWindow;
+        this.budgetTokens = Number(budgetTokens);
+        this.retriever = retriever;
+        this.topK = Number(topK);
+        // Whether the loaded model has a projector and takes images
+        this.vision = vision;
+        this.logger = logger;
+    }
+    
+    // llama-server token counts, a chars/4 estimate when it can't be reached
+    async count(text) {
+        try {
+            return await this.contextWindow.countMessage(text);
+        } catch (error) {
+            return Math.ceil(text.length / 4);
+        }
+    }
+    
+    // Attachments never take more than half of the slot context
+    async budget() {
+        const contextSize = await this.contextWindow.getContextSize();
+        return Math.max(0, Math.min(this.budgetTokens, Math.floor(contextSize / 2)));
+    }
+    
+    // Resolves { messages, report, images }. The report lists, per
+    // attachment, how many tokens and sections made it into the prompt.
+    async expand(messages) {
+        if (!messages.some(message => message.attachments?.length)) {
+            return { messages, report: [], images: [] };
+        }
+        
+        let remaining = await this.budget();
+        const report = [];
+        const expanded = [...messages];
+        // Retrieval matches against the question being asked now
+        const lastUser = [...messages].reverse().find(message => message.role === 'user');
+        const search = { query: lastUser?.content.trim() || '', vector: null, ref: 0 };
+        const images = [];
+        
+        for (let index = messages.length - 1; index >= 0; index--) {
+            const { attachments, ...message } = messages[index];
+            if (!attachments?.length) continue;
+            
+            const blocks = [];
+            for (const id of attachments.slice(0, MAX_ATTACHMENTS_PER_MESSAGE)) {
+                const document = await this.documents.get(id);
+                if (!document) {
+                    blocks.push(`[An attached file (${id}) is no longer available]`);
+                    report.push({ id, messageId: message.id ?? null, missing: true });
+                    continue;
+                }
+                
+                if (document.type === 'image') {
+                    blocks.push(await this.attachImage(document, images));
+                    report.push({ id, messageId: message.id ?? null, filename: document.filename, image: true });
+                    continue;
+                }
+                
+                let rendered = await this.renderDocument(document, remaining);
+                if (rendered.sections < document.sections.length) {
+                    rendered = await this.retrieve(document, remaining, search) || rendered;
+                }
+                remaining = Math.max(0, remaining - rendered.tokens);
+                blocks.push(rendered.text);
+                report.push({
+                    id,
+                    messageId: message.id ?? null,
+                    filename: document.filename,
+                    tokens: rendered.tokens,
+                    sections: rendered.sections,
+                    totalSections: document.sections.length,
+                    truncated: rendered.truncated,
+                    ...(rendered.passages ? { retrieved: true, chunks: rendered.chunks, passages: rendered.passages } : {})
+                });
+            }
+            
+            expanded[index] = { ...message, content: [...blocks, message.content].filter(Boolean).join('\n\n') };
+        }
+        
+        this.logger?.debug('Attachments expanded', { report, images: images.length });
+        return { messages: expanded, report, images };
+    }
+    
+    // Adds the image to `images` and returns its marker
+    async attachImage(document, images) {
+        if (!this.vision()) {
+            throw new DocumentError(
+                'VISION_NOT_SUPPORTED',
+                `The loaded model can't read images (${document.filename}). Switch to a vision model with a matching mmproj projector.`,
+                422,
+                { documentId: document.id }
+            );
+        }
+        
+        const buffer = await this.documents.readOriginal(document);
+        const id = IMAGE_ID_BASE + images.length;
+        images.push({ id, data: buffer.toString('base64') });
+        return `[img-${id}]`;
+    }
+    
+    async renderDocument(document, budget) {
+        const open = `<file name="${escapeAttribute(document.filename)}">`;
+        const close = '</file>';
+        const parts = [];
+        let used = await this.count(`${open}\n${close}`);
+        let sections = 0;
+        let truncated = document.truncated === true;
+        
+        for (const section of document.sections) {
+            const label = sectionLabel(section, document);
+            const text = label ? `${label}\n${section.text}` : section.text;
+            const tokens = await this.count(text);
+            
+            if (used + tokens <= budget) {
+                parts.push(text);
+                used += tokens;
+                sections++;
+                continue;
+            }
+            
+            // Cut the section that crosses the budget, assuming an even
+            // spread of tokens over its characters
+            const room = budget - used;
+            if (room >= MIN_PARTIAL_TOKENS) {
+                parts.push(`${text.slice(0, Math.floor(text.length * room / tokens))}…`);
+                used += room;
+            }
+            truncated = true;
+            break;
+        }
+        
+        if (parts.length === 0) {
+            const text = `[${document.filename} was attached but there is no room left for it in the context]`;
+            return { text, tokens: await this.count(text), sections: 0, truncated: true };
+        }
+        
+        if (truncated) {
+            parts.push(`[Only part of ${document.filename} fits in the context: ${sections} of ${document.sections.length} sections complete]`);
+        }
+        
+        return { text: [open, ...parts, close].join('\n'), tokens: used, sections, truncated };
+    }
+    
+    // Index of the document, null if it isn't ready within INDEX_WAIT. The
+    // build keeps going in the background for the next request.
+    async waitForIndex(document) {
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), INDEX_WAIT);
+        });
+        try {
+            return await Promise.race([this.retriever.ensure(document), timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    
+    // The best matching passages of a document that doesn't fit, null to
+    // fall back to cutting it
+    async retrieve(document, budget, search) {
+        if (!this.retriever?.isReady() || !search.query) return null;
+        
+        let hits;
+        let index;
+        try {
+            index = await this.waitForIndex(document);
+            if (!index) {
+                this.logger?.info(`Document ${document.id} is still being indexed, sending its first sections`);
+                return null;
+            }
+            search.vector ??= await this.retriever.embedQuery(search.query);
+            hits = this.retriever.search(index, search.vector, this.topK);
+        } catch (error) {
+            this.logger?.warn(`Retrieval failed for document ${document.id}:`, error.message);
+            return null;
+        }
+        
+        const open = `<file name="${escapeAttribute(document.filename)}">`;
+        const intro = `[Passages of ${document.filename} related to the question. Cite them by number, e.g. [1]]`;
+        const close = '</file>';
+        const parts = [];
+        const passages = [];
+        let used = await this.count(`${open}\n${intro}\n${close}`);
+        
+        // Highest score first; a passage that doesn't fit may leave room for a shorter one
+        for (const hit of hits) {
+            const ref = search.ref + passages.length + 1;
+            const label = hit.page ? `Page ${hit.page}` : hit.title;
+            const text = `[${ref}]${label ? ` ${label}` : ''}\n${hit.text}`;
+            const tokens = await this.count(text);
+            if (used + tokens > budget) continue;
+            
+            parts.push(text);
+            used += tokens;
+            passages.push({
+                ref,
+                chunk: hit.index,
+                section: hit.section,
+                page: hit.page,
+                title: hit.title,
+                score: Math.round(hit.score * 1000) / 1000,
+                preview: hit.text.slice(0, PASSAGE_PREVIEW_CHARS)
+            });
+        }
+        
+        if (passages.length === 0) return null;
+        search.ref += passages.length;
+        
+        return {
+            text: [open, intro, ...parts, close].join('\n'),
+            tokens: used,
+            sections: 0,
+            truncated: false,
+            chunks: index.chunks.length,
+            passages
+        };
+    }
+}
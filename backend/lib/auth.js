@@ -0,0 +1,262 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { promisify } from 'util';
+import { CONFIG_FILE, readConfigFile, writeConfigFile } from './config-file.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_KEYLEN = 64;
+const TOKEN_PREFIX = 'ocm_';
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_LOCKOUT = 15 * 60 * 1000;
+
+// Only hashes are written to the config file:
+//   auth: {
+//     enabled: true,
+//     passwordHash: 'scrypt$<salt>$<hash>',
+//     tokens: [{ id, name, hash, createdAt }]
+//   }
+// Passwords use scrypt; API tokens are random 192-bit values so a sha256 is enough
+// and keeps per-request verification cheap.
+
+export function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, SCRYPT_KEYLEN);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+export async function verifyPassword(password, stored) {
+    const [scheme, salt, expected] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+    
+    const hash = await scrypt(password, salt, SCRYPT_KEYLEN);
+    return safeEqual(hash.toString('hex'), expected);
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function generateSecret() {
+    return TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+// CLI helpers, they edit the auth section of the config file
+function readAuthConfig() {
+    const config = readConfigFile();
+    return { config, auth: { enabled: false, passwordHash: null, tokens: [], ...config.auth } };
+}
+
+function writeAuthConfig(config, auth) {
+    writeConfigFile({ ...config, auth });
+}
+
+export async function setPassword(password) {
+    if (typeof password !== 'string' || password.length < 8) {
+        throw new Error('Password must be at least 8 characters');
+    }
+    
+    const { config, auth } = readAuthConfig();
+    auth.passwordHash = await hashPassword(password);
+    auth.enabled = true;
+    writeAuthConfig(config, auth);
+}
+
+export function createToken(name = 'default') {
+    const { config, auth } = readAuthConfig();
+    const token = generateSecret();
+    const entry = {
+        id: crypto.randomBytes(4).toString('hex'),
+        name,
+        hash: sha256(token),
+        createdAt: new Date().toISOString()
+    };
+    
+    auth.tokens = [...auth.tokens, entry];
+    auth.enabled = true;
+    writeAuthConfig(config, auth);
+    
+    return { ...entry, token };
+}
+
+export function listTokens() {
+    const { auth } = readAuthConfig();
+    return auth.tokens.map(({ hash, ...entry }) => entry);
+}
+
+export function revokeToken(idOrName) {
+    const { config, auth } = readAuthConfig();
+    const remaining = auth.tokens.filter(entry => entry.id !== idOrName && entry.name !== idOrName);
+    const revoked = auth.tokens.length - remaining.length;
+    
+    if (revoked > 0) {
+        auth.tokens = remaining;
+        writeAuthConfig(config, auth);
+    }
+    return revoked;
+}
+
+export function setAuthEnabled(enabled) {
+    const { config, auth } = readAuthConfig();
+    if (enabled && !auth.passwordHash && auth.tokens.length === 0) {
+        throw new Error('Set a password or create a token before enabling auth');
+    }
+    
+    auth.enabled = enabled;
+    writeAuthConfig(config, auth);
+}
+
+export function getAuthSummary() {
+    const { auth } = readAuthConfig();
+    return {
+        enabled: Boolean(auth.enabled),
+        password: Boolean(auth.passwordHash),
+        tokens: auth.tokens.length
+    };
+}
+
+// Server side verification. The config file is re-read when it changes so
+// tokens revoked from the CLI stop working without a restart.
+export class AuthManager {
+    constructor({ logger } = {}) {
+        this.logger = logger;
+        this.auth = { enabled: false, passwordHash: null, tokens: [] };
+        this.configMtime = null;
+        this.sessions = new Map();
+        this.loginFailures = new Map();
+        this.reload();
+    }
+    
+    reload() {
+        let mtime = null;
+        try {
+            mtime = fs.statSync(CONFIG_FILE).mtimeMs;
+        } catch (error) {
+            // No config file, auth stays disabled
+        }
+        
+        if (mtime === this.configMtime) return;
+        this.configMtime = mtime;
+        
+        try {
+            const auth = readConfigFile().auth || {};
+            this.auth = {
+                enabled: Boolean(auth.enabled),
+                passwordHash: auth.passwordHash || null,
+                tokens: Array.isArray(auth.tokens) ? auth.tokens : []
+            };
+        } catch (error) {
+            this.logger?.error('Could not read auth config:', error.message);
+        }
+    }
+    
+    isEnabled() {
+        this.reload();
+        return this.auth.enabled;
+    }
+    
+    // Returns who the token belongs to, or null
+    verifyToken(token) {
+        if (!token) return null;
+        this.reload();
+        
+        const hash = sha256(token);
+        
+        const session = this.sessions.get(hash);
+        if (session) {
+            if (session.expiresAt > Date.now()) {
+                return { type: 'session', id: session.id };
+            }
+            this.sessions.delete(hash);
+        }
+        
+        const entry = this.auth.tokens.find(candidate => safeEqual(candidate.hash, hash));
+        return entry ? { type: 'token', id: entry.id, name: entry.name } : null;
+    }
+    
+    // Accepts the password (returns a new session token) or an API token
+    async login(secret, ip) {
+        const failures = this.loginFailures.get(ip);
+        if (failures && failures.count >= MAX_LOGIN_FAILURES && Date.now() - failures.since < LOGIN_LOCKOUT) {
+            const error = new Error('Too many failed login attempts, try again later');
+            error.code = 'AUTH_LOCKED';
+            throw error;
+        }
+        
+        this.reload();
+        
+        if (typeof secret === 'string' && secret) {
+            if (this.auth.passwordHash && await verifyPassword(secret, this.auth.passwordHash)) {
+                this.loginFailures.delete(ip);
+                return this.createSession();
+            }
+            
+            const identity = this.verifyToken(secret);
+            if (identity?.type === 'token') {
+                this.loginFailures.delete(ip);
+                return { token: secret, expiresAt: null };
+            }
+        }
+        
+        const recent = failures && Date.now() - failures.since < LOGIN_LOCKOUT;
+        this.loginFailures.set(ip, recent
+            ? { ...failures, count: failures.count + 1 }
+            : { count: 1, since: Date.now() });
+        this.logger?.warn(`Failed login attempt from ${ip}`);
+        
+        const error = new Error('Invalid password or token');
+        error.code = 'AUTH_INVALID';
+        throw error;
+    }
+    
+    createSession() {
+        const token = generateSecret();
+        const session = {
+            id: crypto.randomBytes(4).toString('hex'),
+            expiresAt: Date.now() + SESSION_TTL
+        };
+        this.sessions.set(sha256(token), session);
+        return { token, expiresAt: new Date(session.expiresAt).toISOString() };
+    }
+    
+    logout(token) {
+        if (token) this.sessions.delete(sha256(token));
+    }
+    
+    // Bearer header for REST, ?token= for WebSocket upgrades (browsers can't set headers there)
+    static extractToken(req) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) {
+            return header.slice(7).trim();
+        }
+        
+        const url = new URL(req.url, 'http://localhost');
+        return url.searchParams.get('token');
+    }
+    
+    authenticate(req) {
+        if (!this.isEnabled()) return { type: 'anonymous' };
+        return this.verifyToken(AuthManager.extractToken(req));
+    }
+    
+    middleware({ publicPaths = [], onUnauthorized }) {
+        return (req, res, next) => {
+            if (publicPaths.includes(req.baseUrl + req.path)) return next();
+            
+            const identity = this.authenticate(req);
+            if (!identity) {
+                return onUnauthorized(req, res);
+            }
+            
+            req.auth = identity;
+            next();
+        };
+    }
+}
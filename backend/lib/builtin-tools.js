@@ -0,0 +1,172 @@
+import fs from 'fs';
+import path from 'path';
+import { evaluate, CalculatorError } from './calculator.js';
+import { ToolError } from './tools.js';
+
+// Tools that ship with the server
+//
+// read_file only sees the --workspace directory: paths are resolved with
+// symlinks followed and anything outside is refused. search_history runs
+// in the browser, the chats only exist in its localStorage.
+
+const MAX_FILE_BYTES = 1024 * 1024;
+const MAX_DIRECTORY_ENTRIES = 200;
+
+export const calculatorTool = {
+    name: 'calculator',
+    description: 'Evaluates an arithmetic expression. Supports + - * / % ^, parentheses, pi, e and the functions sqrt, cbrt, abs, exp, ln, log, log2, sin, cos, tan, asin, acos, atan, round, floor, ceil, min, max and pow.',
+    parameters: {
+        type: 'object',
+        properties: {
+            expression: { type: 'string', description: 'Expression to evaluate, e.g. "(3 + 4) * 2 ^ 10"', minLength: 1, maxLength: 500 }
+        },
+        required: ['expression'],
+        additionalProperties: false
+    },
+    async execute({ expression }) {
+        try {
+            return { expression, result: evaluate(expression) };
+        } catch (error) {
+            if (error instanceof CalculatorError) {
+                throw new ToolError('INVALID_EXPRESSION', error.message, 400, { expression });
+            }
+            throw error;
+        }
+    }
+};
+
+export const datetimeTool = {
+    name: 'datetime',
+    description: 'Returns the current date and time, in the server time zone or in a given IANA time zone.',
+    parameters: {
+        type: 'object',
+        properties: {
+            timezone: { type: 'string', description: 'IANA time zone such as "Europe/Madrid" or "America/New_York"', maxLength: 64 }
+        },
+        additionalProperties: false
+    },
+    async execute({ timezone }) {
+        const now = new Date();
+        let format;
+        try {
+            format = new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                dateStyle: 'full',
+                timeStyle: 'long'
+            });
+        } catch (error) {
+            throw new ToolError('INVALID_ARGUMENTS', `Unknown time zone "${timezone}"`, 400, { timezone });
+        }
+
+        return {
+            datetime: format.format(now),
+            timezone: format.resolvedOptions().timeZone,
+            iso: now.toISOString(),
+            unix: Math.floor(now.getTime() / 1000)
+        };
+    }
+};
+
+// Whether `target` is `root` or inside it
+function isInside(root, target) {
+    const relative = path.relative(root, target);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+export function createReadFileTool(workspace) {
+    const root = workspace ? path.resolve(workspace) : null;
+
+    async function resolve(requested) {
+        const target = path.resolve(root, requested.replace(/^[/\\]+/, ''));
+        if (!isInside(root, target)) {
+            throw new ToolError('PATH_OUTSIDE_WORKSPACE', `${requested} is outside the workspace`, 403, { path: requested });
+        }
+
+        // Symlinks may still point outside
+        let real;
+        try {
+            real = await fs.promises.realpath(target);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new ToolError('FILE_NOT_FOUND', `${requested} does not exist`, 404, { path: requested });
+            }
+            throw error;
+        }
+        if (!isInside(await fs.promises.realpath(root), real)) {
+            throw new ToolError('PATH_OUTSIDE_WORKSPACE', `${requested} is outside the workspace`, 403, { path: requested });
+        }
+        return real;
+    }
+
+    return {
+        name: 'read_file',
+        description: 'Reads a text file from the workspace directory, or lists a directory. Paths are relative to the workspace; use "." for its root.',
+        parameters: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'File or directory path relative to the workspace', minLength: 1, maxLength: 1024 }
+            },
+            required: ['path'],
+            additionalProperties: false
+        },
+        defaultEnabled: false,
+        maxResultChars: 12000,
+        unavailable: root ? null : 'Start the server with --workspace <dir> to enable it',
+        async execute({ path: requested }) {
+            const target = await resolve(requested);
+            const stats = await fs.promises.stat(target);
+            const relative = path.relative(await fs.promises.realpath(root), target) || '.';
+
+            if (stats.isDirectory()) {
+                const entries = await fs.promises.readdir(target, { withFileTypes: true });
+                return {
+                    path: relative,
+                    type: 'directory',
+                    entries: entries
+                        .filter(entry => !entry.name.startsWith('.'))
+                        .slice(0, MAX_DIRECTORY_ENTRIES)
+                        .map(entry => entry.isDirectory() ? `${entry.name}/` : entry.name),
+                    total: entries.length
+                };
+            }
+
+            if (!stats.isFile()) {
+                throw new ToolError('FILE_NOT_READABLE', `${requested} is not a regular file`, 400, { path: requested });
+            }
+            if (stats.size > MAX_FILE_BYTES) {
+                throw new ToolError('FILE_TOO_LARGE', `${requested} is ${Math.round(stats.size / 1024)} KB, the limit is ${MAX_FILE_BYTES / 1024} KB`, 413, { path: requested });
+            }
+
+            const buffer = await fs.promises.readFile(target);
+            if (buffer.subarray(0, 8000).includes(0)) {
+                throw new ToolError('FILE_NOT_READABLE', `${requested} is a binary file`, 400, { path: requested });
+            }
+            return buffer.toString('utf8');
+        }
+    };
+}
+
+// Executed by the browser that sent the chat, see handleToolRequest in app.js
+export const searchHistoryTool = {
+    name: 'search_history',
+    description: 'Searches the messages of the user\'s earlier chats. Returns matching excerpts with the chat title and date.',
+    parameters: {
+        type: 'object',
+        properties: {
+            query: { type: 'string', description: 'Words to look for', minLength: 1, maxLength: 200 },
+            limit: { type: 'integer', description: 'Maximum number of results', minimum: 1, maximum: 10, default: 5 }
+        },
+        required: ['query'],
+        additionalProperties: false
+    },
+    client: true,
+    defaultEnabled: false,
+    timeoutMs: 15000,
+    async execute(args, { requestClient }) {
+        return requestClient(args);
+    }
+};
+
+export function builtinTools({ workspace = null } = {}) {
+    return [calculatorTool, datetimeTool, createReadFileTool(workspace), searchHistoryTool];
+}
@@ -0,0 +1,157 @@
+// Arithmetic expression evaluator for the calculator tool
+//
+// A small recursive-descent parser, so model-written input never reaches
+// eval(). Supports + - * / % ^ (right associative), parentheses, unary
+// minus, the constants pi and e and a fixed set of Math functions.
+
+const MAX_EXPRESSION_LENGTH = 500;
+const MAX_DEPTH = 50;
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const FUNCTIONS = {
+    sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, exp: Math.exp,
+    ln: Math.log, log: Math.log10, log2: Math.log2,
+    sin: Math.sin, cos: Math.cos, tan: Math.tan,
+    asin: Math.asin, acos: Math.acos, atan: Math.atan,
+    round: Math.round, floor: Math.floor, ceil: Math.ceil,
+    min: Math.min, max: Math.max, pow: Math.pow
+};
+
+export class CalculatorError extends Error {}
+
+function tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/giy;
+    let match;
+    while (pattern.lastIndex < expression.length) {
+        const start = pattern.lastIndex;
+        match = pattern.exec(expression);
+        if (!match) {
+            if (expression.slice(start).trim() === '') break;
+            throw new CalculatorError(`Unexpected character at position ${start + 1}: "${expression.slice(start).trim()[0]}"`);
+        }
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+        else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2].toLowerCase() });
+        else tokens.push({ type: 'op', value: match[3] === '**' ? '^' : match[3] });
+    }
+    return tokens;
+}
+
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.position = 0;
+        this.depth = 0;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    take(value) {
+        const token = this.peek();
+        if (token?.type === 'op' && token.value === value) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    expect(value) {
+        if (!this.take(value)) {
+            throw new CalculatorError(`Expected "${value}"`);
+        }
+    }
+
+    // sum := product (('+' | '-') product)*
+    sum() {
+        let value = this.product();
+        for (;;) {
+            if (this.take('+')) value += this.product();
+            else if (this.take('-')) value -= this.product();
+            else return value;
+        }
+    }
+
+    // product := unary (('*' | '/' | '%') unary)*
+    product() {
+        let value = this.unary();
+        for (;;) {
+            if (this.take('*')) value *= this.unary();
+            else if (this.take('/')) value /= this.unary();
+            else if (this.take('%')) value %= this.unary();
+            else return value;
+        }
+    }
+
+    // unary := ('-' | '+') unary | power
+    unary() {
+        if (this.take('-')) return -this.unary();
+        if (this.take('+')) return this.unary();
+        return this.power();
+    }
+
+    // power := atom ('^' unary)?
+    power() {
+        const base = this.atom();
+        return this.take('^') ? Math.pow(base, this.unary()) : base;
+    }
+
+    atom() {
+        if (++this.depth > MAX_DEPTH) {
+            throw new CalculatorError('Expression is nested too deeply');
+        }
+        try {
+            const token = this.peek();
+            if (!token) throw new CalculatorError('Unexpected end of expression');
+
+            if (token.type === 'number') {
+                this.position++;
+                return token.value;
+            }
+
+            if (this.take('(')) {
+                const value = this.sum();
+                this.expect(')');
+                return value;
+            }
+
+            if (token.type === 'name') {
+                this.position++;
+                if (FUNCTIONS[token.value]) {
+                    this.expect('(');
+                    const args = [this.sum()];
+                    while (this.take(',')) args.push(this.sum());
+                    this.expect(')');
+                    return FUNCTIONS[token.value](...args);
+                }
+                if (token.value in CONSTANTS) return CONSTANTS[token.value];
+                throw new CalculatorError(`Unknown name "${token.value}"`);
+            }
+
+            throw new CalculatorError(`Unexpected "${token.value}"`);
+        } finally {
+            this.depth--;
+        }
+    }
+}
+
+export function evaluate(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new CalculatorError('Empty expression');
+    }
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+        throw new CalculatorError(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+
+    const parser = new Parser(tokenize(expression));
+    const value = parser.sum();
+    if (parser.position < parser.tokens.length) {
+        throw new CalculatorError(`Unexpected "${parser.peek().value}"`);
+    }
+    if (!Number.isFinite(value)) {
+        throw new CalculatorError(Number.isNaN(value) ? 'Result is not a number' : 'Result is infinite');
+    }
+    return value;
+}
@@ -0,0 +1,128 @@
+// Chat templates for instruct models
+//
+// By default the prompt is rendered by llama-server with the template embedded
+// in the GGUF (/apply-template). The built-in templates below are used when a
+// model has an override configured or the running llama-server cannot apply
+// the embedded template itself.
+
+const ROLES = ['system', 'user', 'assistant'];
+
+export const CHAT_TEMPLATES = {
+    llama3: {
+        stop: ['<|eot_id|>', '<|end_of_text|>'],
+        render(messages) {
+            let prompt = '<|begin_of_text|>';
+            messages.forEach(msg => {
+                prompt += `<|start_header_id|>${msg.role}<|end_header_id|>\n\n${msg.content}<|eot_id|>`;
+            });
+            return prompt + '<|start_header_id|>assistant<|end_header_id|>\n\n';
+        }
+    },
+    chatml: {
+        stop: ['<|im_end|>', '<|im_start|>'],
+        render(messages) {
+            let prompt = '';
+            messages.forEach(msg => {
+                prompt += `<|im_start|>${msg.role}\n${msg.content}<|im_end|>\n`;
+            });
+            return prompt + '<|im_start|>assistant\n';
+        }
+    },
+    mistral: {
+        stop: ['</s>', '[INST]'],
+        render(messages) {
+            // Mistral has no system role, it is prepended to the first user turn
+            const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+            let prompt = '<s>';
+            let pendingSystem = system;
+            messages.filter(m => m.role !== 'system').forEach(msg => {
+                if (msg.role === 'user') {
+                    const content = pendingSystem ? `${pendingSystem}\n\n${msg.content}` : msg.content;
+                    pendingSystem = '';
+                    prompt += `[INST] ${content} [/INST]`;
+                } else {
+                    prompt += ` ${msg.content}</s>`;
+                }
+            });
+            return prompt;
+        }
+    },
+    gemma: {
+        stop: ['<end_of_turn>', '<start_of_turn>'],
+        render(messages) {
+            const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+            let prompt = '<bos>';
+            let pendingSystem = system;
+            messages.filter(m => m.role !== 'system').forEach(msg => {
+                const role = msg.role === 'assistant' ? 'model' : 'user';
+                const content = role === 'user' && pendingSystem ? `${pendingSystem}\n\n${msg.content}` : msg.content;
+                if (role === 'user') pendingSystem = '';
+                prompt += `<start_of_turn>${role}\n${content}<end_of_turn>\n`;
+            });
+            return prompt + '<start_of_turn>model\n';
+        }
+    },
+    phi3: {
+        stop: ['<|end|>', '<|user|>', '<|endoftext|>'],
+        render(messages) {
+            let prompt = '';
+            messages.forEach(msg => {
+                prompt += `<|${msg.role}|>\n${msg.content}<|end|>\n`;
+            });
+            return prompt + '<|assistant|>\n';
+        }
+    }
+};
+
+// Validate and normalize a chat history coming from a client.
+// The frontend stores assistant turns with the 'bot' role. Message ids and
+// the `pinned` flag are kept for context trimming.
+export function normalizeMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        throw new Error('messages must be a non-empty array');
+    }
+    
+    return messages.map((msg, index) => {
+        const role = msg?.role === 'bot' ? 'assistant' : msg?.role;
+        if (!ROLES.includes(role)) {
+            throw new Error(`messages[${index}].role must be one of: ${ROLES.join(', ')}`);
+        }
+        if (typeof msg.content !== 'string') {
+            throw new Error(`messages[${index}].content must be a string`);
+        }
+        const normalized = { role, content: msg.content };
+        if (msg.id !== undefined && msg.id !== null) normalized.id = msg.id;
+        if (msg.pinned) normalized.pinned = true;
+        if (Array.isArray(msg.attachments) && msg.attachments.length > 0) {
+            normalized.attachments = msg.attachments.filter(id => typeof id === 'string');
+        }
+        return normalized;
+    }).filter(msg => msg.content.trim() !== '' || msg.role === 'user');
+}
+
+// Guess a built-in template from a model file name or an embedded Jinja template
+export function detectTemplate(hint = '') {
+    const text = hint.toLowerCase();
+    
+    if (text.includes('<|start_header_id|>') || /llama-?3/.test(text)) return 'llama3';
+    if (text.includes('<|im_start|>') || /qwen|chatml|hermes|smol/.test(text)) return 'chatml';
+    if (text.includes('<start_of_turn>') || text.includes('gemma')) return 'gemma';
+    if (text.includes('<|assistant|>') || text.includes('phi-3') || text.includes('phi3')) return 'phi3';
+    if (text.includes('[inst]') || /mistral|mixtral/.test(text)) return 'mistral';
+    
+    return null;
+}
+
+// Render messages with a built-in template
+export function applyChatTemplate(name, messages) {
+    const template = CHAT_TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Unknown chat template: ${name}. Available: ${Object.keys(CHAT_TEMPLATES).join(', ')}`);
+    }
+    
+    return {
+        prompt: template.render(messages),
+        stop: [...template.stop],
+        template: name
+    };
+}
@@ -0,0 +1,19 @@
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Persistent configuration shared by the CLI and the server
+export const CONFIG_FILE = path.join(__dirname, '..', 'open-chat-mobile.config.json');
+
+export function readConfigFile() {
+    if (!fs.existsSync(CONFIG_FILE)) {
+        return {};
+    }
+    return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+}
+
+export function writeConfigFile(config) {
+    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+}
@@ -0,0 +1,200 @@
+import { LimitError } from './limits.js';
+
+// Fits the chat history into the context window of a llama-server slot.
+//
+// Tokens are counted with llama-server's own tokenizer (/tokenize), so the
+// budget is what the slot will really see: its context size minus the tokens
+// reserved for the reply (n_predict). When the rendered prompt doesn't fit,
+// whole messages are left out according to the policy:
+//   drop-oldest  oldest messages first, the system prompt included
+//   keep-system  oldest messages first, the system prompt is always kept
+//   keep-pinned  like keep-system, and pinned messages are kept too
+// The last message (the turn being answered) is never dropped.
+
+export const CONTEXT_POLICIES = ['drop-oldest', 'keep-system', 'keep-pinned'];
+
+const MAX_CACHED_COUNTS = 2000;
+
+export class ContextWindow {
+    constructor({ llamaUrl, ctxSize, policy = 'keep-pinned', logger = null }) {
+        this.llamaUrl = llamaUrl;
+        this.ctxSize = Number(ctxSize);
+        this.policy = CONTEXT_POLICIES.includes(policy) ? policy : 'keep-pinned';
+        this.logger = logger;
+        
+        this.counts = new Map(); // message content -> tokens, for the loaded model
+        this.slotContext = null;
+        
+        if (policy !== this.policy) {
+            logger?.warn(`Unknown context policy "${policy}", using ${this.policy}`);
+        }
+    }
+    
+    // Token counts and the slot size depend on the loaded model
+    reset() {
+        this.counts.clear();
+        this.slotContext = null;
+    }
+    
+    async tokenize(content) {
+        const response = await fetch(`${this.llamaUrl}/tokenize`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ content })
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Tokenize request failed with ${response.status}`);
+        }
+        
+        const data = await response.json();
+        return data.tokens.length;
+    }
+    
+    async countMessage(content) {
+        if (this.counts.has(content)) {
+            return this.counts.get(content);
+        }
+        
+        const tokens = await this.tokenize(content);
+        if (this.counts.size >= MAX_CACHED_COUNTS) {
+            this.counts.delete(this.counts.keys().next().value);
+        }
+        this.counts.set(content, tokens);
+        return tokens;
+    }
+    
+    // With --parallel N llama-server splits --ctx-size between the slots,
+    // /props reports the per-slot size
+    async getContextSize() {
+        if (this.slotContext) return this.slotContext;
+        
+        try {
+            const response = await fetch(`${this.llamaUrl}/props`);
+            if (response.ok) {
+                const props = await response.json();
+                const size = Number(props.default_generation_settings?.n_ctx);
+                if (size > 0) {
+                    this.slotContext = size;
+                    return size;
+                }
+            }
+        } catch (error) {
+            this.logger?.debug('Could not read llama-server props:', error.message);
+        }
+        
+        this.slotContext = this.ctxSize;
+        return this.slotContext;
+    }
+    
+    // Indexes that may be dropped, oldest first
+    droppable(messages) {
+        const last = messages.length - 1;
+        return messages
+            .map((message, index) => index)
+            .filter(index => {
+                if (index === last) return false;
+                if (this.policy === 'drop-oldest') return true;
+                if (messages[index].role === 'system') return false;
+                return this.policy !== 'keep-pinned' || !messages[index].pinned;
+            });
+    }
+    
+    // messages: normalized messages with optional `id` and `pinned`
+    // render(messages) builds the prompt ({ prompt, stop, template })
+    // Resolves with the rendered prompt plus a `context` report
+    async fit(messages, { maxTokens, render }) {
+        const strip = (list) => list.map(({ role, content }) => ({ role, content }));
+        
+        let rendered = await render(strip(messages));
+        let contextSize;
+        let promptTokens;
+        try {
+            contextSize = await this.getContextSize();
+            promptTokens = await this.tokenize(rendered.prompt);
+        } catch (error) {
+            this.logger?.warn('Token counting unavailable, sending the full history:', error.message);
+            return { ...rendered, context: null };
+        }
+        
+        const budget = contextSize - maxTokens;
+        const report = (kept) => {
+            const omitted = messages.filter(message => !kept.includes(message));
+            return {
+                promptTokens,
+                budget,
+                contextSize,
+                maxTokens,
+                policy: this.policy,
+                total: messages.length,
+                omitted: omitted.map(message => message.id).filter(id => id !== undefined && id !== null)
+            };
+        };
+        
+        if (budget <= 0) {
+            throw new LimitError(
+                'CONTEXT_OVERFLOW',
+                `maxTokens (${maxTokens}) leaves no room for the prompt in a ${contextSize} token context`,
+                400,
+                { contextSize, maxTokens }
+            );
+        }
+        
+        if (promptTokens <= budget) {
+            return { ...rendered, context: report(messages) };
+        }
+        
+        // Estimate every message (content plus its share of the template
+        // markup), drop until the estimate fits, then check the real prompt
+        const counts = await Promise.all(messages.map(message => this.countMessage(message.content)));
+        const markup = Math.max(0, promptTokens - counts.reduce((sum, count) => sum + count, 0));
+        const perMessage = Math.ceil(markup / messages.length);
+        
+        const candidates = this.droppable(messages);
+        const dropped = new Set();
+        let estimate = promptTokens;
+        
+        const dropNext = () => {
+            const index = candidates.shift();
+            dropped.add(index);
+            estimate -= counts[index] + perMessage;
+        };
+        
+        while (candidates.length > 0) {
+            while (estimate > budget && candidates.length > 0) {
+                dropNext();
+            }
+            
+            // A reply whose question was dropped would open the history with
+            // the assistant, which some templates reject
+            let first = messages.findIndex((message, index) => !dropped.has(index) && message.role !== 'system');
+            while (messages[first]?.role === 'assistant' && candidates[0] === first) {
+                dropNext();
+                first = messages.findIndex((message, index) => !dropped.has(index) && message.role !== 'system');
+            }
+            
+            const kept = messages.filter((message, index) => !dropped.has(index));
+            rendered = await render(strip(kept));
+            promptTokens = await this.tokenize(rendered.prompt);
+            
+            if (promptTokens <= budget) {
+                this.logger?.debug(`Context trimmed to ${kept.length}/${messages.length} messages`, {
+                    promptTokens,
+                    budget,
+                    policy: this.policy
+                });
+                return { ...rendered, context: report(kept) };
+            }
+            
+            // The estimate was short, keep dropping
+            estimate = Math.max(estimate, budget + 1);
+        }
+        
+        throw new LimitError(
+            'CONTEXT_OVERFLOW',
+            `Prompt needs ${promptTokens} tokens but only ${budget} are available (context ${contextSize}, maxTokens ${maxTokens})`,
+            413,
+            { promptTokens, budget, contextSize, maxTokens }
+        );
+    }
+}
@@ -0,0 +1,363 @@
+import path from 'path';
+import { extractPdfText, PdfLimitError } from './pdf-text.js';
+import { IMAGE_FORMATS, detectImage, imageSize } from './vision.js';
+
+// Text extraction for uploaded documents
+//
+// Every format ends up with the same shape: a title and a list of sections
+// ({ title, page, text }). Sections are pages for PDF, headings for Markdown
+// and HTML, blocks of rows for CSV and top-level keys for JSON. Text is
+// decoded from its detected encoding (BOM, UTF-8, UTF-16, Windows-1252) and
+// normalized to NFC with \n line ends. Images have no sections, they are
+// kept for vision models.
+
+const MAX_TEXT_CHARS = 2000000;
+const CSV_ROWS_PER_SECTION = 50;
+const JSON_ITEMS_PER_SECTION = 50;
+
+export class DocumentError extends Error {
+    constructor(code, message, status = 400, details = {}) {
+        super(message);
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+export const DOCUMENT_TYPES = {
+    pdf: { extensions: ['.pdf'], mimeTypes: ['application/pdf'] },
+    html: { extensions: ['.html', '.htm', '.xhtml'], mimeTypes: ['text/html', 'application/xhtml+xml'] },
+    markdown: { extensions: ['.md', '.markdown'], mimeTypes: ['text/markdown', 'text/x-markdown'] },
+    csv: { extensions: ['.csv', '.tsv'], mimeTypes: ['text/csv', 'text/tab-separated-values'] },
+    json: { extensions: ['.json'], mimeTypes: ['application/json'] },
+    text: { extensions: ['.txt', '.text', '.log'], mimeTypes: ['text/plain'] },
+    image: { extensions: ['.png', '.jpg', '.jpeg', '.gif', '.webp'], mimeTypes: Object.values(IMAGE_FORMATS) }
+};
+
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0', copy: '©', reg: '®', trade: '™',
+    hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', euro: '€',
+    middot: '·', bull: '•', laquo: '«', raquo: '»', deg: '°', times: '×'
+};
+
+// Content sniffing comes first: a PDF renamed to .txt is still a PDF
+export function detectType(filename, mimeType, buffer) {
+    if (buffer.subarray(0, 1024).includes('%PDF-')) return 'pdf';
+    if (detectImage(buffer)) return 'image';
+    
+    const extension = path.extname(filename || '').toLowerCase();
+    const mime = (mimeType || '').split(';')[0].trim().toLowerCase();
+    // Images are only recognized by their signature
+    const types = Object.entries(DOCUMENT_TYPES).filter(([type]) => type !== 'image');
+    
+    const byExtension = types.find(([, { extensions }]) => extensions.includes(extension));
+    if (byExtension) return byExtension[0];
+    
+    const byMime = types.find(([, { mimeTypes }]) => mimeTypes.includes(mime));
+    if (byMime) return byMime[0];
+    
+    if (mime.startsWith('text/') || looksLikeText(buffer)) return 'text';
+    return null;
+}
+
+function looksLikeText(buffer) {
+    const sample = buffer.subarray(0, 8192);
+    if (sample[0] === 0xff && sample[1] === 0xfe) return true;
+    if (sample[0] === 0xfe && sample[1] === 0xff) return true;
+    return !sample.includes(0);
+}
+
+export function normalizeText(text) {
+    return text
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')
+        .normalize('NFC');
+}
+
+// Resolves { text, encoding }. Invalid UTF-8 without a BOM is read as
+// Windows-1252, the usual encoding of older files from Windows tools.
+export function decodeText(buffer) {
+    let text;
+    let encoding;
+    
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+        text = buffer.subarray(3).toString('utf8');
+        encoding = 'utf-8';
+    } else if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+        text = buffer.subarray(2).toString('utf16le');
+        encoding = 'utf-16le';
+    } else if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+        const body = Buffer.from(buffer.subarray(2, 2 + ((buffer.length - 2) & ~1)));
+        text = body.swap16().toString('utf16le');
+        encoding = 'utf-16be';
+    } else {
+        try {
+            text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+            encoding = 'utf-8';
+        } catch (error) {
+            text = new TextDecoder('windows-1252').decode(buffer);
+            encoding = 'windows-1252';
+        }
+    }
+    
+    return { text: normalizeText(text), encoding };
+}
+
+// Sections split at Markdown headings, ignoring `#` lines inside code fences
+function markdownSections(text) {
+    const sections = [];
+    let current = { title: null, lines: [] };
+    let inFence = false;
+    
+    text.split('\n').forEach(line => {
+        if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+        const heading = inFence ? null : /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+        
+        if (heading) {
+            sections.push(current);
+            current = { title: heading[2], level: heading[1].length, lines: [line] };
+        } else {
+            current.lines.push(line);
+        }
+    });
+    sections.push(current);
+    
+    return sections
+        .map(({ lines, ...section }) => ({ ...section, text: lines.join('\n').trim() }))
+        .filter(section => section.text);
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+function stripTags(html) {
+    return html.replace(/<[^>]*>/g, '');
+}
+
+function extractHtml(html) {
+    const titleMatch = /<title[^>]*>([\s\S]*?)<\/title\s*>/i.exec(html);
+    const title = titleMatch ? decodeEntities(stripTags(titleMatch[1])).replace(/\s+/g, ' ').trim() : null;
+    
+    let body = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1\s*>/gi, ' ');
+    
+    // Headings become Markdown headings so sections are split the same way
+    body = body.replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1\s*>/gi, (match, level, inner) => {
+        return `\n\n${'#'.repeat(Number(level))} ${stripTags(inner).replace(/\s+/g, ' ').trim()}\n\n`;
+    });
+    body = body
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/t[dh]\s*>/gi, '\t')
+        .replace(/<\/?(p|div|section|article|header|footer|main|nav|aside|ul|ol|table|tr|blockquote|pre|dl|dt|dd|figure|figcaption|hr)\b[^>]*>/gi, '\n');
+    
+    const text = decodeEntities(stripTags(body))
+        .split('\n')
+        .map(line => line.replace(/[ \t\u00A0]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+    
+    return { title, sections: markdownSections(text) };
+}
+
+function detectDelimiter(text) {
+    const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+    const counts = [',', ';', '\t', '|'].map(delimiter => [delimiter, firstLine.split(delimiter).length]);
+    return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// RFC 4180: quoted fields may contain delimiters, quotes ("") and newlines
+function parseCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n') {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Every block repeats the header so sections stand on their own
+function extractCsv(text, extension) {
+    const delimiter = extension === '.tsv' ? '\t' : detectDelimiter(text);
+    const [header = [], ...rows] = parseCsv(text, delimiter);
+    // One line per row, even when quoted cells contain newlines
+    const line = (cells) => cells.map(cell => cell.replace(/\s*\n\s*/g, ' ').trim()).join(' | ');
+    const headerLine = line(header);
+    const sections = [];
+    
+    for (let start = 0; start < rows.length; start += CSV_ROWS_PER_SECTION) {
+        const block = rows.slice(start, start + CSV_ROWS_PER_SECTION);
+        sections.push({
+            title: `Rows ${start + 1}-${start + block.length}`,
+            text: [headerLine, ...block.map(line)].join('\n')
+        });
+    }
+    if (sections.length === 0 && headerLine) {
+        sections.push({ title: 'Header', text: headerLine });
+    }
+    
+    return { sections, columns: header.length, rows: rows.length };
+}
+
+function extractJson(text) {
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (error) {
+        throw new DocumentError('INVALID_DOCUMENT', `Invalid JSON: ${error.message}`, 422);
+    }
+    
+    if (Array.isArray(value)) {
+        const sections = [];
+        for (let start = 0; start < value.length; start += JSON_ITEMS_PER_SECTION) {
+            const block = value.slice(start, start + JSON_ITEMS_PER_SECTION);
+            sections.push({
+                title: `Items ${start + 1}-${start + block.length}`,
+                text: JSON.stringify(block, null, 2)
+            });
+        }
+        return { sections };
+    }
+    
+    if (value && typeof value === 'object') {
+        return {
+            sections: Object.entries(value).map(([key, item]) => ({
+                title: key,
+                text: JSON.stringify(item, null, 2)
+            }))
+        };
+    }
+    
+    return { sections: [{ title: null, text: JSON.stringify(value) }] };
+}
+
+function extractPdf(buffer) {
+    let result;
+    try {
+        result = extractPdfText(buffer);
+    } catch (error) {
+        if (error instanceof PdfLimitError) {
+            throw new DocumentError('DOCUMENT_TOO_LARGE', `The PDF is too large to read: ${error.message}`, 413, { limit: error.limit });
+        }
+        throw new DocumentError('EXTRACTION_FAILED', `Could not read the PDF: ${error.message}`, 422);
+    }
+    
+    const sections = result.pages
+        .map((text, index) => ({ title: `Page ${index + 1}`, page: index + 1, text: normalizeText(text) }))
+        .filter(section => section.text);
+    
+    if (sections.length === 0) {
+        throw new DocumentError('NO_TEXT', 'The PDF has no text layer (scanned pages are not supported)', 422, {
+            pages: result.pages.length
+        });
+    }
+    
+    return { title: result.title, sections, pages: result.pages.length, encoding: null };
+}
+
+// Caps the total text, cutting the section that crosses the limit
+function limitSections(sections) {
+    let total = 0;
+    let truncated = false;
+    const limited = [];
+    
+    for (const section of sections) {
+        if (total + section.text.length > MAX_TEXT_CHARS) {
+            const room = MAX_TEXT_CHARS - total;
+            if (room > 0) limited.push({ ...section, text: section.text.slice(0, room) });
+            truncated = true;
+            break;
+        }
+        limited.push(section);
+        total += section.text.length;
+    }
+    
+    return { sections: limited, truncated };
+}
+
+// Returns { type, title, encoding, sections, truncated, ... } or throws a DocumentError
+export function extractDocument({ buffer, filename, mimeType }) {
+    const type = detectType(filename, mimeType, buffer);
+    if (!type) {
+        throw new DocumentError('UNSUPPORTED_FILE_TYPE', `Unsupported file type: ${mimeType || path.extname(filename) || 'unknown'}`, 415, {
+            supported: Object.keys(DOCUMENT_TYPES)
+        });
+    }
+    
+    if (type === 'image') {
+        const format = detectImage(buffer);
+        return {
+            type,
+            title: path.basename(filename || 'image', path.extname(filename || '')),
+            encoding: null,
+            format,
+            ...imageSize(buffer, format),
+            sections: [],
+            truncated: false
+        };
+    }
+    
+    let result;
+    if (type === 'pdf') {
+        result = extractPdf(buffer);
+    } else {
+        const { text, encoding } = decodeText(buffer);
+        if (type === 'html') result = extractHtml(text);
+        else if (type === 'markdown') result = { sections: markdownSections(text) };
+        else if (type === 'csv') result = extractCsv(text, path.extname(filename || '').toLowerCase());
+        else if (type === 'json') result = extractJson(text);
+        else result = { sections: text.trim() ? [{ title: null, text: text.trim() }] : [] };
+        result.encoding = encoding;
+    }
+    
+    if (result.sections.length === 0) {
+        throw new DocumentError('NO_TEXT', 'The file contains no text', 422);
+    }
+    
+    const { sections, truncated } = limitSections(result.sections);
+    const title = result.title
+        || (type === 'markdown' ? sections.find(section => section.level === 1)?.title : null)
+        || path.basename(filename || 'document', path.extname(filename || ''));
+    
+    return { ...result, type, title, sections, truncated };
+}
@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DocumentError } from './document-extract.js';
+import { extractDocumentInWorker } from './extract-worker.js';
+
+// Uploaded documents, stored per chat
+//
+// Each document gets its own directory with the original upload, a
+// document.json holding the extracted sections and a small summary.json for
+// listings. Chats reference documents by id, so the text is extracted once
+// and never pasted into the input box.
+
+const ID_PATTERN = /^[a-f0-9]{16}$/;
+const CHAT_ID_PATTERN = /^[\w-]{1,100}$/;
+const PREVIEW_CHARS = 1000;
+
+// Document metadata without the section texts, for lists and upload replies
+export function summarizeDocument(document) {
+    const { sections, ...summary } = document;
+    return {
+        ...summary,
+        sections: sections.map(({ text, ...section }) => section),
+        preview: sections[0]?.text.slice(0, PREVIEW_CHARS) || ''
+    };
+}
+
+export class DocumentStore {
+    constructor({ dir, logger = null, maxPerChat = 50 }) {
+        this.dir = dir;
+        this.logger = logger;
+        this.maxPerChat = maxPerChat;
+    }
+    
+    documentDir(id) {
+        return path.join(this.dir, id);
+    }
+    
+    async save({ chatId, filename, mimeType, buffer, chunkSize = null }) {
+        if (!CHAT_ID_PATTERN.test(chatId || '')) {
+            throw new DocumentError('INVALID_CHAT_ID', 'Invalid chat id', 400);
+        }
+        if (!buffer || buffer.length === 0) {
+            throw new DocumentError('EMPTY_FILE', 'The uploaded file is empty', 400);
+        }
+        
+        const existing = await this.list(chatId);
+        if (existing.length >= this.maxPerChat) {
+            throw new DocumentError('TOO_MANY_DOCUMENTS', `A chat can hold up to ${this.maxPerChat} documents`, 409, {
+                maxPerChat: this.maxPerChat
+            });
+        }
+        
+        const name = path.basename(filename || 'upload.txt');
+        const extracted = await extractDocumentInWorker({ buffer, filename: name, mimeType });
+        const { sections, type, title, encoding, truncated, ...extra } = extracted;
+        
+        const id = crypto.randomBytes(8).toString('hex');
+        const document = {
+            id,
+            chatId,
+            filename: name,
+            mimeType: mimeType || null,
+            type,
+            title,
+            encoding,
+            size: buffer.length,
+            sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+            createdAt: new Date().toISOString(),
+            ...extra,
+            // Retrieval chunk size the client asked for, see rag-index.js
+            chunkSize,
+            chars: sections.reduce((sum, section) => sum + section.text.length, 0),
+            truncated,
+            sections: sections.map((section, index) => ({
+                index,
+                title: section.title ?? null,
+                page: section.page ?? null,
+                chars: section.text.length,
+                text: section.text
+            }))
+        };
+        
+        const dir = this.documentDir(id);
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(path.join(dir, `original${path.extname(name).toLowerCase()}`), buffer);
+        await fs.promises.writeFile(path.join(dir, 'document.json'), JSON.stringify(document));
+        await fs.promises.writeFile(path.join(dir, 'summary.json'), JSON.stringify(summarizeDocument(document)));
+        
+        this.logger?.debug(`Document ${id} stored`, { chatId, type, sections: document.sections.length, chars: document.chars });
+        return document;
+    }
+    
+    async readJson(id, file) {
+        if (!ID_PATTERN.test(id || '')) return null;
+        try {
+            return JSON.parse(await fs.promises.readFile(path.join(this.documentDir(id), file), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger?.warn(`Could not read document ${id}:`, error.message);
+            }
+            return null;
+        }
+    }
+    
+    async get(id) {
+        return this.readJson(id, 'document.json');
+    }
+    
+    // The uploaded file as it was received
+    async readOriginal(document) {
+        return fs.promises.readFile(path.join(this.documentDir(document.id), `original${path.extname(document.filename).toLowerCase()}`));
+    }
+    
+    // Summaries of a chat's documents, oldest first
+    async list(chatId) {
+        let ids;
+        try {
+            ids = await fs.promises.readdir(this.dir);
+        } catch (error) {
+            return [];
+        }
+        
+        const summaries = await Promise.all(ids.filter(id => ID_PATTERN.test(id)).map(id => this.readJson(id, 'summary.json')));
+        return summaries
+            .filter(summary => summary && summary.chatId === chatId)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+    
+    async delete(id) {
+        if (!ID_PATTERN.test(id || '')) return false;
+        const dir = this.documentDir(id);
+        if (!fs.existsSync(dir)) return false;
+        
+        await fs.promises.rm(dir, { recursive: true, force: true });
+        return true;
+    }
+    
+    // Resolves the ids of the deleted documents
+    async deleteChat(chatId) {
+        const documents = await this.list(chatId);
+        await Promise.all(documents.map(document => this.delete(document.id)));
+        return documents.map(document => document.id);
+    }
+}
@@ -0,0 +1,59 @@
+// Client for a llama-server started with --embeddings
+//
+// Uses the OpenAI-compatible /v1/embeddings route, which returns one pooled
+// vector per input. Vectors are L2-normalized so a dot product is the cosine
+// similarity.
+
+const BATCH_SIZE = 16;
+const REQUEST_TIMEOUT = 120000;
+
+export function normalizeVector(values) {
+    const vector = Float32Array.from(values);
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    }
+    return vector;
+}
+
+export class EmbeddingClient {
+    constructor({ url, logger = null }) {
+        this.url = url;
+        this.logger = logger;
+    }
+    
+    async request(input) {
+        const response = await fetch(`${this.url}/v1/embeddings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ input }),
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+        });
+        
+        if (!response.ok) {
+            const text = await response.text().catch(() => '');
+            throw new Error(`Embedding request failed with ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+        }
+        
+        const data = await response.json();
+        if (!Array.isArray(data.data) || data.data.length !== input.length) {
+            throw new Error('Unexpected embedding response');
+        }
+        
+        // The order of data[] follows `index`, not necessarily the input
+        return [...data.data]
+            .sort((a, b) => a.index - b.index)
+            .map(item => normalizeVector(item.embedding));
+    }
+    
+    // One normalized Float32Array per text
+    async embed(texts) {
+        const vectors = [];
+        for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+            vectors.push(...await this.request(texts.slice(i, i + BATCH_SIZE)));
+        }
+        return vectors;
+    }
+}
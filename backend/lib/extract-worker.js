@@ -0,0 +1,74 @@
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import { extractDocument, DocumentError } from './document-extract.js';
+
+// Text extraction off the request path
+//
+// Parsing a PDF is synchronous and CPU bound, so every upload is extracted
+// in a worker thread with its own heap limit and a timeout. Extractions run
+// one at a time: the phone has few cores and llama-server needs them.
+
+const EXTRACTION_TIMEOUT_MS = 60000;
+const WORKER_HEAP_MB = 256;
+
+let queue = Promise.resolve();
+
+function runWorker({ buffer, filename, mimeType }, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL(import.meta.url), {
+            workerData: { buffer, filename, mimeType },
+            resourceLimits: { maxOldGenerationSizeMb: WORKER_HEAP_MB }
+        });
+        
+        let settled = false;
+        const settle = (callback, value) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            worker.terminate();
+            callback(value);
+        };
+        
+        const timer = setTimeout(() => {
+            settle(reject, new DocumentError('EXTRACTION_TIMEOUT', `Extracting the text took longer than ${timeoutMs / 1000}s`, 422));
+        }, timeoutMs);
+        
+        worker.on('message', ({ result, error }) => {
+            if (result) settle(resolve, result);
+            else if (error.code) settle(reject, new DocumentError(error.code, error.message, error.status, error.details));
+            else settle(reject, new Error(error.message));
+        });
+        worker.on('error', (error) => {
+            settle(reject, error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+                ? new DocumentError('DOCUMENT_TOO_LARGE', 'The file needs too much memory to extract', 413, { limitMb: WORKER_HEAP_MB })
+                : error);
+        });
+        worker.on('exit', (code) => {
+            settle(reject, new Error(`Extraction worker exited with code ${code}`));
+        });
+    });
+}
+
+// Same result as extractDocument(), rejects with the same DocumentErrors
+export function extractDocumentInWorker(options, { timeoutMs = EXTRACTION_TIMEOUT_MS } = {}) {
+    const run = queue.then(() => runWorker(options, timeoutMs));
+    queue = run.catch(() => {});
+    return run;
+}
+
+if (!isMainThread) {
+    try {
+        const { buffer, filename, mimeType } = workerData;
+        const result = extractDocument({
+            buffer: Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength),
+            filename,
+            mimeType
+        });
+        parentPort.postMessage({ result });
+    } catch (error) {
+        parentPort.postMessage({
+            error: error instanceof DocumentError
+                ? { code: error.code, message: error.message, status: error.status, details: error.details }
+                : { message: error.message }
+        });
+    }
+}
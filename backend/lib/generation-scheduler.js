@@ -0,0 +1,222 @@
+// Admission control for llama-server slots
+//
+// llama-server runs with --parallel N, so at most N completions are sent
+// upstream at a time. Extra requests wait in per-client queues that are
+// served round-robin, so one client sending many requests can't starve the
+// others.
+//
+// Every admitted request also gets a slot id to send as `id_slot`. A slot
+// keeps the KV cache of the last prompt it ran, so requests with the same
+// `key` (the chat id) go back to the slot they used before and llama-server
+// only evaluates the new tokens. Without a free slot of their own they take
+// an unused one, or the least recently used.
+
+export class QueueError extends Error {
+    constructor(code, message, status) {
+        super(message);
+        this.code = code;
+        this.status = status;
+    }
+}
+
+export class GenerationScheduler {
+    constructor({ slots = 4, maxQueueSize = 16, queueTimeoutMs = 120000, logger = null } = {}) {
+        this.slots = slots;
+        this.maxQueueSize = maxQueueSize;
+        this.queueTimeoutMs = queueTimeoutMs;
+        this.logger = logger;
+        
+        this.busy = 0;
+        this.queues = new Map(); // owner -> waiters
+        this.owners = [];        // round-robin order of owners with waiters
+        this.queued = 0;
+        this.stats = { started: 0, queued: 0, rejected: 0, timedOut: 0, cancelled: 0, reused: 0, evicted: 0 };
+        
+        // key: chat whose prompt is cached in the slot, usedAt: last release
+        this.slotStates = Array.from({ length: slots }, (_, id) => ({ id, busy: false, key: null, usedAt: 0 }));
+    }
+    
+    // Resolves with a release() function once a slot is free. release.slot is
+    // { id, reused } for `id_slot`. onQueued(position, queueLength) is called
+    // while waiting, position is 1-based.
+    acquire({ owner, key = null, signal = null, onQueued = null } = {}) {
+        if (signal?.aborted) {
+            return Promise.reject(signal.reason);
+        }
+        
+        if (this.busy < this.slots && this.queued === 0) {
+            return Promise.resolve(this.occupy(key));
+        }
+        
+        if (this.queued >= this.maxQueueSize) {
+            this.stats.rejected++;
+            return Promise.reject(new QueueError(
+                'QUEUE_FULL',
+                `Server is busy (${this.queued} requests waiting), try again later`,
+                429
+            ));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const waiter = { owner, key, resolve, reject, signal, onQueued, position: null, timer: null };
+            
+            waiter.timer = setTimeout(() => {
+                this.remove(waiter);
+                this.stats.timedOut++;
+                reject(new QueueError(
+                    'QUEUE_TIMEOUT',
+                    `Timed out after ${Math.round(this.queueTimeoutMs / 1000)}s waiting for a free slot`,
+                    503
+                ));
+            }, this.queueTimeoutMs);
+            
+            waiter.onAbort = () => {
+                this.remove(waiter);
+                this.stats.cancelled++;
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', waiter.onAbort, { once: true });
+            
+            if (!this.queues.has(owner)) {
+                this.queues.set(owner, []);
+                this.owners.push(owner);
+            }
+            this.queues.get(owner).push(waiter);
+            this.queued++;
+            this.stats.queued++;
+            
+            this.logger?.debug(`Generation queued for ${owner}`, { queued: this.queued, busy: this.busy });
+            this.notifyPositions();
+        });
+    }
+    
+    occupy(key) {
+        this.busy++;
+        this.stats.started++;
+        
+        const slot = this.assignSlot(key);
+        let released = false;
+        const release = () => {
+            if (released) return;
+            released = true;
+            this.busy--;
+            slot.state.busy = false;
+            slot.state.usedAt = Date.now();
+            this.dispatch();
+        };
+        release.slot = { id: slot.state.id, reused: slot.reused };
+        return release;
+    }
+    
+    // Free slot for `key`: the one holding its cache, else one no chat
+    // owns, else the least recently used
+    assignSlot(key) {
+        const free = this.slotStates.filter(state => !state.busy).sort((a, b) => a.usedAt - b.usedAt);
+        let state = key !== null ? free.filter(item => item.key === key).pop() : null;
+        const reused = Boolean(state);
+        
+        if (!state) {
+            state = free.find(item => item.key === null) || free[0];
+            if (state.key !== null) {
+                this.stats.evicted++;
+                this.logger?.debug(`Slot ${state.id} evicted for ${key ?? 'an unkeyed request'}`, { previous: state.key });
+            }
+        } else {
+            this.stats.reused++;
+        }
+        
+        state.busy = true;
+        state.key = key;
+        return { state, reused };
+    }
+    
+    // The cached prompts are gone once llama-server restarts
+    forgetSlots() {
+        this.slotStates.forEach(state => {
+            state.key = null;
+            state.usedAt = 0;
+        });
+    }
+    
+    dispatch() {
+        while (this.busy < this.slots && this.owners.length > 0) {
+            const owner = this.owners.shift();
+            const queue = this.queues.get(owner);
+            const waiter = queue.shift();
+            
+            if (queue.length > 0) {
+                this.owners.push(owner);
+            } else {
+                this.queues.delete(owner);
+            }
+            
+            this.queued--;
+            this.cleanup(waiter);
+            waiter.resolve(this.occupy(waiter.key));
+        }
+        
+        this.notifyPositions();
+    }
+    
+    remove(waiter) {
+        const queue = this.queues.get(waiter.owner);
+        const index = queue ? queue.indexOf(waiter) : -1;
+        if (index === -1) return;
+        
+        queue.splice(index, 1);
+        if (queue.length === 0) {
+            this.queues.delete(waiter.owner);
+            this.owners = this.owners.filter(owner => owner !== waiter.owner);
+        }
+        
+        this.queued--;
+        this.cleanup(waiter);
+        this.notifyPositions();
+    }
+    
+    cleanup(waiter) {
+        clearTimeout(waiter.timer);
+        waiter.signal?.removeEventListener('abort', waiter.onAbort);
+    }
+    
+    // Dispatch order: first waiter of every owner, then the second, and so on
+    orderedWaiters() {
+        const ordered = [];
+        const queues = this.owners.map(owner => this.queues.get(owner));
+        const depth = Math.max(0, ...queues.map(queue => queue.length));
+        
+        for (let round = 0; round < depth; round++) {
+            queues.forEach(queue => {
+                if (queue[round]) ordered.push(queue[round]);
+            });
+        }
+        return ordered;
+    }
+    
+    notifyPositions() {
+        this.orderedWaiters().forEach((waiter, index) => {
+            const position = index + 1;
+            if (waiter.position === position) return;
+            
+            waiter.position = position;
+            try {
+                waiter.onQueued?.(position, this.queued);
+            } catch (error) {
+                this.logger?.error('Queue position callback failed:', error.message);
+            }
+        });
+    }
+    
+    getStatus() {
+        return {
+            total: this.slots,
+            busy: this.busy,
+            idle: Math.max(0, this.slots - this.busy),
+            queued: this.queued,
+            maxQueueSize: this.maxQueueSize,
+            queueTimeoutMs: this.queueTimeoutMs,
+            cache: this.slotStates.map(state => ({ id: state.id, busy: state.busy, cached: state.key !== null })),
+            totals: { ...this.stats }
+        };
+    }
+}
@@ -0,0 +1,273 @@
+// GGUF header parser
+//
+// Reads the metadata key/value section and the tensor infos of a GGUF file
+// without loading tensor data. Large arrays (tokenizer vocabularies) are
+// skipped and only their length is kept.
+
+import fs from 'fs';
+import path from 'path';
+
+const GGUF_MAGIC = 0x46554747; // 'GGUF' little endian
+const READ_SIZE = 1024 * 1024;
+// Arrays longer than this are summarized by their length
+const MAX_ARRAY_VALUES = 64;
+
+const TYPES = {
+    UINT8: 0,
+    INT8: 1,
+    UINT16: 2,
+    INT16: 3,
+    UINT32: 4,
+    INT32: 5,
+    FLOAT32: 6,
+    BOOL: 7,
+    STRING: 8,
+    ARRAY: 9,
+    UINT64: 10,
+    INT64: 11,
+    FLOAT64: 12
+};
+
+const FIXED_SIZES = {
+    [TYPES.UINT8]: 1,
+    [TYPES.INT8]: 1,
+    [TYPES.UINT16]: 2,
+    [TYPES.INT16]: 2,
+    [TYPES.UINT32]: 4,
+    [TYPES.INT32]: 4,
+    [TYPES.FLOAT32]: 4,
+    [TYPES.BOOL]: 1,
+    [TYPES.UINT64]: 8,
+    [TYPES.INT64]: 8,
+    [TYPES.FLOAT64]: 8
+};
+
+// general.file_type values (llama_ftype)
+const FILE_TYPES = {
+    0: 'F32', 1: 'F16', 2: 'Q4_0', 3: 'Q4_1', 7: 'Q8_0', 8: 'Q5_0', 9: 'Q5_1',
+    10: 'Q2_K', 11: 'Q3_K_S', 12: 'Q3_K_M', 13: 'Q3_K_L', 14: 'Q4_K_S', 15: 'Q4_K_M',
+    16: 'Q5_K_S', 17: 'Q5_K_M', 18: 'Q6_K', 19: 'IQ2_XXS', 20: 'IQ2_XS', 21: 'Q2_K_S',
+    22: 'IQ3_XS', 23: 'IQ3_XXS', 24: 'IQ1_S', 25: 'IQ4_NL', 26: 'IQ3_S', 27: 'IQ3_M',
+    28: 'IQ2_S', 29: 'IQ2_M', 30: 'IQ4_XS', 31: 'IQ1_M', 32: 'BF16', 36: 'TQ1_0', 37: 'TQ2_0'
+};
+
+// Buffered sequential reader over a file descriptor
+class FileReader {
+    constructor(fd) {
+        this.fd = fd;
+        this.buffer = Buffer.alloc(0);
+        this.position = 0;
+        this.offset = 0;
+    }
+    
+    async ensure(bytes) {
+        if (this.buffer.length - this.offset >= bytes) return;
+        
+        const remaining = this.buffer.subarray(this.offset);
+        const chunk = Buffer.alloc(Math.max(READ_SIZE, bytes));
+        const { bytesRead } = await this.fd.read(chunk, 0, chunk.length, this.position);
+        this.position += bytesRead;
+        this.buffer = Buffer.concat([remaining, chunk.subarray(0, bytesRead)]);
+        this.offset = 0;
+        
+        if (this.buffer.length < bytes) {
+            throw new Error('Unexpected end of GGUF file');
+        }
+    }
+    
+    async bytes(length) {
+        await this.ensure(length);
+        const value = this.buffer.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return value;
+    }
+    
+    async skip(length) {
+        const buffered = this.buffer.length - this.offset;
+        if (length <= buffered) {
+            this.offset += length;
+            return;
+        }
+        this.position += length - buffered;
+        this.buffer = Buffer.alloc(0);
+        this.offset = 0;
+    }
+    
+    async u32() { return (await this.bytes(4)).readUInt32LE(0); }
+    async u64() { return Number((await this.bytes(8)).readBigUInt64LE(0)); }
+    
+    async string() {
+        const length = await this.u64();
+        return (await this.bytes(length)).toString('utf8');
+    }
+    
+    async scalar(type) {
+        const buf = await this.bytes(FIXED_SIZES[type]);
+        switch (type) {
+            case TYPES.UINT8: return buf.readUInt8(0);
+            case TYPES.INT8: return buf.readInt8(0);
+            case TYPES.UINT16: return buf.readUInt16LE(0);
+            case TYPES.INT16: return buf.readInt16LE(0);
+            case TYPES.UINT32: return buf.readUInt32LE(0);
+            case TYPES.INT32: return buf.readInt32LE(0);
+            case TYPES.FLOAT32: return buf.readFloatLE(0);
+            case TYPES.BOOL: return buf.readUInt8(0) !== 0;
+            case TYPES.UINT64: return Number(buf.readBigUInt64LE(0));
+            case TYPES.INT64: return Number(buf.readBigInt64LE(0));
+            case TYPES.FLOAT64: return buf.readDoubleLE(0);
+            default: throw new Error(`Unknown GGUF value type ${type}`);
+        }
+    }
+    
+    async value(type) {
+        if (type === TYPES.STRING) return this.string();
+        if (type !== TYPES.ARRAY) return this.scalar(type);
+        
+        const itemType = await this.u32();
+        const length = await this.u64();
+        
+        if (length > MAX_ARRAY_VALUES) {
+            // Skip big arrays (vocabularies, merges, scores) keeping only their size
+            if (itemType === TYPES.STRING) {
+                for (let i = 0; i < length; i++) {
+                    await this.skip(await this.u64());
+                }
+            } else if (FIXED_SIZES[itemType]) {
+                await this.skip(FIXED_SIZES[itemType] * length);
+            } else {
+                for (let i = 0; i < length; i++) {
+                    await this.value(itemType);
+                }
+            }
+            return { type: 'array', length };
+        }
+        
+        const values = [];
+        for (let i = 0; i < length; i++) {
+            values.push(await this.value(itemType));
+        }
+        return values;
+    }
+}
+
+export function formatParameterCount(count) {
+    if (!count) return null;
+    if (count >= 1e9) return `${(count / 1e9).toFixed(count >= 1e10 ? 0 : 1)}B`;
+    if (count >= 1e6) return `${Math.round(count / 1e6)}M`;
+    return `${Math.round(count / 1e3)}K`;
+}
+
+// Parse the raw header of a GGUF file
+export async function readGGUFHeader(filePath) {
+    const fd = await fs.promises.open(filePath, 'r');
+    try {
+        const reader = new FileReader(fd);
+        
+        if (await reader.u32() !== GGUF_MAGIC) {
+            throw new Error(`${path.basename(filePath)} is not a GGUF file`);
+        }
+        
+        const version = await reader.u32();
+        if (version < 2) {
+            throw new Error(`Unsupported GGUF version ${version}`);
+        }
+        
+        const tensorCount = await reader.u64();
+        const kvCount = await reader.u64();
+        
+        const metadata = {};
+        for (let i = 0; i < kvCount; i++) {
+            const key = await reader.string();
+            const type = await reader.u32();
+            metadata[key] = await reader.value(type);
+        }
+        
+        let parameterCount = 0;
+        for (let i = 0; i < tensorCount; i++) {
+            await reader.string();
+            const dims = await reader.u32();
+            let elements = 1;
+            for (let d = 0; d < dims; d++) {
+                elements *= await reader.u64();
+            }
+            await reader.u32(); // ggml type
+            await reader.u64(); // data offset
+            parameterCount += elements;
+        }
+        
+        return { version, tensorCount, parameterCount, metadata };
+    } finally {
+        await fd.close();
+    }
+}
+
+// Summarize the fields the UI and the server care about
+export async function readGGUFMetadata(filePath) {
+    const { version, tensorCount, parameterCount, metadata } = await readGGUFHeader(filePath);
+    const architecture = metadata['general.architecture'] || null;
+    const arch = (key) => (architecture ? metadata[`${architecture}.${key}`] : undefined) ?? null;
+    const tokens = metadata['tokenizer.ggml.tokens'];
+    
+    return {
+        version,
+        name: metadata['general.name'] || null,
+        architecture,
+        parameterCount,
+        parameterLabel: metadata['general.size_label'] || formatParameterCount(parameterCount),
+        quantization: FILE_TYPES[metadata['general.file_type']] || null,
+        contextLength: arch('context_length'),
+        embeddingLength: arch('embedding_length'),
+        blockCount: arch('block_count'),
+        tensorCount,
+        chatTemplate: metadata['tokenizer.chat_template'] || null,
+        tokenizer: {
+            model: metadata['tokenizer.ggml.model'] || null,
+            pre: metadata['tokenizer.ggml.pre'] || null,
+            vocabSize: Array.isArray(tokens) ? tokens.length : tokens?.length ?? null,
+            bosTokenId: metadata['tokenizer.ggml.bos_token_id'] ?? null,
+            eosTokenId: metadata['tokenizer.ggml.eos_token_id'] ?? null
+        }
+    };
+}
+
+// Metadata cache keyed by file name, invalidated by size and mtime
+export class GGUFMetadataCache {
+    constructor(cacheFile) {
+        this.cacheFile = cacheFile;
+        this.entries = {};
+        
+        try {
+            if (fs.existsSync(cacheFile)) {
+                this.entries = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+            }
+        } catch (error) {
+            this.entries = {};
+        }
+    }
+    
+    async get(filePath) {
+        const stats = await fs.promises.stat(filePath);
+        const key = path.basename(filePath);
+        const cached = this.entries[key];
+        
+        if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+            return cached.metadata;
+        }
+        
+        let metadata;
+        try {
+            metadata = await readGGUFMetadata(filePath);
+        } catch (error) {
+            metadata = { error: error.message };
+        }
+        
+        this.entries[key] = { size: stats.size, mtimeMs: stats.mtimeMs, metadata };
+        await this.save();
+        return metadata;
+    }
+    
+    async save() {
+        await fs.promises.mkdir(path.dirname(this.cacheFile), { recursive: true });
+        await fs.promises.writeFile(this.cacheFile, JSON.stringify(this.entries));
+    }
+}
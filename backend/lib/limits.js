@@ -0,0 +1,137 @@
+import { rateLimit, MemoryStore, ipKeyGenerator } from 'express-rate-limit';
+
+// Request limits shared by REST routes and WebSocket messages.
+// Errors carry a stable `code` that the frontend maps to CONFIG.ERRORS.
+
+export class LimitError extends Error {
+    constructor(code, message, status = 429, details = {}) {
+        super(message);
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Authenticated clients are limited per token (or login session), anonymous ones per IP
+export function clientKey(identity, ip) {
+    if (identity && identity.type !== 'anonymous') {
+        return `${identity.type}:${identity.id}`;
+    }
+    return `ip:${ipKeyGenerator(ip || '')}`;
+}
+
+export class RequestLimits {
+    constructor({
+        windowMs = 60000,
+        perIp = 30,
+        perToken = 120,
+        maxPromptChars = 32000,
+        maxTokens = 4096,
+        maxWsClients = 16
+    } = {}) {
+        this.windowMs = windowMs;
+        this.perIp = perIp;
+        this.perToken = perToken;
+        this.maxPromptChars = maxPromptChars;
+        this.maxTokens = maxTokens;
+        this.maxWsClients = maxWsClients;
+        
+        // One store so HTTP and WebSocket requests count against the same budget
+        this.store = new MemoryStore();
+    }
+    
+    limitFor(identity) {
+        return identity && identity.type !== 'anonymous' ? this.perToken : this.perIp;
+    }
+    
+    rateLimitError(resetTime) {
+        const retryAfter = resetTime ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000)) : null;
+        return new LimitError(
+            'RATE_LIMITED',
+            `Too many requests, try again${retryAfter ? ` in ${retryAfter}s` : ' later'}`,
+            429,
+            { retryAfter }
+        );
+    }
+    
+    // Express middleware; onLimit(req, res, error) writes the response
+    httpLimiter(onLimit) {
+        return rateLimit({
+            windowMs: this.windowMs,
+            limit: (req) => this.limitFor(req.auth),
+            keyGenerator: (req) => clientKey(req.auth, req.ip),
+            store: this.store,
+            standardHeaders: 'draft-7',
+            legacyHeaders: false,
+            // clientKey() already runs IPs through ipKeyGenerator
+            validate: { keyGeneratorIpFallback: false },
+            handler: (req, res) => onLimit(req, res, this.rateLimitError(req.rateLimit?.resetTime))
+        });
+    }
+    
+    // Same budget for WebSocket chat messages
+    async consume(identity, ip) {
+        const { totalHits, resetTime } = await this.store.increment(clientKey(identity, ip));
+        if (totalHits > this.limitFor(identity)) {
+            throw this.rateLimitError(resetTime);
+        }
+    }
+    
+    checkGeneration({ messages, message, maxTokens }) {
+        const promptChars = Array.isArray(messages)
+            ? messages.reduce((total, item) => total + (typeof item?.content === 'string' ? item.content.length : 0), 0)
+            : (typeof message === 'string' ? message.length : 0);
+        
+        if (promptChars > this.maxPromptChars) {
+            throw new LimitError(
+                'PROMPT_TOO_LONG',
+                `Prompt is ${promptChars} characters, the limit is ${this.maxPromptChars}`,
+                413,
+                { limit: this.maxPromptChars, actual: promptChars }
+            );
+        }
+        
+        if (maxTokens === undefined || maxTokens === null) return;
+        
+        // llama-server reads -1 (and any n_predict below 1) as "no limit"
+        const value = Number(maxTokens);
+        if (!Number.isInteger(value) || value < 1) {
+            throw new LimitError(
+                'INVALID_MAX_TOKENS',
+                `maxTokens must be a whole number between 1 and ${this.maxTokens}`,
+                400,
+                { limit: this.maxTokens, actual: maxTokens }
+            );
+        }
+        if (value > this.maxTokens) {
+            throw new LimitError(
+                'MAX_TOKENS_EXCEEDED',
+                `maxTokens can't be larger than ${this.maxTokens}`,
+                400,
+                { limit: this.maxTokens, actual: Number(maxTokens) }
+            );
+        }
+    }
+    
+    checkClients(connected) {
+        if (connected >= this.maxWsClients) {
+            throw new LimitError(
+                'TOO_MANY_CLIENTS',
+                `Too many connected clients (${this.maxWsClients} max)`,
+                503,
+                { limit: this.maxWsClients }
+            );
+        }
+    }
+    
+    getStatus() {
+        return {
+            windowMs: this.windowMs,
+            perIp: this.perIp,
+            perToken: this.perToken,
+            maxPromptChars: this.maxPromptChars,
+            maxTokens: this.maxTokens,
+            maxWsClients: this.maxWsClients
+        };
+    }
+}
@@ -0,0 +1,125 @@
+// Minimal client for llama-server's native /completion endpoint
+
+import { SSEParser } from './sse-parser.js';
+
+export async function requestCompletion(baseUrl, body, { signal } = {}) {
+    const response = await fetch(`${baseUrl}/completion`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...body, stream: false }),
+        signal
+    });
+    
+    if (!response.ok) {
+        throw new Error(`LLaMA server responded with ${response.status}`);
+    }
+    
+    return response.json();
+}
+
+// Generation stats from the final stream chunk or a non-streaming response.
+// Older llama-server builds report stopped_eos/stopped_limit/stopped_word instead of stop_type.
+export function completionStats(data = {}) {
+    let stopType = data.stop_type ?? null;
+    if (!stopType) {
+        if (data.stopped_eos) stopType = 'eos';
+        else if (data.stopped_limit) stopType = 'limit';
+        else if (data.stopped_word) stopType = 'word';
+    }
+    
+    // Prompt tokens reused from the slot's KV cache. Builds without
+    // timings.cache_n only report the prompt size and what was evaluated.
+    const promptTokens = data.tokens_evaluated ?? null;
+    const evaluated = data.timings?.prompt_n ?? null;
+    const cachedTokens = data.timings?.cache_n
+        ?? (promptTokens !== null && evaluated !== null ? Math.max(0, promptTokens - evaluated) : null);
+    
+    return {
+        tokens_predicted: data.tokens_predicted ?? data.timings?.predicted_n ?? null,
+        stop_type: stopType,
+        prompt_tokens: promptTokens,
+        cached_tokens: cachedTokens,
+        timings: data.timings ?? null
+    };
+}
+
+// Run in the slot picked by the scheduler and keep the prompt in its cache,
+// so the next turn of the same chat only evaluates the new tokens
+export function slotOptions(slot) {
+    return slot ? { id_slot: slot.id, cache_prompt: true } : {};
+}
+
+// Stream a completion, calling onData for every parsed `data:` event.
+// Resolves once llama-server reports the stop chunk or closes the stream,
+// rejects if it reports an `error:` frame.
+export async function streamCompletion(baseUrl, body, { signal, onData, onParseError } = {}) {
+    const response = await fetch(`${baseUrl}/completion`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...body, stream: true }),
+        signal
+    });
+    
+    if (!response.ok) {
+        throw new Error(`LLaMA server responded with ${response.status}`);
+    }
+    
+    const reader = response.body.getReader();
+    let finished = false;
+    let streamError = null;
+    
+    const parser = new SSEParser((event) => {
+        if (finished) return;
+        
+        if (event.type === 'error') {
+            streamError = new Error(`LLaMA server error: ${errorMessage(event.data)}`);
+            finished = true;
+            return;
+        }
+        if (event.type !== 'message') return;
+        
+        if (event.data === '[DONE]') {
+            finished = true;
+            return;
+        }
+        
+        let jsonData;
+        try {
+            jsonData = JSON.parse(event.data);
+        } catch (e) {
+            onParseError?.(e, event.data);
+            return;
+        }
+        
+        onData?.(jsonData);
+        if (jsonData.stop) {
+            finished = true;
+        }
+    });
+    
+    while (!finished) {
+        const { done, value } = await reader.read();
+        if (done) {
+            parser.end();
+            break;
+        }
+        parser.push(value);
+    }
+    
+    if (finished) {
+        await reader.cancel().catch(() => {});
+    }
+    if (streamError) {
+        throw streamError;
+    }
+}
+
+// llama-server sends {"error": {"code", "message", "type"}} or the bare object
+function errorMessage(data) {
+    try {
+        const parsed = JSON.parse(data);
+        return parsed.error?.message || parsed.message || data;
+    } catch (e) {
+        return data;
+    }
+}
@@ -0,0 +1,235 @@
+// Supervised llama-server process
+//
+// Spawns llama-server, polls its /health endpoint to track the real state
+// (starting -> loading -> ready) and restarts it with exponential backoff
+// when it exits unexpectedly (crashed). Emits 'state' on every change.
+
+import { EventEmitter } from 'events';
+import { spawn } from 'child_process';
+
+const HEALTH_INTERVAL = 1000;
+const READY_HEALTH_INTERVAL = 5000;
+const MAX_HEALTH_FAILURES = 3;
+const STOP_TIMEOUT = 10000;
+const MIN_BACKOFF = 1000;
+const MAX_BACKOFF = 60000;
+// A process that stays ready this long resets the backoff
+const STABLE_UPTIME = 60000;
+
+export class LlamaSupervisor extends EventEmitter {
+    constructor(options) {
+        super();
+        // Used in log lines, several supervised servers can run side by side
+        this.name = options.name || 'LLaMA server';
+        this.binary = options.binary;
+        this.host = options.host;
+        this.port = options.port;
+        this.buildArgs = options.buildArgs;
+        this.logger = options.logger;
+        this.loadTimeout = options.loadTimeout || 300000;
+        
+        this.url = `http://${options.host}:${options.port}`;
+        this.state = 'stopped';
+        this.model = null;
+        this.process = null;
+        this.restarts = 0;
+        this.lastError = null;
+        this.lastExit = null;
+        this.spawnedAt = null;
+        this.readyAt = null;
+        
+        this.backoff = MIN_BACKOFF;
+        this.healthTimer = null;
+        this.restartTimer = null;
+        this.healthFailures = 0;
+        this.stopping = false;
+    }
+    
+    getStatus() {
+        return {
+            state: this.state,
+            model: this.model,
+            pid: this.process?.pid || null,
+            uptimeMs: this.readyAt ? Date.now() - this.readyAt : 0,
+            loadingMs: this.state === 'starting' || this.state === 'loading'
+                ? Date.now() - this.spawnedAt
+                : 0,
+            restarts: this.restarts,
+            lastError: this.lastError,
+            lastExit: this.lastExit
+        };
+    }
+    
+    isReady() {
+        return this.state === 'ready';
+    }
+    
+    setState(state, error = null) {
+        const changed = state !== this.state;
+        this.state = state;
+        if (error) {
+            this.lastError = { message: error, at: new Date().toISOString() };
+        }
+        if (changed || error) {
+            const level = state === 'crashed' ? 'error' : 'info';
+            this.logger[level](`${this.name} state: ${state}`, error ? { error } : null);
+            this.emit('state', this.getStatus());
+        }
+    }
+    
+    async start(model) {
+        this.model = model;
+        this.stopping = false;
+        this.spawn();
+    }
+    
+    // Restart with a different model; an intentional stop is not a crash
+    async switchModel(model) {
+        await this.stop();
+        this.backoff = MIN_BACKOFF;
+        await this.start(model);
+    }
+    
+    spawn() {
+        clearTimeout(this.restartTimer);
+        this.restartTimer = null;
+        
+        this.logger.info(`Starting ${this.name} with model ${this.model}...`);
+        
+        const child = spawn(this.binary, this.buildArgs(this.model));
+        this.process = child;
+        this.spawnedAt = Date.now();
+        this.readyAt = null;
+        this.healthFailures = 0;
+        this.setState('starting');
+        
+        child.stdout.on('data', (data) => {
+            this.logger.info(`${this.name}: ${data.toString().trim()}`);
+        });
+        
+        child.stderr.on('data', (data) => {
+            this.logger.error(`${this.name} error: ${data}`);
+        });
+        
+        child.on('error', (error) => {
+            this.logger.error(`Failed to start ${this.name}:`, error.message);
+            this.lastError = { message: error.message, at: new Date().toISOString() };
+            // A failed spawn never emits 'exit'
+            if (!child.pid) {
+                this.handleExit(child, null, null);
+            }
+        });
+        
+        child.on('exit', (code, signal) => this.handleExit(child, code, signal));
+        
+        this.scheduleHealthCheck(HEALTH_INTERVAL);
+    }
+    
+    handleExit(child, code, signal) {
+        if (child !== this.process) return;
+        
+        clearTimeout(this.healthTimer);
+        this.process = null;
+        this.lastExit = { code, signal, at: new Date().toISOString() };
+        
+        if (this.stopping) {
+            this.readyAt = null;
+            this.setState('stopped');
+            return;
+        }
+        
+        // Long stable runs start the backoff from scratch again
+        if (this.readyAt && Date.now() - this.readyAt > STABLE_UPTIME) {
+            this.backoff = MIN_BACKOFF;
+        }
+        this.readyAt = null;
+        
+        const delay = this.backoff;
+        this.backoff = Math.min(this.backoff * 2, MAX_BACKOFF);
+        this.setState('crashed', `${this.name} exited unexpectedly (code ${code ?? signal}), restarting in ${delay}ms`);
+        
+        this.restartTimer = setTimeout(() => {
+            this.restarts++;
+            this.spawn();
+        }, delay);
+    }
+    
+    scheduleHealthCheck(delay) {
+        clearTimeout(this.healthTimer);
+        this.healthTimer = setTimeout(() => this.checkHealth(), delay);
+    }
+    
+    async checkHealth() {
+        const child = this.process;
+        if (!child) return;
+        
+        let state;
+        try {
+            const response = await fetch(`${this.url}/health`, { signal: AbortSignal.timeout(5000) });
+            // llama-server answers 503 while the model is still loading
+            state = response.ok ? 'ready' : response.status === 503 ? 'loading' : null;
+        } catch (error) {
+            state = null;
+        }
+        
+        if (child !== this.process) return;
+        
+        if (state === 'ready') {
+            this.healthFailures = 0;
+            if (this.state !== 'ready') {
+                this.readyAt = Date.now();
+                this.logger.info(`${this.name} is ready`, { loadMs: this.readyAt - this.spawnedAt });
+                this.setState('ready');
+            }
+            this.scheduleHealthCheck(READY_HEALTH_INTERVAL);
+            return;
+        }
+        
+        if (state === 'loading') {
+            this.setState('loading');
+        } else if (this.state === 'ready' && ++this.healthFailures >= MAX_HEALTH_FAILURES) {
+            // Process is alive but stopped answering, treat it as a crash
+            this.logger.error(`${this.name} is not responding to health checks, killing it`);
+            child.kill('SIGKILL');
+            return;
+        }
+        
+        if ((this.state === 'starting' || this.state === 'loading') &&
+            Date.now() - this.spawnedAt > this.loadTimeout) {
+            this.logger.error(`Timed out waiting for the model to load, killing ${this.name}`);
+            this.lastError = { message: 'Timed out waiting for the model to load', at: new Date().toISOString() };
+            child.kill('SIGKILL');
+            return;
+        }
+        
+        this.scheduleHealthCheck(this.state === 'ready' ? READY_HEALTH_INTERVAL : HEALTH_INTERVAL);
+    }
+    
+    stop() {
+        this.stopping = true;
+        clearTimeout(this.healthTimer);
+        clearTimeout(this.restartTimer);
+        
+        const child = this.process;
+        return new Promise(resolve => {
+            if (!child) {
+                this.setState('stopped');
+                resolve();
+                return;
+            }
+            
+            this.setState('stopping');
+            
+            const timer = setTimeout(() => {
+                this.logger.warn(`${this.name} did not exit in time, killing it`);
+                child.kill('SIGKILL');
+            }, STOP_TIMEOUT);
+            
+            child.once('exit', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+            child.kill('SIGTERM');
+        });
+    }
+}
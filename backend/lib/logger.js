@@ -0,0 +1,276 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Logger shared by the server and the CLI
+//
+// Entries go to the log file as JSON lines through a write stream, so a slow
+// SD card never blocks the event loop. While the stream is backed up debug
+// entries are dropped instead of piling up in memory. The file is rotated
+// when it grows past maxSize or the day changes, keeping maxFiles old files.
+//
+// Chat contents (prompts, messages, replies) are redacted unless logPrompts
+// is set; credentials are always redacted.
+
+const BACKEND_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, fatal: 50 };
+
+const COLORS = {
+    debug: '\x1b[36m',
+    info: '\x1b[32m',
+    warn: '\x1b[33m',
+    error: '\x1b[31m',
+    fatal: '\x1b[35m'
+};
+
+const SECRET_KEYS = new Set(['authorization', 'cookie', 'password', 'passwordHash', 'secret', 'token', 'hash']);
+const PROMPT_KEYS = new Set(['prompt', 'content', 'messages', 'message', 'response', 'text', 'systemPrompt', 'input']);
+
+const MAX_STRING = 2000;
+const MAX_ITEMS = 50;
+const MAX_DEPTH = 6;
+const MAX_BUFFERED = 4 * 1024 * 1024;
+
+// Relative log paths live under backend/, wherever the process was started from
+export function resolveLogFile(file) {
+    return path.resolve(BACKEND_DIR, file);
+}
+
+// Rotated files sit next to the log: openchatmobile-20250101-120000-000.log
+function rotatedPath(file, date) {
+    const { dir, name, ext } = path.parse(file);
+    const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').slice(0, 19);
+    return path.join(dir, `${name}-${stamp}${ext}`);
+}
+
+// Rotated files for a log, oldest first
+export function listRotatedFiles(file) {
+    const { dir, name, ext } = path.parse(file);
+    const pattern = new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-\\d{8}-\\d{6}-\\d{3}${ext.replace('.', '\\.')}$`);
+    
+    try {
+        return fs.readdirSync(dir)
+            .filter(entry => pattern.test(entry))
+            .sort()
+            .map(entry => path.join(dir, entry));
+    } catch (error) {
+        return [];
+    }
+}
+
+// Entries written by the JSON-lines logger, null for anything else
+export function parseLogLine(line) {
+    if (!line.startsWith('{')) return null;
+    try {
+        const entry = JSON.parse(line);
+        return entry.time && entry.level ? entry : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function currentPeriod(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+function describeRedacted(value) {
+    if (typeof value === 'string') return `[redacted ${value.length} chars]`;
+    if (Array.isArray(value)) return `[redacted ${value.length} items]`;
+    return '[redacted]';
+}
+
+// Copy of `value` that is safe and small enough to log
+export function sanitize(value, { logPrompts = false } = {}, depth = 0) {
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+    }
+    if (typeof value === 'string') {
+        return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}… [${value.length} chars]` : value;
+    }
+    if (typeof value === 'bigint') return value.toString();
+    if (!value || typeof value !== 'object') return value;
+    if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+    if (depth >= MAX_DEPTH) return '[object]';
+    
+    if (Array.isArray(value)) {
+        const items = value.slice(0, MAX_ITEMS).map(item => sanitize(item, { logPrompts }, depth + 1));
+        if (value.length > MAX_ITEMS) items.push(`… ${value.length - MAX_ITEMS} more`);
+        return items;
+    }
+    
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+        if (item === undefined) return;
+        
+        if (SECRET_KEYS.has(key) && item !== null) {
+            result[key] = '[redacted]';
+        } else if (!logPrompts && PROMPT_KEYS.has(key) && item !== null && item !== '') {
+            result[key] = describeRedacted(item);
+        } else {
+            result[key] = sanitize(item, { logPrompts }, depth + 1);
+        }
+    });
+    return result;
+}
+
+export class Logger {
+    constructor({
+        file = null,
+        level = 'info',
+        verbose = false,
+        source = 'server',
+        maxSizeMB = 10,
+        maxFiles = 5,
+        rotate = true,
+        logPrompts = false,
+        consoleOutput = true
+    } = {}) {
+        this.level = verbose ? 'debug' : (LOG_LEVELS[level] ? level : 'info');
+        this.source = source;
+        this.maxSize = Number(maxSizeMB) * 1024 * 1024;
+        this.maxFiles = Number(maxFiles);
+        this.rotateFiles = rotate;
+        this.logPrompts = logPrompts;
+        this.consoleOutput = consoleOutput;
+        
+        this.file = file ? resolveLogFile(file) : null;
+        this.stream = null;
+        this.pending = [];
+        this.size = 0;
+        this.period = currentPeriod();
+        this.rotating = false;
+        this.dropped = 0;
+        
+        if (this.file) {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            try {
+                const stats = fs.statSync(this.file);
+                this.size = stats.size;
+                this.period = currentPeriod(stats.mtime);
+            } catch (error) {
+                // New log file
+            }
+            this.openStream();
+        }
+    }
+    
+    isEnabled(level) {
+        return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+    }
+    
+    log(level, message, data = null) {
+        if (!this.isEnabled(level)) return;
+        
+        const time = new Date().toISOString();
+        const safeData = data === null || data === undefined ? null : sanitize(data, { logPrompts: this.logPrompts });
+        
+        if (this.consoleOutput) {
+            const color = COLORS[level] || '';
+            console.log(`${color}[${time}] [${level.toUpperCase()}] ${message}\x1b[0m`);
+            if (safeData !== null && this.level === 'debug') {
+                console.log('\x1b[2m' + JSON.stringify(safeData, null, 2) + '\x1b[0m');
+            }
+        }
+        
+        if (!this.file) return;
+        
+        // Slow storage: drop debug entries rather than buffering without limit
+        if (level === 'debug' && this.stream && this.stream.writableLength > MAX_BUFFERED) {
+            this.dropped++;
+            return;
+        }
+        
+        const entry = { time, level, source: this.source, pid: process.pid, msg: message };
+        if (safeData !== null) entry.data = safeData;
+        this.write(JSON.stringify(entry) + '\n');
+    }
+    
+    write(line) {
+        const bytes = Buffer.byteLength(line);
+        if (this.shouldRotate(bytes)) {
+            this.rotate();
+        }
+        
+        if (!this.stream) {
+            this.pending.push(line);
+            return;
+        }
+        this.stream.write(line);
+        this.size += bytes;
+    }
+    
+    shouldRotate(bytes) {
+        if (!this.rotateFiles || this.rotating || !this.stream) return false;
+        if (this.maxSize > 0 && this.size > 0 && this.size + bytes > this.maxSize) return true;
+        return this.period !== currentPeriod();
+    }
+    
+    openStream() {
+        this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+        this.stream.on('error', (error) => {
+            process.stderr.write(`Log file ${this.file} is not writable: ${error.message}\n`);
+            this.stream = null;
+            this.file = null;
+            this.pending = [];
+        });
+        this.stream.on('drain', () => {
+            if (this.dropped === 0) return;
+            const dropped = this.dropped;
+            this.dropped = 0;
+            this.warn(`Dropped ${dropped} debug log entries while the log file was busy`);
+        });
+        
+        const pending = this.pending;
+        this.pending = [];
+        pending.forEach(line => {
+            this.stream.write(line);
+            this.size += Buffer.byteLength(line);
+        });
+    }
+    
+    // Entries logged meanwhile wait in `pending` until the new file is open
+    rotate() {
+        const previous = this.stream;
+        const target = rotatedPath(this.file, new Date());
+        
+        this.rotating = true;
+        this.stream = null;
+        this.size = 0;
+        this.period = currentPeriod();
+        
+        previous.end(() => {
+            fs.rename(this.file, target, (error) => {
+                if (error) {
+                    process.stderr.write(`Log rotation failed: ${error.message}\n`);
+                }
+                this.rotating = false;
+                if (!this.file) return;
+                
+                this.openStream();
+                this.prune();
+            });
+        });
+    }
+    
+    prune() {
+        const rotated = listRotatedFiles(this.file);
+        rotated.slice(0, Math.max(0, rotated.length - this.maxFiles)).forEach(file => {
+            fs.unlink(file, () => {});
+        });
+    }
+    
+    // Flush buffered entries, used before the process exits
+    close() {
+        return new Promise(resolve => {
+            if (!this.stream) return resolve();
+            this.stream.end(resolve);
+        });
+    }
+    
+    debug(message, data = null) { this.log('debug', message, data); }
+    info(message, data = null) { this.log('info', message, data); }
+    warn(message, data = null) { this.log('warn', message, data); }
+    error(message, data = null) { this.log('error', message, data); }
+    fatal(message, data = null) { this.log('fatal', message, data); }
+}
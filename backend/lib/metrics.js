@@ -0,0 +1,277 @@
+// In-process metrics in the Prometheus text format
+//
+// A small registry (counters, gauges, histograms with labels) is enough here,
+// the server is scraped by Prometheus or read with curl, no agent needed.
+// Values that already live elsewhere (queue depth, llama-server restarts) are
+// read through `collect` callbacks at scrape time.
+
+const HTTP_BUCKETS = [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 120];
+const TTFT_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 60];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, name, help, { labelNames = [], collect = null } = {}) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collectFn = collect;
+        this.values = new Map(); // label values key -> { labels, value }
+    }
+    
+    entry(labels = {}) {
+        const key = this.labelNames.map(name => labels[name] ?? '').join('\u0000');
+        if (!this.values.has(key)) {
+            const picked = {};
+            this.labelNames.forEach(name => { picked[name] = labels[name] ?? ''; });
+            this.values.set(key, { labels: picked, value: 0 });
+        }
+        return this.values.get(key);
+    }
+    
+    // [{ labels, value }] from the callback, or the stored values
+    samples() {
+        if (this.collectFn) {
+            const collected = this.collectFn();
+            return typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+        }
+        if (this.values.size === 0 && this.labelNames.length === 0) {
+            return [{ labels: {}, value: 0 }];
+        }
+        return [...this.values.values()];
+    }
+    
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        this.samples().forEach(({ labels, value }) => {
+            lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        });
+        return lines.join('\n');
+    }
+}
+
+export class Counter extends Metric {
+    constructor(name, help, options) {
+        super('counter', name, help, options);
+    }
+    
+    inc(labels = {}, value = 1) {
+        this.entry(labels).value += value;
+    }
+}
+
+export class Gauge extends Metric {
+    constructor(name, help, options) {
+        super('gauge', name, help, options);
+    }
+    
+    set(labels, value) {
+        this.entry(labels).value = value;
+    }
+    
+    inc(labels = {}, value = 1) {
+        this.entry(labels).value += value;
+    }
+    
+    dec(labels = {}, value = 1) {
+        this.entry(labels).value -= value;
+    }
+}
+
+export class Histogram extends Metric {
+    constructor(name, help, { buckets = HTTP_BUCKETS, ...options } = {}) {
+        super('histogram', name, help, options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+    
+    observe(labels = {}, value) {
+        const entry = this.entry(labels);
+        if (!entry.counts) {
+            entry.counts = this.buckets.map(() => 0);
+            entry.sum = 0;
+            entry.count = 0;
+        }
+        
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+    
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        this.values.forEach(({ labels, counts, sum, count }) => {
+            if (!counts) return;
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        });
+        return lines.join('\n');
+    }
+}
+
+export class MetricsRegistry {
+    constructor(prefix = '') {
+        this.prefix = prefix;
+        this.metrics = [];
+    }
+    
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+    
+    counter(name, help, options) {
+        return this.register(new Counter(this.prefix + name, help, options));
+    }
+    
+    gauge(name, help, options) {
+        return this.register(new Gauge(this.prefix + name, help, options));
+    }
+    
+    histogram(name, help, options) {
+        return this.register(new Histogram(this.prefix + name, help, options));
+    }
+    
+    render() {
+        return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+// Metrics exported by the OpenChatMobile server. `sources` gives read access
+// to state owned by other components: scheduler, llama supervisor, WebSocket clients.
+export class ServerMetrics {
+    constructor({ sources = {} } = {}) {
+        const registry = new MetricsRegistry('openchatmobile_');
+        this.registry = registry;
+        
+        this.httpRequests = registry.counter('http_requests_total', 'HTTP requests by route and status', {
+            labelNames: ['method', 'route', 'status']
+        });
+        this.httpDuration = registry.histogram('http_request_duration_seconds', 'HTTP request duration', {
+            labelNames: ['method', 'route'],
+            buckets: HTTP_BUCKETS
+        });
+        
+        this.wsConnections = registry.counter('websocket_connections_total', 'WebSocket connections accepted');
+        this.wsRejected = registry.counter('websocket_rejected_total', 'WebSocket connections rejected', {
+            labelNames: ['reason']
+        });
+        registry.gauge('websocket_clients', 'Connected WebSocket clients', {
+            collect: () => sources.wsClients?.() ?? 0
+        });
+        
+        this.generationsStarted = registry.counter('generations_started_total', 'Generations that got a llama-server slot', {
+            labelNames: ['transport']
+        });
+        this.generationsFinished = registry.counter('generations_finished_total', 'Generations by outcome (completed, aborted, failed)', {
+            labelNames: ['transport', 'outcome']
+        });
+        this.tokensGenerated = registry.counter('tokens_generated_total', 'Tokens generated by llama-server', {
+            labelNames: ['transport']
+        });
+        this.ttft = registry.histogram('time_to_first_token_seconds', 'Time from getting a slot to the first streamed token', {
+            labelNames: ['transport'],
+            buckets: TTFT_BUCKETS
+        });
+        this.promptTokens = registry.counter('prompt_tokens_total', 'Prompt tokens sent to llama-server, by source (cached in the slot or evaluated)', {
+            labelNames: ['transport', 'source']
+        });
+        this.toolCalls = registry.counter('tool_calls_total', 'Tool calls run for the model, by tool and outcome (ok or the error code)', {
+            labelNames: ['tool', 'outcome']
+        });
+        
+        registry.gauge('queue_depth', 'Generations waiting for a free slot', {
+            collect: () => sources.scheduler?.().queued ?? 0
+        });
+        registry.gauge('slots_busy', 'llama-server slots in use', {
+            collect: () => sources.scheduler?.().busy ?? 0
+        });
+        registry.counter('slot_cache_total', 'Slot assignments that reused a chat\'s cached prompt or evicted another chat\'s', {
+            labelNames: ['result'],
+            collect: () => {
+                const totals = sources.scheduler?.().totals || {};
+                return [
+                    { labels: { result: 'reused' }, value: totals.reused ?? 0 },
+                    { labels: { result: 'evicted' }, value: totals.evicted ?? 0 }
+                ];
+            }
+        });
+        registry.counter('queue_rejected_total', 'Generations rejected because the queue was full or timed out', {
+            labelNames: ['reason'],
+            collect: () => {
+                const totals = sources.scheduler?.().totals || {};
+                return [
+                    { labels: { reason: 'full' }, value: totals.rejected ?? 0 },
+                    { labels: { reason: 'timeout' }, value: totals.timedOut ?? 0 }
+                ];
+            }
+        });
+        
+        registry.gauge('llama_up', 'Whether llama-server is ready (1) or not (0)', {
+            collect: () => (sources.llama?.().state === 'ready' ? 1 : 0)
+        });
+        registry.counter('llama_restarts_total', 'llama-server restarts after a crash', {
+            collect: () => sources.llama?.().restarts ?? 0
+        });
+        
+        registry.gauge('process_resident_memory_bytes', 'Resident memory of the Node.js process', {
+            collect: () => process.memoryUsage().rss
+        });
+        registry.gauge('process_uptime_seconds', 'Uptime of the Node.js process', {
+            collect: () => Math.round(process.uptime())
+        });
+    }
+    
+    // Express middleware. Unmatched routes are grouped so static files and
+    // scanners can't blow up the label cardinality.
+    middleware() {
+        return (req, res, next) => {
+            const start = process.hrtime.bigint();
+            res.on('finish', () => {
+                const route = req.route ? req.baseUrl + req.route.path : 'other';
+                const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+                this.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+                this.httpDuration.observe({ method: req.method, route }, seconds);
+            });
+            next();
+        };
+    }
+    
+    generationStarted(transport) {
+        this.generationsStarted.inc({ transport });
+    }
+    
+    generationFinished(transport, outcome, { tokens = 0, ttftMs = null, promptTokens = null, cachedTokens = null } = {}) {
+        this.generationsFinished.inc({ transport, outcome });
+        if (tokens > 0) this.tokensGenerated.inc({ transport }, tokens);
+        if (ttftMs !== null) this.ttft.observe({ transport }, ttftMs / 1000);
+        if (promptTokens !== null && cachedTokens !== null) {
+            this.promptTokens.inc({ transport, source: 'cached' }, cachedTokens);
+            this.promptTokens.inc({ transport, source: 'evaluated' }, Math.max(0, promptTokens - cachedTokens));
+        }
+    }
+    
+    render() {
+        return this.registry.render();
+    }
+}
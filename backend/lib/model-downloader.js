@@ -0,0 +1,279 @@
+// Model download manager
+//
+// Downloads GGUF files into models/ with HTTP Range resume, progress events,
+// sha256 verification and an atomic rename once the file is complete.
+// Sources are either entries of models/catalog.json or plain URLs, and can be
+// redirected to a local HTTP mirror for offline installs. Without a sha256 in
+// the catalog or on the command line, the one Hugging Face publishes for the
+// file is used; with none of them the download is refused unless unverified
+// downloads are allowed explicitly.
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MODELS_DIR = path.join(__dirname, '../../models');
+export const CATALOG_FILE = path.join(MODELS_DIR, 'catalog.json');
+
+const PROGRESS_INTERVAL = 500;
+
+export function loadCatalog() {
+    if (!fs.existsSync(CATALOG_FILE)) {
+        return [];
+    }
+    return JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8')).models || [];
+}
+
+// Resolve a catalog name or URL into { file, url, sha256 }. checksumUrl keeps
+// the original URL, whose published sha256 still applies to a mirrored copy.
+export function resolveSource(nameOrUrl, { mirror = null, sha256 = null, allowUnverified = false } = {}) {
+    let source;
+    
+    if (/^https?:\/\//i.test(nameOrUrl)) {
+        const file = decodeURIComponent(new URL(nameOrUrl).pathname.split('/').pop());
+        source = { name: file, file, url: nameOrUrl, checksumUrl: nameOrUrl, sha256: null };
+    } else {
+        const entry = loadCatalog().find(m => m.name === nameOrUrl || m.file === nameOrUrl);
+        if (!entry) {
+            throw new Error(`Unknown model "${nameOrUrl}". Use a catalog name or a URL`);
+        }
+        source = { name: entry.name, file: entry.file, url: entry.url, checksumUrl: entry.url, sha256: entry.sha256 || null };
+    }
+    
+    if (!source.file.endsWith('.gguf') || source.file !== path.basename(source.file)) {
+        throw new Error(`Invalid model file name: ${source.file}`);
+    }
+    
+    // A mirror serves the same file names from its own base URL
+    if (mirror) {
+        source.url = `${mirror.replace(/\/+$/, '')}/${encodeURIComponent(source.file)}`;
+    }
+    
+    if (sha256) {
+        source.sha256 = sha256;
+    }
+    if (source.sha256) {
+        source.sha256 = source.sha256.toLowerCase();
+    }
+    source.allowUnverified = Boolean(allowUnverified);
+    
+    return source;
+}
+
+// Hugging Face answers resolve/ URLs with a redirect whose X-Linked-Etag is
+// the sha256 of the LFS file. Null for other hosts.
+async function linkedSha256(url, signal) {
+    try {
+        const response = await fetch(url, { method: 'HEAD', redirect: 'manual', signal });
+        const etag = (response.headers.get('x-linked-etag') || '').replace(/^W\//, '').replace(/"/g, '').toLowerCase();
+        return /^[a-f0-9]{64}$/.test(etag) ? etag : null;
+    } catch (error) {
+        if (signal.aborted) throw error;
+        return null;
+    }
+}
+
+function hashFile(filePath, hash) {
+    return new Promise((resolve, reject) => {
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', resolve)
+            .on('error', reject);
+    });
+}
+
+export class ModelDownloader extends EventEmitter {
+    constructor({ modelsDir = MODELS_DIR, logger = null } = {}) {
+        super();
+        this.modelsDir = modelsDir;
+        this.logger = logger;
+        this.downloads = new Map();
+    }
+    
+    list() {
+        return Array.from(this.downloads.values()).map(d => this.describe(d));
+    }
+    
+    describe(download) {
+        return {
+            id: download.id,
+            name: download.name,
+            file: download.file,
+            url: download.url,
+            status: download.status,
+            receivedBytes: download.receivedBytes,
+            totalBytes: download.totalBytes,
+            progress: download.totalBytes ? download.receivedBytes / download.totalBytes : null,
+            sha256: download.actualSha256 || null,
+            verified: download.verified,
+            error: download.error
+        };
+    }
+    
+    emitProgress(download, force = false) {
+        const now = Date.now();
+        if (!force && now - download.lastProgressAt < PROGRESS_INTERVAL) return;
+        download.lastProgressAt = now;
+        this.emit('progress', this.describe(download));
+    }
+    
+    // Start a download; resolves with the final path once verified and renamed
+    download(source) {
+        if (this.downloads.has(source.file)) {
+            throw new Error(`${source.file} is already being downloaded`);
+        }
+        
+        const finalPath = path.join(this.modelsDir, source.file);
+        if (fs.existsSync(finalPath)) {
+            throw new Error(`${source.file} already exists in models/`);
+        }
+        
+        const download = {
+            id: crypto.randomUUID(),
+            ...source,
+            status: 'starting',
+            receivedBytes: 0,
+            totalBytes: null,
+            verified: false,
+            actualSha256: null,
+            error: null,
+            lastProgressAt: 0,
+            controller: new AbortController()
+        };
+        this.downloads.set(source.file, download);
+        
+        download.promise = this.run(download, finalPath).finally(() => {
+            this.downloads.delete(source.file);
+        });
+        
+        return download;
+    }
+    
+    cancel(file) {
+        const download = this.downloads.get(file);
+        if (!download) return false;
+        download.controller.abort();
+        return true;
+    }
+    
+    async run(download, finalPath) {
+        const partPath = `${finalPath}.part`;
+        const hash = crypto.createHash('sha256');
+        
+        try {
+            fs.mkdirSync(this.modelsDir, { recursive: true });
+            
+            if (!download.sha256) {
+                download.sha256 = await linkedSha256(download.checksumUrl, download.controller.signal);
+                if (download.sha256) {
+                    this.logger?.info(`Using the published sha256 of ${download.file}`, { sha256: download.sha256 });
+                } else if (download.allowUnverified) {
+                    this.logger?.warn(`No sha256 known for ${download.file}, downloading it UNVERIFIED as requested`);
+                } else {
+                    throw new Error(`No sha256 known for ${download.file}, so it can't be verified. Give the expected sha256 (--sha256) or allow an unverified download (--allow-unverified)`);
+                }
+            }
+            
+            // Resume from a previous partial download
+            let offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+            const headers = offset > 0 ? { Range: `bytes=${offset}-` } : {};
+            
+            const response = await fetch(download.url, {
+                headers,
+                signal: download.controller.signal
+            });
+            
+            if (response.status === 416 && offset > 0) {
+                const total = parseInt((response.headers.get('content-range') || '').split('/')[1], 10);
+                if (total !== offset) {
+                    fs.rmSync(partPath, { force: true });
+                    throw new Error('Partial download does not match the remote file, it was removed. Try again');
+                }
+                // The partial file already holds the whole model
+                download.totalBytes = offset;
+            } else if (!response.ok) {
+                throw new Error(`Download failed: HTTP ${response.status}`);
+            }
+            
+            if (response.status !== 206 && response.status !== 416 && offset > 0) {
+                this.logger?.info(`Server ignored Range request, restarting ${download.file}`);
+                offset = 0;
+            }
+            
+            if (offset > 0) {
+                await hashFile(partPath, hash);
+                this.logger?.info(`Resuming ${download.file} at ${offset} bytes`);
+            }
+            
+            download.receivedBytes = offset;
+            if (response.status !== 416) {
+                const length = parseInt(response.headers.get('content-length'), 10);
+                download.totalBytes = Number.isFinite(length) ? offset + length : null;
+            }
+            
+            download.status = 'downloading';
+            this.emitProgress(download, true);
+            
+            if (response.status !== 416) {
+                // pipeline() settles on write errors too (ENOSPC), so the
+                // download is always removed from the list
+                await pipeline(
+                    Readable.fromWeb(response.body),
+                    async function* (chunks) {
+                        for await (const chunk of chunks) {
+                            hash.update(chunk);
+                            download.receivedBytes += chunk.length;
+                            this.emitProgress(download);
+                            yield chunk;
+                        }
+                    }.bind(this),
+                    fs.createWriteStream(partPath, { flags: offset > 0 ? 'a' : 'w' })
+                );
+            }
+            
+            if (download.totalBytes !== null && download.receivedBytes !== download.totalBytes) {
+                throw new Error(`Incomplete download: ${download.receivedBytes}/${download.totalBytes} bytes`);
+            }
+            
+            download.status = 'verifying';
+            this.emitProgress(download, true);
+            
+            download.actualSha256 = hash.digest('hex');
+            if (download.sha256) {
+                if (download.actualSha256 !== download.sha256) {
+                    // A corrupt partial file must not be resumed again
+                    fs.rmSync(partPath, { force: true });
+                    throw new Error(`Checksum mismatch for ${download.file}: expected ${download.sha256}, got ${download.actualSha256}`);
+                }
+                download.verified = true;
+            }
+            
+            const fd = fs.openSync(partPath, 'r');
+            fs.fsyncSync(fd);
+            fs.closeSync(fd);
+            fs.renameSync(partPath, finalPath);
+            
+            download.status = 'completed';
+            this.emitProgress(download, true);
+            this.logger?.info(`Model downloaded: ${download.file}`, {
+                bytes: download.receivedBytes,
+                sha256: download.actualSha256,
+                verified: download.verified
+            });
+            
+            return finalPath;
+        } catch (error) {
+            download.status = download.controller.signal.aborted ? 'cancelled' : 'failed';
+            download.error = download.controller.signal.aborted ? 'Download cancelled' : error.message;
+            this.emitProgress(download, true);
+            this.logger?.error(`Model download ${download.status}: ${download.file}`, { error: download.error });
+            throw new Error(download.error);
+        }
+    }
+}
@@ -0,0 +1,312 @@
+// OpenAI-compatible REST API
+//
+// Exposes /v1/models, /v1/chat/completions and /v1/completions on top of
+// llama-server's native /completion endpoint so existing OpenAI clients can
+// talk to OpenChatMobile without the WebSocket protocol.
+
+import crypto from 'crypto';
+import { normalizeMessages } from './chat-template.js';
+import { requestCompletion, streamCompletion, slotOptions } from './llama-client.js';
+
+class OpenAIError extends Error {
+    constructor(status, message, param = null, type = 'invalid_request_error') {
+        super(message);
+        this.status = status;
+        this.param = param;
+        this.type = type;
+    }
+}
+
+function sendError(res, error) {
+    const status = error.status || 500;
+    res.status(status).json({
+        error: {
+            message: error.message,
+            type: error.type || (status < 500 ? 'invalid_request_error' : 'server_error'),
+            param: error.param || null,
+            code: error.code || null
+        }
+    });
+}
+
+// Content may be a plain string or an array of typed parts
+function contentToText(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content
+            .filter(part => part?.type === 'text')
+            .map(part => part.text)
+            .join('');
+    }
+    return '';
+}
+
+function toChatMessages(messages) {
+    if (!Array.isArray(messages)) {
+        throw new OpenAIError(400, 'messages must be an array', 'messages');
+    }
+    
+    try {
+        return normalizeMessages(messages.map(msg => ({
+            role: msg?.role === 'developer' ? 'system' : msg?.role,
+            content: contentToText(msg?.content)
+        })));
+    } catch (error) {
+        throw new OpenAIError(400, error.message, 'messages');
+    }
+}
+
+function assertModelReady(ctx) {
+    if (!ctx.isModelReady()) {
+        throw new OpenAIError(503, `Model ${ctx.getActiveModel()} is loading, try again when it is ready`, null, 'server_error');
+    }
+}
+
+function toStopList(stop) {
+    if (stop === undefined || stop === null) return [];
+    if (typeof stop === 'string') return [stop];
+    if (Array.isArray(stop) && stop.every(s => typeof s === 'string')) return stop;
+    throw new OpenAIError(400, 'stop must be a string or an array of strings', 'stop');
+}
+
+// Reply length, the server's max-tokens cap when the request leaves it out
+function maxTokensFor(body, ctx) {
+    return body.max_completion_tokens ?? body.max_tokens ?? ctx.maxTokens;
+}
+
+// Sampling options shared by both completion endpoints. `maxTokens` has
+// been through checkLimits.
+function toCompletionOptions(body, stop, maxTokens) {
+    const options = {
+        n_predict: maxTokens,
+        stop
+    };
+    
+    if (body.temperature !== undefined) options.temperature = body.temperature;
+    if (body.top_p !== undefined) options.top_p = body.top_p;
+    if (body.presence_penalty !== undefined) options.presence_penalty = body.presence_penalty;
+    if (body.frequency_penalty !== undefined) options.frequency_penalty = body.frequency_penalty;
+    if (body.seed !== undefined) options.seed = body.seed;
+    
+    return options;
+}
+
+function finishReason(data) {
+    return data.stop_type === 'limit' || data.stopped_limit ? 'length' : 'stop';
+}
+
+function usageFrom(data) {
+    const promptTokens = data.tokens_evaluated ?? data.timings?.prompt_n ?? 0;
+    const completionTokens = data.tokens_predicted ?? data.timings?.predicted_n ?? 0;
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+    };
+}
+
+function writeEvent(res, payload) {
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+}
+
+// Wait for a free llama-server slot and run the request in it. The signal
+// aborts both the wait and the upstream request when the HTTP client goes away.
+// run(controller, slot) adds `slot` (id_slot and cache_prompt) to its body.
+async function runInSlot(req, res, ctx, run) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+    
+    const release = await ctx.acquireSlot({ owner: `http:${req.ip}`, signal: controller.signal });
+    ctx.metrics.generationStarted('openai');
+    try {
+        const data = await run(controller, slotOptions(release.slot));
+        // Streams record their own outcome, see streamToClient
+        if (data) {
+            ctx.metrics.generationFinished('openai', 'completed', { tokens: usageFrom(data).completion_tokens });
+        }
+        return data;
+    } catch (error) {
+        ctx.metrics.generationFinished('openai', controller.signal.aborted ? 'aborted' : 'failed');
+        throw error;
+    } finally {
+        release();
+    }
+}
+
+// Run a streaming completion as an SSE response
+async function streamToClient(res, ctx, controller, body, { makeChunk, onStart }) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+    
+    onStart?.();
+    
+    const startedAt = Date.now();
+    let firstTokenAt = null;
+    let tokens = 0;
+    let last = null;
+    try {
+        await streamCompletion(ctx.llamaUrl, body, {
+            signal: controller.signal,
+            onData: (chunk) => {
+                if (chunk.content) {
+                    firstTokenAt ??= Date.now();
+                    tokens++;
+                    writeEvent(res, makeChunk(chunk.content, null));
+                }
+                if (chunk.stop) {
+                    last = chunk;
+                }
+            },
+            onParseError: (e) => ctx.logger.error('Error parsing stream data:', e.message)
+        });
+        
+        writeEvent(res, makeChunk(null, last ? finishReason(last) : 'stop', last ? usageFrom(last) : undefined));
+        res.write('data: [DONE]\n\n');
+        res.end();
+        ctx.metrics.generationFinished('openai', 'completed', {
+            tokens: last ? usageFrom(last).completion_tokens : tokens,
+            ttftMs: firstTokenAt ? firstTokenAt - startedAt : null
+        });
+    } catch (error) {
+        if (controller.signal.aborted) {
+            ctx.metrics.generationFinished('openai', 'aborted', { tokens });
+            ctx.logger.info('OpenAI stream aborted by client');
+            return;
+        }
+        ctx.metrics.generationFinished('openai', 'failed', { tokens });
+        ctx.logger.error('OpenAI stream error:', error);
+        writeEvent(res, { error: { message: error.message, type: 'server_error', param: null, code: null } });
+        res.end();
+    }
+}
+
+export function registerOpenAIRoutes(app, ctx) {
+    app.get('/v1/models', (req, res) => {
+        try {
+            const data = ctx.listModels().map(model => ({
+                id: model.name,
+                object: 'model',
+                created: Math.floor(new Date(model.modified).getTime() / 1000),
+                owned_by: 'openchatmobile'
+            }));
+            res.json({ object: 'list', data });
+        } catch (error) {
+            ctx.logger.error('Error listing models:', error);
+            sendError(res, error);
+        }
+    });
+    
+    app.post('/v1/chat/completions', async (req, res) => {
+        try {
+            assertModelReady(ctx);
+            
+            const body = req.body || {};
+            const messages = toChatMessages(body.messages);
+            const maxTokens = maxTokensFor(body, ctx);
+            ctx.checkLimits({ messages, maxTokens });
+            const { prompt, stop } = await ctx.buildChatPrompt(messages);
+            const completion = {
+                prompt,
+                ...toCompletionOptions(body, [...stop, ...toStopList(body.stop)], maxTokens)
+            };
+            
+            const id = `chatcmpl-${crypto.randomUUID()}`;
+            const created = Math.floor(Date.now() / 1000);
+            const model = ctx.getActiveModel();
+            
+            ctx.logger.info('OpenAI chat completion request:', {
+                messages: messages.length,
+                stream: Boolean(body.stream)
+            });
+            
+            if (body.stream) {
+                const base = { id, object: 'chat.completion.chunk', created, model };
+                return await runInSlot(req, res, ctx, (controller, slot) => streamToClient(res, ctx, controller, { ...completion, ...slot }, {
+                    onStart: () => writeEvent(res, {
+                        ...base,
+                        choices: [{ index: 0, delta: { role: 'assistant', content: '' }, finish_reason: null }]
+                    }),
+                    makeChunk: (content, reason, usage) => ({
+                        ...base,
+                        choices: [{ index: 0, delta: content !== null ? { content } : {}, finish_reason: reason }],
+                        ...(usage ? { usage } : {})
+                    })
+                }));
+            }
+            
+            const data = await runInSlot(req, res, ctx, ({ signal }, slot) => requestCompletion(ctx.llamaUrl, { ...completion, ...slot }, { signal }));
+            res.json({
+                id,
+                object: 'chat.completion',
+                created,
+                model,
+                choices: [{
+                    index: 0,
+                    message: { role: 'assistant', content: data.content },
+                    finish_reason: finishReason(data)
+                }],
+                usage: usageFrom(data)
+            });
+        } catch (error) {
+            ctx.logger.error('OpenAI chat completion error:', error);
+            sendError(res, error);
+        }
+    });
+    
+    app.post('/v1/completions', async (req, res) => {
+        try {
+            assertModelReady(ctx);
+            
+            const body = req.body || {};
+            const prompt = Array.isArray(body.prompt) ? body.prompt[0] : body.prompt;
+            if (typeof prompt !== 'string') {
+                throw new OpenAIError(400, 'prompt must be a string', 'prompt');
+            }
+            const maxTokens = maxTokensFor(body, ctx);
+            ctx.checkLimits({ message: prompt, maxTokens });
+            
+            const completion = { prompt, ...toCompletionOptions(body, toStopList(body.stop), maxTokens) };
+            const id = `cmpl-${crypto.randomUUID()}`;
+            const created = Math.floor(Date.now() / 1000);
+            const model = ctx.getActiveModel();
+            
+            ctx.logger.info('OpenAI completion request:', {
+                promptLength: prompt.length,
+                stream: Boolean(body.stream)
+            });
+            
+            if (body.stream) {
+                const base = { id, object: 'text_completion', created, model };
+                return await runInSlot(req, res, ctx, (controller, slot) => streamToClient(res, ctx, controller, { ...completion, ...slot }, {
+                    makeChunk: (text, reason, usage) => ({
+                        ...base,
+                        choices: [{ index: 0, text: text ?? '', logprobs: null, finish_reason: reason }],
+                        ...(usage ? { usage } : {})
+                    })
+                }));
+            }
+            
+            const data = await runInSlot(req, res, ctx, ({ signal }, slot) => requestCompletion(ctx.llamaUrl, { ...completion, ...slot }, { signal }));
+            res.json({
+                id,
+                object: 'text_completion',
+                created,
+                model,
+                choices: [{
+                    index: 0,
+                    text: data.content,
+                    logprobs: null,
+                    finish_reason: finishReason(data)
+                }],
+                usage: usageFrom(data)
+            });
+        } catch (error) {
+            ctx.logger.error('OpenAI completion error:', error);
+            sendError(res, error);
+        }
+    });
+}
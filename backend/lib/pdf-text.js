@@ -0,0 +1,790 @@
+// Minimal PDF text extraction
+//
+// Just enough of the format to read the text layer of ordinary PDFs: objects
+// (PDF 1.5 object streams included), the page tree, FlateDecode content
+// streams, form XObjects and the ToUnicode maps of embedded fonts. Objects are
+// found by scanning for `N G obj`, so broken xref tables don't matter.
+// Scanned PDFs have no text layer and come back as empty pages.
+
+import zlib from 'zlib';
+
+const MAX_PAGES = 2000;
+const MAX_XOBJECT_DEPTH = 4;
+const MAX_RANGE = 0x10000;
+// A flate stream can expand a thousandfold, so what each stream and the
+// whole file may inflate to is capped
+const MAX_STREAM_BYTES = 64 * 1024 * 1024;
+const MAX_INFLATED_BYTES = 256 * 1024 * 1024;
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+const REF_TAIL = /\s+\d+\s+R(?=[\s/[\]<>()%]|$)/y;
+
+// The file expands past MAX_STREAM_BYTES or MAX_INFLATED_BYTES
+export class PdfLimitError extends Error {
+    constructor(message, limit) {
+        super(message);
+        this.limit = limit;
+    }
+}
+
+const EOF = Symbol('eof');
+const ARRAY_END = Symbol('array end');
+const DICT_END = Symbol('dict end');
+
+// WinAnsiEncoding differs from latin1 in 0x80-0x9f
+const WIN_ANSI = {
+    0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+    0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+    0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+    0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+// Glyph names from /Differences that are neither single characters nor uniXXXX
+const GLYPH_NAMES = {
+    ff: 'ff', fi: 'fi', fl: 'fl', ffi: 'ffi', ffl: 'ffl', space: ' ', hyphen: '-', period: '.', comma: ',',
+    colon: ':', semicolon: ';', quoteright: '’', quoteleft: '‘', quotedblleft: '“', quotedblright: '”',
+    quotesingle: "'", quotedbl: '"', endash: '–', emdash: '—', bullet: '•', ellipsis: '…', parenleft: '(',
+    parenright: ')', bracketleft: '[', bracketright: ']', slash: '/', exclam: '!', question: '?'
+};
+
+class Name {
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+// Raw bytes as a latin1 string
+class PdfString {
+    constructor(bytes) {
+        this.bytes = bytes;
+    }
+}
+
+class Ref {
+    constructor(num) {
+        this.num = num;
+    }
+}
+
+class Keyword {
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+const isName = (value, name) => value instanceof Name && value.value === name;
+const isDict = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === null;
+
+class Lexer {
+    constructor(src, pos = 0) {
+        this.src = src;
+        this.pos = pos;
+    }
+    
+    skipSpace() {
+        const src = this.src;
+        while (this.pos < src.length) {
+            const code = src.charCodeAt(this.pos);
+            if (code === 0x25) { // % comment
+                while (this.pos < src.length && src[this.pos] !== '\n' && src[this.pos] !== '\r') this.pos++;
+            } else if (WHITESPACE.has(code)) {
+                this.pos++;
+            } else {
+                break;
+            }
+        }
+    }
+    
+    next() {
+        this.skipSpace();
+        const src = this.src;
+        if (this.pos >= src.length) return EOF;
+        const ch = src[this.pos];
+        
+        if (ch === '/') {
+            this.pos++;
+            return new Name(this.readRegular().replace(/#([0-9a-fA-F]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))));
+        }
+        if (ch === '(') return this.readLiteral();
+        if (ch === '<') {
+            if (src[this.pos + 1] === '<') {
+                this.pos += 2;
+                return this.readDict();
+            }
+            return this.readHex();
+        }
+        if (ch === '[') {
+            this.pos++;
+            return this.readArray();
+        }
+        if (ch === ']') {
+            this.pos++;
+            return ARRAY_END;
+        }
+        if (ch === '>' && src[this.pos + 1] === '>') {
+            this.pos += 2;
+            return DICT_END;
+        }
+        if (DELIMITERS.has(ch)) {
+            // PostScript braces or a stray delimiter
+            this.pos++;
+            return this.next();
+        }
+        
+        const word = this.readRegular();
+        if (NUMBER.test(word)) {
+            // `12 0 R` is a reference
+            REF_TAIL.lastIndex = this.pos;
+            if (/^\d+$/.test(word) && REF_TAIL.test(src)) {
+                this.pos = REF_TAIL.lastIndex;
+                return new Ref(Number(word));
+            }
+            return Number(word);
+        }
+        if (word === 'true') return true;
+        if (word === 'false') return false;
+        if (word === 'null') return null;
+        return new Keyword(word);
+    }
+    
+    readRegular() {
+        const src = this.src;
+        const start = this.pos;
+        while (this.pos < src.length && !WHITESPACE.has(src.charCodeAt(this.pos)) && !DELIMITERS.has(src[this.pos])) {
+            this.pos++;
+        }
+        if (this.pos === start && this.pos < src.length) this.pos++;
+        return src.slice(start, this.pos);
+    }
+    
+    readArray() {
+        const items = [];
+        for (;;) {
+            const value = this.next();
+            if (value === ARRAY_END || value === EOF) return items;
+            if (value !== DICT_END) items.push(value);
+        }
+    }
+    
+    readDict() {
+        const dict = Object.create(null);
+        for (;;) {
+            const key = this.next();
+            if (key === DICT_END || key === EOF) return dict;
+            if (!(key instanceof Name)) continue;
+            
+            const value = this.next();
+            if (value === DICT_END || value === EOF) return dict;
+            dict[key.value] = value;
+        }
+    }
+    
+    readLiteral() {
+        const src = this.src;
+        let depth = 0;
+        let bytes = '';
+        this.pos++;
+        
+        while (this.pos < src.length) {
+            const ch = src[this.pos++];
+            if (ch === '\\') {
+                const next = src[this.pos++];
+                if (next === 'n') bytes += '\n';
+                else if (next === 'r') bytes += '\r';
+                else if (next === 't') bytes += '\t';
+                else if (next === 'b') bytes += '\b';
+                else if (next === 'f') bytes += '\f';
+                else if (next === '\r') {
+                    if (src[this.pos] === '\n') this.pos++; // line continuation
+                } else if (next === '\n') {
+                    // line continuation
+                } else if (next >= '0' && next <= '7') {
+                    let octal = next;
+                    while (octal.length < 3 && src[this.pos] >= '0' && src[this.pos] <= '7') octal += src[this.pos++];
+                    bytes += String.fromCharCode(parseInt(octal, 8) & 0xff);
+                } else if (next !== undefined) {
+                    bytes += next;
+                }
+            } else if (ch === '(') {
+                depth++;
+                bytes += ch;
+            } else if (ch === ')') {
+                if (depth === 0) break;
+                depth--;
+                bytes += ch;
+            } else {
+                bytes += ch;
+            }
+        }
+        return new PdfString(bytes);
+    }
+    
+    readHex() {
+        const end = this.src.indexOf('>', this.pos);
+        const stop = end === -1 ? this.src.length : end;
+        let hex = this.src.slice(this.pos + 1, stop).replace(/[^0-9a-fA-F]/g, '');
+        this.pos = stop + 1;
+        if (hex.length % 2) hex += '0';
+        return new PdfString(Buffer.from(hex, 'hex').toString('latin1'));
+    }
+}
+
+// Inflated data, null for broken streams, `limit` when the output would be larger
+function inflate(data, limit) {
+    try {
+        return zlib.inflateSync(data, { maxOutputLength: limit });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') return limit;
+        // Truncated or slightly corrupt streams still give most of their text
+        try {
+            return zlib.inflateSync(data, { maxOutputLength: limit, finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        } catch (retryError) {
+            return retryError.code === 'ERR_BUFFER_TOO_LARGE' ? limit : null;
+        }
+    }
+}
+
+function asciiHexDecode(data) {
+    let hex = data.toString('latin1');
+    const end = hex.indexOf('>');
+    hex = (end === -1 ? hex : hex.slice(0, end)).replace(/[^0-9a-fA-F]/g, '');
+    if (hex.length % 2) hex += '0';
+    return Buffer.from(hex, 'hex');
+}
+
+function ascii85Decode(data) {
+    let text = data.toString('latin1').replace(/\s/g, '');
+    if (text.startsWith('<~')) text = text.slice(2);
+    const end = text.indexOf('~>');
+    if (end !== -1) text = text.slice(0, end);
+    
+    const bytes = [];
+    let group = [];
+    const flush = (count) => {
+        const padded = [...group, ...Array(5 - group.length).fill(84)];
+        const value = padded.reduce((sum, digit) => sum * 85 + digit, 0);
+        [24, 16, 8, 0].slice(0, count).forEach(shift => bytes.push((value >>> shift) & 0xff));
+        group = [];
+    };
+    
+    for (const ch of text) {
+        if (ch === 'z' && group.length === 0) {
+            bytes.push(0, 0, 0, 0);
+            continue;
+        }
+        group.push(ch.charCodeAt(0) - 33);
+        if (group.length === 5) flush(4);
+    }
+    if (group.length > 1) flush(group.length - 1);
+    return Buffer.from(bytes);
+}
+
+// UTF-16BE hex from a ToUnicode map
+function utf16(hex) {
+    if (hex.length <= 2) return String.fromCharCode(parseInt(hex || '0', 16));
+    let text = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) {
+        text += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+    }
+    return text;
+}
+
+function toHex(bytes) {
+    let hex = '';
+    for (let i = 0; i < bytes.length; i++) {
+        hex += bytes.charCodeAt(i).toString(16).padStart(2, '0');
+    }
+    return hex;
+}
+
+function parseCMap(data) {
+    const map = new Map(); // source code (hex) -> unicode text
+    const lengths = new Set();
+    
+    for (const [, block] of data.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+        for (const [, hex] of block.matchAll(/<([0-9a-fA-F]+)>/g)) lengths.add(hex.length / 2);
+    }
+    
+    for (const [, block] of data.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const [, source, target] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+            map.set(source.toLowerCase(), utf16(target));
+            lengths.add(source.length / 2);
+        }
+    }
+    
+    for (const [, block] of data.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        const ranges = block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]+)>|\[([^\]]*)\])/g);
+        for (const [, low, high, target, targets] of ranges) {
+            const start = parseInt(low, 16);
+            const count = Math.min(parseInt(high, 16) - start, MAX_RANGE);
+            const width = low.length;
+            const list = targets ? [...targets.matchAll(/<([0-9a-fA-F]*)>/g)].map(([, hex]) => utf16(hex)) : null;
+            
+            for (let i = 0; i <= count; i++) {
+                const code = (start + i).toString(16).padStart(width, '0');
+                if (list) {
+                    if (i < list.length) map.set(code, list[i]);
+                } else {
+                    // The last UTF-16 unit is incremented along the range
+                    const prefix = target.slice(0, -4);
+                    const last = parseInt(target.slice(-4), 16) + i;
+                    map.set(code, utf16(prefix + last.toString(16).padStart(4, '0')));
+                }
+            }
+            lengths.add(width / 2);
+        }
+    }
+    
+    return { map, lengths: [...lengths].sort((a, b) => a - b) };
+}
+
+function glyphText(name) {
+    if (GLYPH_NAMES[name]) return GLYPH_NAMES[name];
+    if (name.length === 1) return name;
+    const unicode = /^uni([0-9A-Fa-f]{4})$/.exec(name);
+    return unicode ? String.fromCharCode(parseInt(unicode[1], 16)) : null;
+}
+
+function decodeSimple(bytes, differences = null) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i++) {
+        const code = bytes.charCodeAt(i);
+        text += differences?.get(code) ?? WIN_ANSI[code] ?? bytes[i];
+    }
+    return text;
+}
+
+// Text strings (document info) are UTF-16BE with a BOM or PDFDocEncoding
+function decodeTextString(value) {
+    if (!(value instanceof PdfString)) return null;
+    const bytes = value.bytes;
+    if (bytes.startsWith('\xfe\xff')) {
+        return utf16(toHex(bytes.slice(2)));
+    }
+    return decodeSimple(bytes);
+}
+
+function cleanText(text) {
+    return text
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+class PdfDocument {
+    constructor(buffer) {
+        this.src = buffer.toString('latin1');
+        this.objects = new Map(); // object number -> { value, stream }
+        this.fonts = new Map();
+        this.inflatedBytes = 0;
+        
+        this.readObjects();
+        this.readObjectStreams();
+    }
+    
+    readObjects() {
+        const pattern = /(?<!\d)(\d+)\s+\d+\s+obj\b/g;
+        let match;
+        while ((match = pattern.exec(this.src))) {
+            const lexer = new Lexer(this.src, pattern.lastIndex);
+            const value = lexer.next();
+            let stream = null;
+            
+            lexer.skipSpace();
+            if (isDict(value) && this.src.startsWith('stream', lexer.pos)) {
+                const read = this.readStream(value, lexer.pos + 6);
+                stream = read.data;
+                pattern.lastIndex = read.end;
+            } else {
+                pattern.lastIndex = Math.max(lexer.pos, pattern.lastIndex);
+            }
+            
+            // Incremental updates append newer versions, the last one wins
+            this.objects.set(Number(match[1]), { value, stream });
+        }
+    }
+    
+    readStream(dict, start) {
+        const src = this.src;
+        if (src[start] === '\r') start++;
+        if (src[start] === '\n') start++;
+        
+        const length = dict.Length;
+        if (typeof length === 'number' && length >= 0) {
+            const after = new Lexer(src, start + length);
+            after.skipSpace();
+            if (src.startsWith('endstream', after.pos)) {
+                return { data: src.slice(start, start + length), end: after.pos + 9 };
+            }
+        }
+        
+        // Length is missing, indirect or wrong
+        let end = src.indexOf('endstream', start);
+        if (end === -1) end = src.length;
+        let dataEnd = end;
+        if (src[dataEnd - 1] === '\n') dataEnd--;
+        if (src[dataEnd - 1] === '\r') dataEnd--;
+        return { data: src.slice(start, dataEnd), end: end + 9 };
+    }
+    
+    readObjectStreams() {
+        const streams = [...this.objects.values()].filter(({ value, stream }) => stream !== null && isName(value.Type, 'ObjStm'));
+        
+        streams.forEach(({ value, stream }) => {
+            const data = this.decodeStream(value, stream);
+            if (data === null) return;
+            
+            const first = this.resolve(value.First);
+            const count = this.resolve(value.N);
+            const header = new Lexer(data);
+            for (let i = 0; i < count; i++) {
+                const num = header.next();
+                const offset = header.next();
+                if (typeof num !== 'number' || typeof offset !== 'number') break;
+                if (this.objects.has(num)) continue;
+                
+                const lexer = new Lexer(data, first + offset);
+                this.objects.set(num, { value: lexer.next(), stream: null });
+            }
+        });
+    }
+    
+    resolve(value) {
+        for (let hops = 0; value instanceof Ref && hops < 32; hops++) {
+            value = this.objects.get(value.num)?.value ?? null;
+        }
+        return value instanceof Ref ? null : value;
+    }
+    
+    decodeStream(dict, raw) {
+        let data = Buffer.from(raw, 'latin1');
+        const filters = [].concat(this.resolve(dict.Filter) ?? []).map(filter => this.resolve(filter));
+        
+        for (const filter of filters) {
+            if (!(filter instanceof Name)) return null;
+            switch (filter.value) {
+                case 'FlateDecode':
+                case 'Fl':
+                    data = this.inflate(data);
+                    break;
+                case 'ASCIIHexDecode':
+                case 'AHx':
+                    data = asciiHexDecode(data);
+                    break;
+                case 'ASCII85Decode':
+                case 'A85':
+                    data = ascii85Decode(data);
+                    break;
+                default:
+                    // Image codecs (DCT, JPX, CCITT) and LZW carry no text we can use
+                    return null;
+            }
+            if (!data) return null;
+        }
+        return data.toString('latin1');
+    }
+    
+    // Streams are decoded again each time they are used, so the total also
+    // stops a small stream drawn on every page from adding up
+    inflate(data) {
+        const room = MAX_INFLATED_BYTES - this.inflatedBytes;
+        const limit = Math.max(1, Math.min(MAX_STREAM_BYTES, room));
+        const output = inflate(data, limit);
+        if (typeof output === 'number') {
+            throw limit === MAX_STREAM_BYTES
+                ? new PdfLimitError(`A stream expands to more than ${MAX_STREAM_BYTES / 1024 / 1024} MB`, MAX_STREAM_BYTES)
+                : new PdfLimitError(`The streams expand to more than ${MAX_INFLATED_BYTES / 1024 / 1024} MB in total`, MAX_INFLATED_BYTES);
+        }
+        this.inflatedBytes += output?.length ?? 0;
+        return output;
+    }
+    
+    streamOf(ref) {
+        if (!(ref instanceof Ref)) return null;
+        const object = this.objects.get(ref.num);
+        if (!object?.stream) return null;
+        return this.decodeStream(object.value, object.stream);
+    }
+    
+    // Trailer dictionaries, classic and cross-reference streams, in file order
+    trailers() {
+        const trailers = [];
+        for (const match of this.src.matchAll(/trailer\s*<</g)) {
+            const dict = new Lexer(this.src, match.index + 7).next();
+            if (isDict(dict)) trailers.push(dict);
+        }
+        this.objects.forEach(({ value }) => {
+            if (isDict(value) && isName(value.Type, 'XRef')) trailers.push(value);
+        });
+        return trailers;
+    }
+    
+    isEncrypted() {
+        return this.trailers().some(trailer => trailer.Encrypt !== undefined && trailer.Encrypt !== null);
+    }
+    
+    info() {
+        const trailer = this.trailers().reverse().find(dict => dict.Info);
+        const info = this.resolve(trailer?.Info);
+        return isDict(info) ? { title: decodeTextString(this.resolve(info.Title)) } : { title: null };
+    }
+    
+    pages() {
+        const trailer = this.trailers().reverse().find(dict => dict.Root);
+        let root = this.resolve(trailer?.Root);
+        if (!isDict(root)) {
+            root = [...this.objects.values()].map(({ value }) => value).reverse().find(value => isDict(value) && isName(value.Type, 'Catalog'));
+        }
+        
+        const pages = [];
+        if (root) {
+            this.collectPages(root.Pages, null, new Set(), pages);
+        }
+        
+        // No usable page tree: every page object, in object order
+        if (pages.length === 0) {
+            [...this.objects.entries()]
+                .sort(([a], [b]) => a - b)
+                .forEach(([, { value }]) => {
+                    if (isDict(value) && isName(value.Type, 'Page') && pages.length < MAX_PAGES) {
+                        pages.push({ dict: value, resources: this.resolve(value.Resources) });
+                    }
+                });
+        }
+        return pages;
+    }
+    
+    collectPages(node, inherited, seen, pages) {
+        if (node instanceof Ref) {
+            if (seen.has(node.num)) return;
+            seen.add(node.num);
+        }
+        
+        const dict = this.resolve(node);
+        if (!isDict(dict) || pages.length >= MAX_PAGES) return;
+        
+        // Resources are inherited from the parent Pages node
+        const resources = dict.Resources !== undefined ? this.resolve(dict.Resources) : inherited;
+        const kids = this.resolve(dict.Kids);
+        if (Array.isArray(kids)) {
+            kids.forEach(kid => this.collectPages(kid, resources, seen, pages));
+        } else {
+            pages.push({ dict, resources });
+        }
+    }
+    
+    pageText({ dict, resources }) {
+        const contents = this.resolve(dict.Contents);
+        const refs = Array.isArray(contents) ? contents : [dict.Contents];
+        const content = refs.map(ref => this.streamOf(ref)).filter(data => data !== null).join('\n');
+        return cleanText(this.extractText(content, resources, 0));
+    }
+    
+    font(resources, name) {
+        const fonts = this.resolve(resources?.Font);
+        const ref = isDict(fonts) ? fonts[name] : null;
+        if (!ref) return null;
+        
+        const key = ref instanceof Ref ? ref.num : null;
+        if (key !== null && this.fonts.has(key)) return this.fonts.get(key);
+        
+        const dict = this.resolve(ref);
+        const toUnicode = dict ? this.streamOf(dict.ToUnicode) : null;
+        const font = {
+            // Type0 fonts use multi-byte glyph ids, unreadable without ToUnicode
+            composite: isName(dict?.Subtype, 'Type0'),
+            cmap: toUnicode ? parseCMap(toUnicode) : null,
+            differences: this.differences(dict)
+        };
+        if (key !== null) this.fonts.set(key, font);
+        return font;
+    }
+    
+    // /Encoding << /Differences [code /name /name ...] >> of simple fonts
+    differences(dict) {
+        const encoding = this.resolve(dict?.Encoding);
+        const list = isDict(encoding) ? this.resolve(encoding.Differences) : null;
+        if (!Array.isArray(list)) return null;
+        
+        const map = new Map();
+        let code = 0;
+        list.forEach(item => {
+            if (typeof item === 'number') {
+                code = item;
+            } else if (item instanceof Name) {
+                const text = glyphText(item.value);
+                if (text !== null) map.set(code, text);
+                code++;
+            }
+        });
+        return map;
+    }
+    
+    decodeString(value, font) {
+        if (!(value instanceof PdfString)) return '';
+        const bytes = value.bytes;
+        
+        if (!font?.cmap || font.cmap.map.size === 0) {
+            return font?.composite ? '' : decodeSimple(bytes, font?.differences);
+        }
+        
+        const { map, lengths } = font.cmap;
+        let text = '';
+        for (let i = 0; i < bytes.length;) {
+            const length = lengths.find(size => map.has(toHex(bytes.substr(i, size))));
+            if (length) {
+                text += map.get(toHex(bytes.substr(i, length)));
+                i += length;
+            } else {
+                if (!font.composite) text += decodeSimple(bytes[i], font.differences);
+                i += font.composite ? 2 : 1;
+            }
+        }
+        return text;
+    }
+    
+    // Walks the content stream operators and rebuilds lines from the text
+    // positioning: a vertical move starts a new line, wide gaps become spaces
+    extractText(content, resources, depth) {
+        const lexer = new Lexer(content);
+        const out = [];
+        let operands = [];
+        let font = null;
+        let lineY = null;
+        
+        const newline = () => {
+            if (out.length > 0 && out[out.length - 1] !== '\n') out.push('\n');
+        };
+        const space = () => {
+            if (out.length > 0 && !/\s$/.test(out[out.length - 1])) out.push(' ');
+        };
+        const show = (value) => {
+            out.push(this.decodeString(value, font));
+        };
+        
+        for (;;) {
+            const token = lexer.next();
+            if (token === EOF) break;
+            if (typeof token === 'symbol') continue;
+            if (!(token instanceof Keyword)) {
+                operands.push(token);
+                if (operands.length > 64) operands.shift();
+                continue;
+            }
+            
+            switch (token.value) {
+                case 'Tf':
+                    font = this.font(resources, operands[0]?.value);
+                    break;
+                case 'Td':
+                case 'TD': {
+                    const [tx, ty] = operands;
+                    if (typeof ty === 'number' && ty !== 0) {
+                        newline();
+                        lineY = (lineY ?? 0) + ty;
+                    } else if (tx > 0) {
+                        space();
+                    }
+                    break;
+                }
+                case 'Tm': {
+                    const y = operands[5];
+                    if (typeof y !== 'number') break;
+                    if (lineY !== null && Math.abs(y - lineY) > 1) newline();
+                    else space();
+                    lineY = y;
+                    break;
+                }
+                case 'T*':
+                    newline();
+                    break;
+                case 'Tj':
+                    show(operands[0]);
+                    break;
+                case "'":
+                    newline();
+                    show(operands[0]);
+                    break;
+                case '"':
+                    newline();
+                    show(operands[2]);
+                    break;
+                case 'TJ':
+                    (Array.isArray(operands[0]) ? operands[0] : []).forEach(item => {
+                        // Large negative adjustments are word gaps
+                        if (typeof item === 'number') {
+                            if (item < -150) space();
+                        } else {
+                            show(item);
+                        }
+                    });
+                    break;
+                case 'ET':
+                    space();
+                    break;
+                case 'Do':
+                    if (depth < MAX_XOBJECT_DEPTH) {
+                        const text = this.formText(resources, operands[0]?.value, depth);
+                        if (text) {
+                            newline();
+                            out.push(text);
+                            newline();
+                        }
+                    }
+                    break;
+                case 'ID': {
+                    // Inline image data runs until EI
+                    const end = /\sEI(?=\s|$)/g;
+                    end.lastIndex = lexer.pos + 1;
+                    lexer.pos = end.exec(content) ? end.lastIndex : content.length;
+                    break;
+                }
+                default:
+                    break;
+            }
+            operands = [];
+        }
+        
+        return out.join('');
+    }
+    
+    formText(resources, name, depth) {
+        const xobjects = this.resolve(resources?.XObject);
+        const ref = isDict(xobjects) ? xobjects[name] : null;
+        const dict = this.resolve(ref);
+        if (!isDict(dict) || !isName(dict.Subtype, 'Form')) return '';
+        
+        const content = this.streamOf(ref);
+        if (content === null) return '';
+        const formResources = dict.Resources !== undefined ? this.resolve(dict.Resources) : resources;
+        return this.extractText(content, formResources, depth + 1);
+    }
+}
+
+// Resolves { title, pages: [text per page] }. Throws on files that are not
+// PDFs or are encrypted.
+export function extractPdfText(buffer) {
+    const headerAt = buffer.subarray(0, 1024).indexOf('%PDF-');
+    if (headerAt === -1) {
+        throw new Error('Not a PDF file');
+    }
+    
+    const pdf = new PdfDocument(buffer);
+    if (pdf.isEncrypted()) {
+        throw new Error('Encrypted PDF files are not supported');
+    }
+    
+    const pages = pdf.pages();
+    if (pages.length === 0) {
+        throw new Error('No pages found');
+    }
+    
+    return {
+        title: pdf.info().title?.trim() || null,
+        pages: pages.map(page => pdf.pageText(page))
+    };
+}
@@ -0,0 +1,219 @@
+import fs from 'fs';
+import path from 'path';
+
+// On-disk vector index of uploaded documents
+//
+// Documents are split into overlapping chunks of about `chunkSize`
+// characters, cut at paragraph, sentence or word boundaries. Every chunk is
+// embedded by the local embedding server. Each document gets <id>.json with
+// the chunks and <id>.f32 with their vectors, one row per chunk. Nothing
+// leaves the machine.
+
+export const DEFAULT_CHUNK_SIZE = 1000;
+const MIN_CHUNK_SIZE = 200;
+// The embedding server takes a whole chunk in one batch
+const MAX_CHUNK_SIZE = 4000;
+const OVERLAP_RATIO = 0.15;
+const MAX_CACHED_INDEXES = 8;
+
+export function clampChunkSize(value) {
+    const size = parseInt(value, 10);
+    if (!Number.isFinite(size)) return DEFAULT_CHUNK_SIZE;
+    return Math.min(MAX_CHUNK_SIZE, Math.max(MIN_CHUNK_SIZE, size));
+}
+
+// Offset just past the last paragraph, sentence or word break, -1 if none
+function lastBoundary(text) {
+    const paragraph = text.lastIndexOf('\n\n');
+    if (paragraph !== -1) return paragraph + 2;
+    
+    const sentences = [...text.matchAll(/[.!?]["')\]]?\s/g)];
+    if (sentences.length > 0) {
+        const last = sentences[sentences.length - 1];
+        return last.index + last[0].length;
+    }
+    
+    const space = Math.max(text.lastIndexOf(' '), text.lastIndexOf('\n'));
+    return space === -1 ? -1 : space + 1;
+}
+
+export function chunkText(text, size = DEFAULT_CHUNK_SIZE) {
+    const overlap = Math.floor(size * OVERLAP_RATIO);
+    const chunks = [];
+    let start = 0;
+    
+    while (start < text.length) {
+        let end = Math.min(text.length, start + size);
+        if (end < text.length) {
+            // Only look for a break in the second half, chunks stay reasonably full
+            const half = start + Math.floor(size / 2);
+            const cut = lastBoundary(text.slice(half, end));
+            if (cut > 0) end = half + cut;
+        }
+        
+        const piece = text.slice(start, end).trim();
+        if (piece) chunks.push({ start, text: piece });
+        if (end >= text.length) break;
+        
+        // Step back for the overlap, starting at a word
+        let next = Math.max(end - overlap, start + 1);
+        const space = text.indexOf(' ', next);
+        if (space !== -1 && space < end) next = space + 1;
+        start = next;
+    }
+    
+    return chunks;
+}
+
+export function chunkDocument(document, size = DEFAULT_CHUNK_SIZE) {
+    const chunks = [];
+    for (const section of document.sections) {
+        for (const piece of chunkText(section.text, size)) {
+            chunks.push({
+                index: chunks.length,
+                section: section.index,
+                page: section.page ?? null,
+                title: section.title ?? null,
+                start: piece.start,
+                text: piece.text
+            });
+        }
+    }
+    return chunks;
+}
+
+export class RagIndex {
+    constructor({ dir, embeddings, isReady, model, logger = null }) {
+        this.dir = dir;
+        this.embeddings = embeddings;
+        // Whether the embedding server can take requests right now
+        this.isReady = isReady;
+        // Name of the embedding model, an index built by another model is rebuilt
+        this.model = model;
+        this.logger = logger;
+        
+        this.cache = new Map();
+        this.pending = new Map();
+    }
+    
+    paths(id) {
+        return {
+            meta: path.join(this.dir, `${id}.json`),
+            vectors: path.join(this.dir, `${id}.f32`)
+        };
+    }
+    
+    async load(id) {
+        if (this.cache.has(id)) return this.cache.get(id);
+        
+        const { meta, vectors } = this.paths(id);
+        let index;
+        try {
+            index = JSON.parse(await fs.promises.readFile(meta, 'utf8'));
+            const buffer = await fs.promises.readFile(vectors);
+            // Copy so the Float32Array is 4-byte aligned
+            index.vectors = new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger?.warn(`Could not read index of document ${id}:`, error.message);
+            }
+            return null;
+        }
+        
+        this.remember(id, index);
+        return index;
+    }
+    
+    remember(id, index) {
+        this.cache.delete(id);
+        if (this.cache.size >= MAX_CACHED_INDEXES) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(id, index);
+    }
+    
+    async build(document) {
+        const chunkSize = clampChunkSize(document.chunkSize);
+        const chunks = chunkDocument(document, chunkSize);
+        const started = Date.now();
+        
+        // The section title helps the match, only the text goes into the prompt
+        const vectors = await this.embeddings.embed(chunks.map(chunk => chunk.title ? `${chunk.title}\n${chunk.text}` : chunk.text));
+        const dims = vectors[0]?.length || 0;
+        const matrix = new Float32Array(chunks.length * dims);
+        vectors.forEach((vector, i) => matrix.set(vector, i * dims));
+        
+        const index = {
+            documentId: document.id,
+            filename: document.filename,
+            model: this.model(),
+            dims,
+            chunkSize,
+            createdAt: new Date().toISOString(),
+            chunks
+        };
+        
+        const { meta, vectors: vectorsPath } = this.paths(document.id);
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(vectorsPath, Buffer.from(matrix.buffer));
+        await fs.promises.writeFile(meta, JSON.stringify(index));
+        
+        this.logger?.info(`Indexed document ${document.id}`, { chunks: chunks.length, dims, ms: Date.now() - started });
+        index.vectors = matrix;
+        this.remember(document.id, index);
+        return index;
+    }
+    
+    // Index of a document, built first if it is missing or stale. Concurrent
+    // callers share the same build.
+    async ensure(document) {
+        const existing = await this.load(document.id);
+        if (existing && existing.model === this.model() && existing.chunkSize === clampChunkSize(document.chunkSize)) {
+            return existing;
+        }
+        
+        if (!this.pending.has(document.id)) {
+            const build = this.build(document).finally(() => this.pending.delete(document.id));
+            this.pending.set(document.id, build);
+        }
+        return this.pending.get(document.id);
+    }
+    
+    // Start indexing in the background, used right after an upload. Images
+    // have no text to index.
+    schedule(document) {
+        if (!this.isReady() || document.sections.length === 0) return false;
+        this.ensure(document).catch(error => {
+            this.logger?.warn(`Indexing document ${document.id} failed:`, error.message);
+        });
+        return true;
+    }
+    
+    async embedQuery(text) {
+        const [vector] = await this.embeddings.embed([text]);
+        return vector;
+    }
+    
+    // Best matching chunks of an index, highest cosine similarity first
+    search(index, queryVector, topK) {
+        const { dims, vectors, chunks } = index;
+        if (queryVector.length !== dims) {
+            throw new Error(`Query has ${queryVector.length} dimensions, the index ${dims}`);
+        }
+        
+        const scored = chunks.map((chunk, i) => {
+            let score = 0;
+            const offset = i * dims;
+            for (let d = 0; d < dims; d++) score += vectors[offset + d] * queryVector[d];
+            return { ...chunk, score };
+        });
+        
+        return scored.sort((a, b) => b.score - a.score).slice(0, topK);
+    }
+    
+    async delete(id) {
+        this.cache.delete(id);
+        const { meta, vectors } = this.paths(id);
+        await Promise.all([meta, vectors].map(file => fs.promises.rm(file, { force: true })));
+    }
+}
@@ -0,0 +1,87 @@
+// Sampler settings for /completion
+//
+// Requests use the camelCase names of the frontend settings. Each one is
+// checked against its range and mapped to the llama-server field; settings
+// that are left out keep llama-server's default, except temperature which
+// keeps the 0.7 this app always sent.
+
+const DEFAULT_TEMPERATURE = 0.7;
+const MAX_STOP_STRINGS = 8;
+const MAX_STOP_CHARS = 100;
+
+export class SamplingError extends Error {
+    constructor(code, message, status = 400, details = {}) {
+        super(message);
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// name: [llama-server field, type, min, max]
+export const SAMPLERS = {
+    temperature: ['temperature', 'number', 0, 5],
+    topK: ['top_k', 'integer', 0, 1000],
+    topP: ['top_p', 'number', 0, 1],
+    minP: ['min_p', 'number', 0, 1],
+    typicalP: ['typical_p', 'number', 0, 1],
+    repeatPenalty: ['repeat_penalty', 'number', 0, 5],
+    // -1 looks at the whole context, 0 turns the penalty off
+    repeatLastN: ['repeat_last_n', 'integer', -1, 32768],
+    presencePenalty: ['presence_penalty', 'number', -2, 2],
+    frequencyPenalty: ['frequency_penalty', 'number', -2, 2],
+    // 0 off, 1 Mirostat, 2 Mirostat 2.0
+    mirostat: ['mirostat', 'integer', 0, 2],
+    mirostatTau: ['mirostat_tau', 'number', 0, 20],
+    mirostatEta: ['mirostat_eta', 'number', 0, 1],
+    // -1 picks a random seed
+    seed: ['seed', 'integer', -1, 4294967295]
+};
+
+function invalid(name, message, details = {}) {
+    return new SamplingError('INVALID_SAMPLING', `${name} ${message}`, 400, { field: name, ...details });
+}
+
+function checkStop(stop) {
+    const list = typeof stop === 'string' ? [stop] : stop;
+    if (!Array.isArray(list) || !list.every(item => typeof item === 'string')) {
+        throw invalid('stop', 'must be a string or an array of strings');
+    }
+    
+    const strings = [...new Set(list.filter(item => item !== ''))];
+    if (strings.length > MAX_STOP_STRINGS) {
+        throw invalid('stop', `can have at most ${MAX_STOP_STRINGS} strings`, { limit: MAX_STOP_STRINGS });
+    }
+    const long = strings.find(item => item.length > MAX_STOP_CHARS);
+    if (long !== undefined) {
+        throw invalid('stop', `strings can be at most ${MAX_STOP_CHARS} characters`, { limit: MAX_STOP_CHARS });
+    }
+    return strings;
+}
+
+// { options, stop } from a chat request: the /completion sampler fields and
+// the extra stop strings, added to the template's own
+export function resolveSampling(data = {}) {
+    const options = { temperature: DEFAULT_TEMPERATURE };
+    
+    for (const [name, [field, type, min, max]] of Object.entries(SAMPLERS)) {
+        let value = data[name];
+        if (value === undefined || value === null || value === '') continue;
+        
+        // Form values may arrive as strings
+        if (typeof value === 'string' && value.trim() !== '') value = Number(value);
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw invalid(name, 'must be a number');
+        }
+        if (type === 'integer' && !Number.isInteger(value)) {
+            throw invalid(name, 'must be an integer');
+        }
+        if (value < min || value > max) {
+            throw invalid(name, `must be between ${min} and ${max}`, { min, max, actual: value });
+        }
+        options[field] = value;
+    }
+    
+    const stop = data.stop === undefined || data.stop === null ? [] : checkStop(data.stop);
+    return { options, stop };
+}
@@ -0,0 +1,100 @@
+// Incremental parser for Server-Sent Events streams
+//
+// Network reads don't line up with events: a `data:` line can be split across
+// two reads and so can a multi-byte UTF-8 character. Bytes go through one
+// streaming TextDecoder and incomplete lines stay buffered until the rest
+// arrives. Events are dispatched on the blank line that ends them, following
+// the EventSource rules (multi-line data, comments, `event:` and `id:`).
+//
+// llama-server reports failures mid-stream as `error: {...}` lines, which are
+// not a standard SSE field; they are dispatched as events of type 'error'.
+
+export class SSEParser {
+    constructor(onEvent) {
+        this.onEvent = onEvent;
+        this.decoder = new TextDecoder('utf-8');
+        this.buffer = '';
+        this.eventType = '';
+        this.data = [];
+        this.lastEventId = '';
+    }
+    
+    // Feed a chunk of bytes (Uint8Array) or already decoded text
+    push(chunk) {
+        this.buffer += typeof chunk === 'string' ? chunk : this.decoder.decode(chunk, { stream: true });
+        this.processLines(false);
+    }
+    
+    // The stream closed: flush the decoder and dispatch what is left
+    end() {
+        this.buffer += this.decoder.decode();
+        this.processLines(true);
+        
+        if (this.buffer) {
+            this.processLine(this.buffer);
+            this.buffer = '';
+        }
+        this.dispatch();
+    }
+    
+    processLines(final) {
+        const lineEnd = /\r\n|\r|\n/g;
+        let start = 0;
+        let match;
+        
+        while ((match = lineEnd.exec(this.buffer))) {
+            // A trailing \r may be the first half of \r\n
+            if (!final && match[0] === '\r' && lineEnd.lastIndex === this.buffer.length) break;
+            
+            this.processLine(this.buffer.slice(start, match.index));
+            start = lineEnd.lastIndex;
+        }
+        
+        this.buffer = this.buffer.slice(start);
+    }
+    
+    processLine(line) {
+        if (line === '') {
+            this.dispatch();
+            return;
+        }
+        if (line.startsWith(':')) return; // comment / keep-alive
+        
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+        
+        switch (field) {
+            case 'data':
+                this.data.push(value);
+                break;
+            case 'event':
+                this.eventType = value;
+                break;
+            case 'id':
+                if (!value.includes('\0')) this.lastEventId = value;
+                break;
+            case 'error':
+                this.eventType = 'error';
+                this.data.push(value);
+                break;
+            default:
+                // retry: and unknown fields are ignored
+                break;
+        }
+    }
+    
+    dispatch() {
+        const type = this.eventType || 'message';
+        const data = this.data.join('\n');
+        const hasData = this.data.length > 0;
+        
+        this.eventType = '';
+        this.data = [];
+        
+        if (hasData) {
+            this.onEvent({ type, data, id: this.lastEventId });
+        }
+    }
+}
@@ -0,0 +1,282 @@
+// Constrained output: JSON schema or GBNF grammar
+//
+// llama-server turns `json_schema` into a grammar and only samples tokens the
+// grammar allows, so the reply follows the format as long as it isn't cut
+// off. The final text is still checked here: JSON replies are parsed and
+// validated against the schema, grammar replies are valid when the model
+// ended them itself (a grammar only allows the end of stream once it is
+// complete). Custom stop strings are refused along with a format: they would
+// end the reply before the format is complete.
+
+const MAX_FORMAT_CHARS = 32000;
+const MAX_ERRORS = 20;
+const MAX_SCHEMA_DEPTH = 64;
+
+export class OutputFormatError extends Error {
+    constructor(code, message, status = 400, details = {}) {
+        super(message);
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function invalid(message, details = {}) {
+    return new OutputFormatError('INVALID_OUTPUT_FORMAT', message, 400, details);
+}
+
+// { type: 'json_schema', schema } or { type: 'grammar', grammar } from the
+// request's `jsonSchema` (object or JSON text) or `grammar`, null for free text
+export function resolveOutputFormat({ jsonSchema = null, grammar = null, stop = null } = {}) {
+    const hasSchema = jsonSchema !== null && jsonSchema !== '';
+    const hasGrammar = grammar !== null && grammar !== '';
+    if (!hasSchema && !hasGrammar) return null;
+    if (hasSchema && hasGrammar) {
+        throw invalid('Send either jsonSchema or grammar, not both');
+    }
+    const stops = typeof stop === 'string' ? [stop] : Array.isArray(stop) ? stop : [];
+    if (stops.some(item => item !== '')) {
+        throw invalid(`stop can't be combined with ${hasSchema ? 'jsonSchema' : 'grammar'}, a stop string would cut the reply short`, { field: 'stop' });
+    }
+    
+    if (hasGrammar) {
+        if (typeof grammar !== 'string') throw invalid('grammar must be a GBNF string');
+        if (grammar.length > MAX_FORMAT_CHARS) {
+            throw invalid(`grammar is longer than ${MAX_FORMAT_CHARS} characters`, { limit: MAX_FORMAT_CHARS });
+        }
+        if (!/^\s*root\s*::=/m.test(grammar)) {
+            throw invalid('GBNF grammar must define a root rule (root ::= ...)');
+        }
+        return { type: 'grammar', grammar };
+    }
+    
+    let schema = jsonSchema;
+    if (typeof schema === 'string') {
+        if (schema.length > MAX_FORMAT_CHARS) {
+            throw invalid(`jsonSchema is longer than ${MAX_FORMAT_CHARS} characters`, { limit: MAX_FORMAT_CHARS });
+        }
+        try {
+            schema = JSON.parse(schema);
+        } catch (error) {
+            throw invalid(`jsonSchema is not valid JSON: ${error.message}`);
+        }
+    }
+    // `true` is the schema that accepts any JSON
+    if (schema === true) schema = {};
+    if (!isObject(schema)) throw invalid('jsonSchema must be a JSON object');
+    if (JSON.stringify(schema).length > MAX_FORMAT_CHARS) {
+        throw invalid(`jsonSchema is longer than ${MAX_FORMAT_CHARS} characters`, { limit: MAX_FORMAT_CHARS });
+    }
+    checkRefs(schema);
+    return { type: 'json_schema', schema };
+}
+
+// Fields for the /completion body
+export function completionOptions(format) {
+    if (!format) return {};
+    return format.type === 'grammar' ? { grammar: format.grammar } : { json_schema: format.schema };
+}
+
+// Local references only (#/$defs/name, #/definitions/name)
+function resolveRef(root, ref) {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) return null;
+    let node = root;
+    for (const key of ref.slice(1).split('/').filter(Boolean)) {
+        const name = key.replace(/~1/g, '/').replace(/~0/g, '~');
+        if (node === null || typeof node !== 'object' || !Object.hasOwn(node, name)) return null;
+        node = node[name];
+    }
+    return isObject(node) || node === true ? node : null;
+}
+
+// References that apply to the same value as `schema` itself
+function inPlaceRefs(schema) {
+    if (!isObject(schema)) return [];
+    const refs = schema.$ref !== undefined ? [schema.$ref] : [];
+    for (const key of ['allOf', 'anyOf', 'oneOf']) {
+        if (Array.isArray(schema[key])) refs.push(...schema[key].flatMap(inPlaceRefs));
+    }
+    return refs;
+}
+
+// Every $ref has to resolve inside the schema, and following references
+// without descending into the value has to end: {"$ref": "#"} never does.
+// Recursion through properties or items is fine, the reply is finite.
+function checkRefs(root) {
+    const acyclic = new Set();
+    
+    const follow = (ref, chain) => {
+        if (acyclic.has(ref)) return;
+        if (chain.includes(ref)) {
+            throw invalid(`jsonSchema has a circular reference: ${[...chain, ref].join(' -> ')}`, { ref });
+        }
+        const target = resolveRef(root, ref);
+        if (!target) {
+            throw invalid(`jsonSchema has an unresolvable reference ${JSON.stringify(ref)}, only local ones (#/$defs/name) are supported`, { ref });
+        }
+        inPlaceRefs(target).forEach(next => follow(next, [...chain, ref]));
+        acyclic.add(ref);
+    };
+    
+    const walk = (schema, depth) => {
+        if (!isObject(schema)) return;
+        if (depth > MAX_SCHEMA_DEPTH) {
+            throw invalid(`jsonSchema is nested deeper than ${MAX_SCHEMA_DEPTH} levels`, { limit: MAX_SCHEMA_DEPTH });
+        }
+        if (schema.$ref !== undefined) follow(schema.$ref, []);
+        
+        const children = [schema.items, schema.additionalProperties, schema.not];
+        for (const key of ['properties', '$defs', 'definitions']) {
+            if (isObject(schema[key])) children.push(...Object.values(schema[key]));
+        }
+        for (const key of ['allOf', 'anyOf', 'oneOf', 'prefixItems', 'items']) {
+            if (Array.isArray(schema[key])) children.push(...schema[key]);
+        }
+        children.forEach(child => walk(child, depth + 1));
+    };
+    
+    walk(root, 0);
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Messages for every place `value` breaks `schema`. Covers the keywords
+// llama-server's schema converter uses: type, enum, const, properties,
+// required, additionalProperties, items, min/maxItems, min/maxLength,
+// pattern, minimum/maximum (and exclusive), anyOf, oneOf, allOf and local $ref.
+// `refs` holds the references followed for this value, so a cycle ends.
+export function schemaErrors(schema, value, root = schema, where = '$', errors = [], refs = new Set()) {
+    if (errors.length >= MAX_ERRORS || schema === true || !isObject(schema)) return errors;
+    const add = (message) => {
+        if (errors.length < MAX_ERRORS) errors.push(`${where} ${message}`);
+    };
+    
+    if (schema.$ref) {
+        const target = resolveRef(root, schema.$ref);
+        if (!target) add(`uses an unsupported reference ${schema.$ref}`);
+        else if (refs.has(schema.$ref)) add(`has a circular reference ${schema.$ref}`);
+        else schemaErrors(target, value, root, where, errors, new Set(refs).add(schema.$ref));
+    }
+    
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            add(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+            return errors;
+        }
+    }
+    if (schema.enum && !schema.enum.some(option => sameValue(option, value))) {
+        add(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if (schema.const !== undefined && !sameValue(schema.const, value)) {
+        add(`must be ${JSON.stringify(schema.const)}`);
+    }
+    
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) add(`must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) add(`must be <= ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) add(`must be > ${schema.exclusiveMinimum}`);
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) add(`must be < ${schema.exclusiveMaximum}`);
+    }
+    
+    if (typeof value === 'string') {
+        const length = [...value].length;
+        if (schema.minLength !== undefined && length < schema.minLength) add(`must have at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && length > schema.maxLength) add(`must have at most ${schema.maxLength} characters`);
+        if (schema.pattern) {
+            try {
+                if (!new RegExp(schema.pattern, 'u').test(value)) add(`must match ${schema.pattern}`);
+            } catch (error) {
+                add(`has an invalid pattern ${schema.pattern}`);
+            }
+        }
+    }
+    
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) add(`must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) add(`must have at most ${schema.maxItems} items`);
+        if (isObject(schema.items)) {
+            value.forEach((item, index) => schemaErrors(schema.items, item, root, `${where}[${index}]`, errors));
+        }
+    }
+    
+    if (isObject(value)) {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (!(key in value)) add(`is missing "${key}"`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const path = `${where}.${key}`;
+            if (properties[key] !== undefined) {
+                schemaErrors(properties[key], item, root, path, errors);
+            } else if (schema.additionalProperties === false) {
+                add(`has an unexpected property "${key}"`);
+            } else if (isObject(schema.additionalProperties)) {
+                schemaErrors(schema.additionalProperties, item, root, path, errors);
+            }
+        }
+    }
+    
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach(part => schemaErrors(part, value, root, where, errors, refs));
+    }
+    if (Array.isArray(schema.anyOf) && !schema.anyOf.some(part => schemaErrors(part, value, root, where, [], refs).length === 0)) {
+        add('does not match any of the anyOf schemas');
+    }
+    if (Array.isArray(schema.oneOf)) {
+        const matches = schema.oneOf.filter(part => schemaErrors(part, value, root, where, [], refs).length === 0).length;
+        if (matches !== 1) add(`must match exactly one of the oneOf schemas, matches ${matches}`);
+    }
+    
+    return errors;
+}
+
+// { type, valid, errors, data } for the finished reply. `stopType` is the
+// stop_type reported by llama-server.
+export function checkOutput(format, text, stopType) {
+    if (!format) return null;
+    
+    // What ended the reply when the model didn't: maxTokens or one of the
+    // template's stop strings
+    const cutBy = { limit: 'maxTokens', word: 'a stop string' }[stopType] || null;
+    if (format.type === 'grammar') {
+        const valid = stopType === 'eos';
+        return {
+            type: 'grammar',
+            valid,
+            errors: valid ? [] : [cutBy ? `Output was cut off by ${cutBy}` : 'Generation stopped before the grammar was complete']
+        };
+    }
+    
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return {
+            type: 'json_schema',
+            valid: false,
+            errors: [cutBy ? `Output was cut off by ${cutBy} before the JSON was complete` : `Output is not valid JSON: ${error.message}`]
+        };
+    }
+    
+    const errors = schemaErrors(format.schema, data);
+    return { type: 'json_schema', valid: errors.length === 0, errors, data };
+}
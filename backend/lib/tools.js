@@ -0,0 +1,355 @@
+// Tools the model can call during a WebSocket generation
+//
+// Every tool declares its arguments as a JSON schema. Calls are validated
+// against it, run with a timeout and the result is cut to a size the context
+// can take. The model sees the tools and answers calls in the Hermes format
+// (Qwen 2.5, Hermes, Llama 3.1 and most tool-tuned GGUFs know it):
+//
+//   <tool_call>{"name": "calculator", "arguments": {"expression": "2+2"}}</tool_call>
+//
+// and gets the result back in a <tool_response> block.
+
+export const TOOL_CALL_OPEN = '<tool_call>';
+export const TOOL_CALL_CLOSE = '</tool_call>';
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_MAX_RESULT_CHARS = 4000;
+
+export class ToolError extends Error {
+    constructor(code, message, status = 400, details = {}) {
+        super(message);
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const TYPE_CHECKS = {
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean'
+};
+
+// Checks the subset of JSON schema the tools use: type, properties,
+// required, additionalProperties, items, enum, minimum/maximum and
+// minLength/maxLength. Missing optional properties get their `default`.
+export function validateArguments(schema, value, where = 'arguments') {
+    const fail = (message) => {
+        throw new ToolError('INVALID_ARGUMENTS', `${where} ${message}`, 400, { path: where });
+    };
+    
+    if (schema.type && !TYPE_CHECKS[schema.type]?.(value)) {
+        fail(`must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must have at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must have at most ${schema.maxLength} characters`);
+    }
+    if (Array.isArray(value) && schema.items) {
+        return value.map((item, index) => validateArguments(schema.items, item, `${where}[${index}]`));
+    }
+    
+    if (schema.type === 'object') {
+        // Own keys only: "constructor" or "toString" are not declared properties
+        const properties = schema.properties || {};
+        const result = {};
+        for (const key of schema.required || []) {
+            if (!Object.hasOwn(value, key) || value[key] === null) fail(`is missing "${key}"`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            if (!Object.hasOwn(properties, key)) {
+                if (schema.additionalProperties === false) fail(`has an unknown property "${key}"`);
+                continue;
+            }
+            // Models often write null for an optional argument they don't use
+            if (item === null && !schema.required?.includes(key)) continue;
+            result[key] = validateArguments(properties[key], item, `${where}.${key}`);
+        }
+        for (const [key, property] of Object.entries(properties)) {
+            if (!Object.hasOwn(result, key) && property.default !== undefined) result[key] = property.default;
+        }
+        return result;
+    }
+    
+    return value;
+}
+
+// Tool results go into the prompt as text
+function serializeResult(result) {
+    if (result === undefined || result === null) return '';
+    return typeof result === 'string' ? result : JSON.stringify(result);
+}
+
+export class ToolRegistry {
+    constructor({ logger = null } = {}) {
+        this.tools = new Map();
+        this.logger = logger;
+    }
+    
+    // tool: { name, description, parameters, execute(args, context) } plus
+    // optional client (run by the browser), timeoutMs, maxResultChars,
+    // defaultEnabled and unavailable (the reason it can't be used)
+    register(tool) {
+        if (!/^[a-z][a-z0-9_]*$/.test(tool.name)) {
+            throw new Error(`Invalid tool name "${tool.name}"`);
+        }
+        if (this.tools.has(tool.name)) {
+            throw new Error(`Tool ${tool.name} is already registered`);
+        }
+        this.tools.set(tool.name, tool);
+    }
+    
+    get(name) {
+        return this.tools.get(name) || null;
+    }
+    
+    // Description for GET /api/tools
+    list() {
+        return [...this.tools.values()].map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters,
+            available: !tool.unavailable,
+            reason: tool.unavailable || null,
+            client: Boolean(tool.client),
+            defaultEnabled: tool.defaultEnabled !== false
+        }));
+    }
+    
+    // Tools enabled for a request, unknown and unavailable names are skipped
+    select(names) {
+        if (!Array.isArray(names)) return [];
+        return [...new Set(names)]
+            .map(name => this.tools.get(name))
+            .filter(tool => tool && !tool.unavailable);
+    }
+    
+    // Runs a call and resolves with { content, truncated }. Rejects with a
+    // ToolError for unknown tools, bad arguments, timeouts and failures.
+    async execute(name, args, { signal = null, requestClient = null } = {}) {
+        const tool = this.tools.get(name);
+        if (!tool || tool.unavailable) {
+            throw new ToolError('UNKNOWN_TOOL', `Unknown tool "${name}"`, 404, { name });
+        }
+        
+        const value = validateArguments(tool.parameters, args ?? {});
+        const timeoutMs = tool.timeoutMs || DEFAULT_TIMEOUT;
+        
+        // Aborted by the timeout or by the generation being stopped
+        const controller = new AbortController();
+        const timer = setTimeout(() => {
+            controller.abort(new ToolError('TOOL_TIMEOUT', `${name} did not finish within ${timeoutMs / 1000}s`, 504, { name }));
+        }, timeoutMs);
+        const onAbort = () => controller.abort(new ToolError('TOOL_ABORTED', `${name} was cancelled`, 499, { name }));
+        if (signal?.aborted) onAbort();
+        else signal?.addEventListener('abort', onAbort, { once: true });
+        
+        const aborted = new Promise((resolve, reject) => {
+            if (controller.signal.aborted) reject(controller.signal.reason);
+            else controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+        });
+        
+        let result;
+        try {
+            result = await Promise.race([
+                tool.execute(value, {
+                    signal: controller.signal,
+                    requestClient: (params) => requestClient(tool.name, params, controller.signal)
+                }),
+                aborted
+            ]);
+        } catch (error) {
+            if (error instanceof ToolError) throw error;
+            this.logger?.debug(`Tool ${name} failed:`, error.message);
+            throw new ToolError('TOOL_FAILED', error.message, 500, { name });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+        
+        const content = serializeResult(result);
+        const limit = tool.maxResultChars || DEFAULT_MAX_RESULT_CHARS;
+        if (content.length <= limit) {
+            return { content, truncated: false };
+        }
+        return { content: `${content.slice(0, limit)}\n[truncated, ${content.length - limit} more characters]`, truncated: true };
+    }
+}
+
+// The tool calls of one reply. Calls past `maxCalls` or to a tool that isn't
+// enabled are answered with an error without running; `executed` counts the
+// ones handed to the registry.
+export class ToolSession {
+    constructor(registry, { tools = [], maxCalls = Infinity, signal = null } = {}) {
+        this.registry = registry;
+        this.tools = tools;
+        this.maxCalls = maxCalls;
+        this.signal = signal;
+        this.steps = 0;
+        this.executed = 0;
+    }
+    
+    // Runs the text the model wrote after <tool_call>. Resolves with { step,
+    // call, outcome, executed }: call is null when the text isn't a call and
+    // outcome is the registry result or { error }. onCall sees the parsed call
+    // (or null) before it runs.
+    async run(raw, { onCall = () => {}, requestClient = null } = {}) {
+        const step = this.steps++;
+        let call = null;
+        
+        try {
+            call = parseToolCall(raw);
+            onCall(call, step);
+            
+            if (step >= this.maxCalls) {
+                throw new ToolError('TOOL_LIMIT', `No more than ${this.maxCalls} tool calls per reply, answer with the results you have`, 429);
+            }
+            if (!this.tools.some(tool => tool.name === call.name)) {
+                throw new ToolError('UNKNOWN_TOOL', `Tool "${call.name}" is not available in this chat`, 404, { name: call.name });
+            }
+        } catch (error) {
+            if (!(error instanceof ToolError)) throw error;
+            if (!call) onCall(null, step);
+            return { step, call, outcome: { error }, executed: false };
+        }
+        
+        let outcome;
+        try {
+            outcome = await this.registry.execute(call.name, call.arguments, { signal: this.signal, requestClient });
+        } catch (error) {
+            if (!(error instanceof ToolError) || this.signal?.aborted) throw error;
+            outcome = { error };
+        }
+        this.executed++;
+        return { step, call, outcome, executed: true };
+    }
+}
+
+export function toolInstructions(tools) {
+    const signatures = tools.map(tool => JSON.stringify({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+    }));
+    
+    return [
+        '# Tools',
+        '',
+        'You may call functions to help answer the user. Only call one when it is needed.',
+        '',
+        'You are provided with function signatures within <tools></tools> XML tags:',
+        '<tools>',
+        ...signatures,
+        '</tools>',
+        '',
+        'To call a function, return a JSON object with the function name and arguments within <tool_call></tool_call> XML tags:',
+        '<tool_call>',
+        '{"name": <function-name>, "arguments": <args-json-object>}',
+        '</tool_call>',
+        '',
+        'Call one function at a time. Its result comes back within <tool_response></tool_response> tags.'
+    ].join('\n');
+}
+
+// The instructions go at the end of the system prompt, or in a new one
+export function addToolInstructions(messages, tools) {
+    if (tools.length === 0) return messages;
+    
+    const instructions = toolInstructions(tools);
+    if (messages[0]?.role === 'system') {
+        return [{ ...messages[0], content: `${messages[0].content}\n\n${instructions}` }, ...messages.slice(1)];
+    }
+    return [{ role: 'system', content: instructions }, ...messages];
+}
+
+// { name, arguments } from the text after <tool_call>
+export function parseToolCall(raw) {
+    const text = raw.replace(TOOL_CALL_CLOSE, '').trim();
+    let call;
+    try {
+        call = JSON.parse(text);
+    } catch (error) {
+        throw new ToolError('INVALID_TOOL_CALL', `Tool call is not valid JSON: ${error.message}`, 400, { raw: text.slice(0, 200) });
+    }
+    
+    if (!call || typeof call.name !== 'string') {
+        throw new ToolError('INVALID_TOOL_CALL', 'Tool call has no function name', 400, { raw: text.slice(0, 200) });
+    }
+    
+    // Some models write "parameters", or the arguments as a JSON string
+    let args = call.arguments ?? call.parameters ?? {};
+    if (typeof args === 'string') {
+        try {
+            args = JSON.parse(args);
+        } catch (error) {
+            throw new ToolError('INVALID_TOOL_CALL', 'Tool call arguments are not valid JSON', 400, { name: call.name });
+        }
+    }
+    return { name: call.name, arguments: args };
+}
+
+export function formatToolCall(raw) {
+    return `${TOOL_CALL_OPEN}\n${raw.replace(TOOL_CALL_CLOSE, '').trim()}\n${TOOL_CALL_CLOSE}`;
+}
+
+export function formatToolResponse(name, { content = null, error = null }) {
+    const body = error ? { name, error } : { name, content };
+    return `<tool_response>\n${JSON.stringify(body)}\n</tool_response>`;
+}
+
+// Splits streamed text into what the user sees and the tool call. Text that
+// could be the start of <tool_call> is held back until the next token tells.
+export class ToolCallParser {
+    constructor() {
+        this.text = '';
+        this.pending = '';
+        this.call = null;
+    }
+    
+    // Returns the text that can be shown now
+    push(token) {
+        if (this.call !== null) {
+            this.call += token;
+            return '';
+        }
+        
+        const buffer = this.pending + token;
+        const start = buffer.indexOf(TOOL_CALL_OPEN);
+        if (start !== -1) {
+            this.pending = '';
+            this.call = buffer.slice(start + TOOL_CALL_OPEN.length);
+            return this.emit(buffer.slice(0, start));
+        }
+        
+        let keep = 0;
+        for (let n = Math.min(TOOL_CALL_OPEN.length - 1, buffer.length); n > 0; n--) {
+            if (TOOL_CALL_OPEN.startsWith(buffer.slice(-n))) {
+                keep = n;
+                break;
+            }
+        }
+        this.pending = buffer.slice(buffer.length - keep);
+        return this.emit(buffer.slice(0, buffer.length - keep));
+    }
+    
+    // Text still held back once the stream ends
+    finish() {
+        const rest = this.pending;
+        this.pending = '';
+        return this.emit(rest);
+    }
+    
+    emit(text) {
+        this.text += text;
+        return text;
+    }
+}
@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+
+// Image input for multimodal models
+//
+// llama-server reads images through a projector GGUF passed with --mmproj.
+// Projectors sit next to the models and are matched by name, so
+// mmproj-gemma-3-4b-it-f16.gguf belongs to gemma-3-4b-it-Q4_K_M.gguf. The
+// `projectors` map of the config file (model file -> projector file, or
+// "none") overrides the match.
+
+export const IMAGE_FORMATS = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp'
+};
+
+// Format from the file signature, null if it isn't a supported image
+export function detectImage(buffer) {
+    if (buffer.length < 12) return null;
+    if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) return 'png';
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.toString('latin1', 0, 6) === 'GIF87a' || buffer.toString('latin1', 0, 6) === 'GIF89a') return 'gif';
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+    return null;
+}
+
+function jpegSize(buffer) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+        // Fill bytes and markers without a length
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+            offset += 2;
+            continue;
+        }
+        // Start of frame, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+function webpSize(buffer) {
+    const chunk = buffer.toString('latin1', 12, 16);
+    if (chunk === 'VP8 ' && buffer.length >= 30) {
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L' && buffer.length >= 25) {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X' && buffer.length >= 30) {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+}
+
+// { width, height } read from the header, null when it can't be found
+export function imageSize(buffer, format) {
+    try {
+        if (format === 'png' && buffer.length >= 24) {
+            return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        }
+        if (format === 'gif') {
+            return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        }
+        if (format === 'jpeg') return jpegSize(buffer);
+        if (format === 'webp') return webpSize(buffer);
+    } catch (error) {
+        // Truncated header
+    }
+    return null;
+}
+
+export function isProjectorFile(file) {
+    return /(^|[-_.])mmproj([-_.]|$)/i.test(path.basename(file));
+}
+
+// Model name without the quantization suffix, the mmproj tag and separators
+function nameStem(file) {
+    return path.basename(file, path.extname(file))
+        .toLowerCase()
+        .replace(/(^|[-_.])mmproj(?=[-_.]|$)/, '$1')
+        .replace(/[-_.](i?q\d\w*|f16|f32|bf16|fp16)$/, '')
+        .split(/[-_.\s]+/)
+        .filter(Boolean)
+        .join('-');
+}
+
+// Projector path for a model, null for text-only models
+export function findProjector(modelPath, overrides = {}) {
+    const dir = path.dirname(modelPath);
+    const override = overrides[path.basename(modelPath)];
+    if (override === 'none') return null;
+    if (override) return path.join(dir, path.basename(override));
+    
+    let files;
+    try {
+        files = fs.readdirSync(dir).filter(file => file.endsWith('.gguf') && isProjectorFile(file));
+    } catch (error) {
+        return null;
+    }
+    
+    // Same name, or a projector shared by the variants of a model (prefix)
+    const stem = nameStem(modelPath);
+    const match = files
+        .map(file => ({ file, stem: nameStem(file) }))
+        .filter(candidate => candidate.stem && (candidate.stem === stem || stem.startsWith(`${candidate.stem}-`)))
+        .sort((a, b) => b.stem.length - a.stem.length)[0];
+    
+    return match ? path.join(dir, match.file) : null;
+}
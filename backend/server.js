@@ -3,56 +3,34 @@ import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { WebSocketServer } from 'ws';
-import { spawn } from 'child_process';
 import fs from 'fs';
+import { CHAT_TEMPLATES, applyChatTemplate, detectTemplate, normalizeMessages } from './lib/chat-template.js';
+import { readConfigFile } from './lib/config-file.js';
+import { requestCompletion, streamCompletion, completionStats, slotOptions } from './lib/llama-client.js';
+import { registerOpenAIRoutes } from './lib/openai-api.js';
+import { LlamaSupervisor } from './lib/llama-supervisor.js';
+import { ModelDownloader, loadCatalog, resolveSource, MODELS_DIR } from './lib/model-downloader.js';
+import { GGUFMetadataCache } from './lib/gguf.js';
+import { AuthManager } from './lib/auth.js';
+import { GenerationScheduler } from './lib/generation-scheduler.js';
+import { RequestLimits, LimitError } from './lib/limits.js';
+import { ContextWindow } from './lib/context-window.js';
+import { Logger } from './lib/logger.js';
+import { ServerMetrics } from './lib/metrics.js';
+import { DocumentStore, summarizeDocument } from './lib/document-store.js';
+import { DocumentError } from './lib/document-extract.js';
+import { AttachmentExpander } from './lib/attachments.js';
+import { EmbeddingClient } from './lib/embeddings.js';
+import { RagIndex, clampChunkSize } from './lib/rag-index.js';
+import { findProjector, isProjectorFile, detectImage } from './lib/vision.js';
+import { ToolRegistry, ToolSession, ToolError, ToolCallParser, TOOL_CALL_CLOSE, addToolInstructions, formatToolCall, formatToolResponse } from './lib/tools.js';
+import { builtinTools } from './lib/builtin-tools.js';
+import { resolveOutputFormat, completionOptions, checkOutput, OutputFormatError } from './lib/structured-output.js';
+import { resolveSampling, SamplingError } from './lib/sampling.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Logger class
-class ServerLogger {
-    constructor(logFile = null, verbose = false) {
-        this.logFile = logFile;
-        this.verbose = verbose;
-        
-        if (logFile) {
-            const logDir = path.dirname(logFile);
-            if (!fs.existsSync(logDir)) {
-                fs.mkdirSync(logDir, { recursive: true });
-            }
-        }
-    }
-    
-    log(level, message, data = null) {
-        const timestamp = new Date().toISOString();
-        const logMessage = `[${timestamp}] [${level}] ${message}`;
-        
-        // Always show errors and important info
-        if (this.verbose || level === 'ERROR' || level === 'FATAL' || level === 'INFO') {
-            const colors = {
-                INFO: '\x1b[32m',
-                DEBUG: '\x1b[36m',
-                WARN: '\x1b[33m',
-                ERROR: '\x1b[31m',
-                FATAL: '\x1b[35m'
-            };
-            const color = colors[level] || '\x1b[0m';
-            console.log(color + logMessage + '\x1b[0m');
-        }
-        
-        // Write to file
-        if (this.logFile) {
-            const fileMessage = logMessage + (data ? '\n' + JSON.stringify(data, null, 2) : '') + '\n';
-            fs.appendFileSync(this.logFile, fileMessage, 'utf8');
-        }
-    }
-    
-    info(message, data = null) { this.log('INFO', message, data); }
-    debug(message, data = null) { this.log('DEBUG', message, data); }
-    warn(message, data = null) { this.log('WARN', message, data); }
-    error(message, data = null) { this.log('ERROR', message, data); }
-}
-
 // Parse command line arguments
 const args = process.argv.slice(2);
 const parsedArgs = {};
@@ -67,22 +45,111 @@ for (let i = 0; i < args.length; i += 2) {
 const config = {
     port: parsedArgs.port || process.env.PORT || 3000,
     llamaPort: parsedArgs['llama-port'] || process.env.LLAMA_PORT || 8080,
-    wsPort: parsedArgs['ws-port'] || process.env.WS_PORT || 8081,
+    wsPath: '/ws',
+    // Legacy separate WebSocket port, only opened when requested
+    wsPort: parsedArgs['ws-port'] || process.env.WS_PORT || null,
     model: parsedArgs.model || process.env.MODEL || './../models/Llama-3.2-1B-Instruct-Q4_K_M.gguf',
     ctxSize: parsedArgs['ctx-size'] || process.env.CTX_SIZE || 4096,
     nGpuLayers: parsedArgs['gpu-layers'] || process.env.GPU_LAYERS || 20,
     parallel: parsedArgs.parallel || process.env.PARALLEL || 4,
+    queueSize: parsedArgs['queue-size'] || process.env.QUEUE_SIZE || 16,
+    queueTimeout: parsedArgs['queue-timeout'] || process.env.QUEUE_TIMEOUT || 120,
+    // Requests per minute for /api/chat, /api/upload, /v1 completions and WebSocket chat
+    rateLimit: parsedArgs['rate-limit'] || process.env.RATE_LIMIT || 30,
+    tokenRateLimit: parsedArgs['token-rate-limit'] || process.env.TOKEN_RATE_LIMIT || 120,
+    maxPromptChars: parsedArgs['max-prompt-chars'] || process.env.MAX_PROMPT_CHARS || 32000,
+    maxTokens: parsedArgs['max-tokens'] || process.env.MAX_TOKENS || 4096,
+    maxWsClients: parsedArgs['max-ws-clients'] || process.env.MAX_WS_CLIENTS || 16,
+    maxBodyMB: parsedArgs['max-body'] || process.env.MAX_BODY_MB || 2,
+    // How chat history is trimmed to fit the context: drop-oldest, keep-system or keep-pinned
+    contextPolicy: parsedArgs['context-policy'] || process.env.CONTEXT_POLICY || 'keep-pinned',
+    // Token budget shared by the documents attached to a request
+    attachmentTokens: parsedArgs['attachment-tokens'] || process.env.ATTACHMENT_TOKENS || 2048,
+    // Embedding model for searching documents that don't fit; no model, no retrieval
+    embeddingModel: parsedArgs['embedding-model'] || process.env.EMBEDDING_MODEL || null,
+    embeddingPort: parsedArgs['embedding-port'] || process.env.EMBEDDING_PORT || 8082,
+    ragTopK: parsedArgs['rag-top-k'] || process.env.RAG_TOP_K || 4,
+    // Directory the read_file tool may read; no directory, no read_file
+    workspace: parsedArgs.workspace || process.env.WORKSPACE || null,
     host: parsedArgs.host || process.env.HOST || '0.0.0.0',
     logFile: parsedArgs['log-file'] || process.env.LOG_FILE || './logs/openchatmobile.log',
+    logLevel: parsedArgs['log-level'] || process.env.LOG_LEVEL || 'info',
+    logMaxSize: parsedArgs['log-max-size'] || process.env.LOG_MAX_SIZE || 10,
+    logMaxFiles: parsedArgs['log-max-files'] || process.env.LOG_MAX_FILES || 5,
+    // Prompts and replies are redacted from the logs unless this is set
+    logPrompts: parsedArgs['log-prompts'] === 'true' || process.env.LOG_PROMPTS === 'true',
+    // /metrics answers localhost only unless this is set
+    metricsPublic: parsedArgs['metrics-public'] === 'true' || process.env.METRICS_PUBLIC === 'true',
+    chatTemplate: parsedArgs['chat-template'] || process.env.CHAT_TEMPLATE || 'auto',
+    modelMirror: parsedArgs['model-mirror'] || process.env.MODEL_MIRROR || null,
     verbose: parsedArgs.verbose === 'true' || process.env.VERBOSE === 'true'
 };
 
 // Initialize logger
-const logger = new ServerLogger(config.logFile, config.verbose);
+const logger = new Logger({
+    file: config.logFile,
+    level: config.logLevel,
+    verbose: config.verbose,
+    maxSizeMB: config.logMaxSize,
+    maxFiles: config.logMaxFiles,
+    logPrompts: config.logPrompts
+});
 
 logger.info('OpenChatMobile Server Starting...');
 logger.info('Configuration loaded:', config);
 
+// Every listener needs its own port; a clash would only show up later as
+// llama-server or the legacy WebSocket failing to bind
+const ports = [
+    ['--port', config.port],
+    ['--llama-port', config.llamaPort],
+    ['--ws-port', config.wsPort],
+    ['--embedding-port', config.embeddingModel ? config.embeddingPort : null]
+].filter(([, port]) => port);
+for (const [index, [name, port]] of ports.entries()) {
+    const clash = ports.slice(0, index).find(([, other]) => Number(other) === Number(port));
+    if (clash) {
+        logger.error(`${name} ${port} is already used by ${clash[0]}, choose a different port`);
+        await logger.close();
+        process.exit(1);
+    }
+}
+
+// Per-model chat template overrides (model file name -> template name) and
+// projector overrides (model file name -> mmproj file or "none")
+let chatTemplateOverrides = {};
+let projectorOverrides = {};
+try {
+    const configFile = readConfigFile();
+    chatTemplateOverrides = configFile.chatTemplates || {};
+    projectorOverrides = configFile.projectors || {};
+} catch (error) {
+    logger.warn('Could not read chat template overrides:', error.message);
+}
+
+[config.chatTemplate, ...Object.values(chatTemplateOverrides)].forEach(name => {
+    if (name !== 'auto' && !CHAT_TEMPLATES[name]) {
+        logger.warn(`Unknown chat template "${name}" will be ignored`);
+    }
+});
+
+const llamaUrl = `http://${config.host}:${config.llamaPort}`;
+
+// Vision models get their mmproj projector, text-only models none
+function resolveProjector(modelPath) {
+    const projector = findProjector(modelPath, projectorOverrides);
+    if (projector && !fs.existsSync(projector)) {
+        logger.warn(`Projector ${projector} for ${path.basename(modelPath)} not found, images are disabled`);
+        return null;
+    }
+    if (projector) {
+        logger.info(`Using projector ${path.basename(projector)} for ${path.basename(modelPath)}`);
+    }
+    return projector;
+}
+
+config.mmproj = resolveProjector(config.model);
+
 const app = express();
 
 // Middleware - MEJORAR CORS PARA WEBSOCKET
@@ -98,12 +165,23 @@ app.use(cors({
     credentials: true
 }));
 
-app.use(express.json({ limit: '50mb' }));
+// Metrics, read at scrape time from the components that own the state
+const metrics = new ServerMetrics({
+    sources: {
+        wsClients: () => activeConnections.size,
+        scheduler: () => scheduler.getStatus(),
+        llama: () => llama.getStatus()
+    }
+});
+app.use(metrics.middleware());
+
+app.use(express.json({ limit: `${config.maxBodyMB}mb` }));
 app.use(express.static('../frontend'));
 
 // Request logging middleware
 app.use((req, res, next) => {
     const start = Date.now();
+    // Credentials and chat contents are redacted by the logger
     logger.debug(`${req.method} ${req.url}`, {
         headers: req.headers,
         body: req.body,
@@ -118,46 +196,608 @@ app.use((req, res, next) => {
     next();
 });
 
-// Start LLaMA server
-logger.info('Starting LLaMA server...');
-const llamaProcess = spawn('./../bin/llama-server', [
-    '-m', config.model,
-    '--port', config.llamaPort.toString(),
-    '--host', config.host,
-    '--ctx-size', config.ctxSize.toString(),
-    '--n-gpu-layers', config.nGpuLayers.toString(),
-    '--cont-batching',
-    '--parallel', config.parallel.toString(),
-    '--log-disable'
-]);
+// Authentication (optional, managed with `open-chat-mobile auth`)
+const auth = new AuthManager({ logger });
+
+if (auth.isEnabled()) {
+    logger.info('Authentication enabled for REST and WebSocket clients');
+} else if (config.host !== '127.0.0.1' && config.host !== 'localhost') {
+    logger.warn(`Authentication is disabled and the server listens on ${config.host}`);
+}
+
+app.use(['/api', '/v1'], auth.middleware({
+    publicPaths: ['/api/health', '/api/auth/status', '/api/auth/login'],
+    onUnauthorized: (req, res) => {
+        if (req.baseUrl === '/v1') {
+            return res.status(401).json({
+                error: {
+                    message: 'Invalid or missing API token',
+                    type: 'invalid_request_error',
+                    param: null,
+                    code: 'invalid_api_key'
+                }
+            });
+        }
+        res.status(401).json({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+    }
+}));
+
+// Rate and size limits
+const limits = new RequestLimits({
+    perIp: Number(config.rateLimit),
+    perToken: Number(config.tokenRateLimit),
+    maxPromptChars: Number(config.maxPromptChars),
+    maxTokens: Number(config.maxTokens),
+    maxWsClients: Number(config.maxWsClients)
+});
+
+function sendLimitError(req, res, error) {
+    if (error.details?.retryAfter) {
+        res.setHeader('Retry-After', error.details.retryAfter);
+    }
+    
+    if (req.originalUrl.startsWith('/v1')) {
+        return res.status(error.status).json({
+            error: { message: error.message, type: 'invalid_request_error', param: null, code: error.code }
+        });
+    }
+    res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+}
+
+const requestLimiter = limits.httpLimiter(sendLimitError);
+app.use(['/v1/chat/completions', '/v1/completions'], requestLimiter);
+
+app.get('/api/auth/status', (req, res) => {
+    const enabled = auth.isEnabled();
+    res.json({
+        enabled,
+        authenticated: !enabled || Boolean(auth.verifyToken(AuthManager.extractToken(req)))
+    });
+});
 
-llamaProcess.stdout.on('data', (data) => {
-    const output = data.toString();
-    logger.info(`LLaMA: ${output.trim()}`);
-    if (output.includes('HTTP server listening')) {
-        logger.info('LLaMA Server is ready');
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const session = await auth.login(req.body?.password, req.ip);
+        res.json(session);
+    } catch (error) {
+        res.status(error.code === 'AUTH_LOCKED' ? 429 : 401).json({ error: error.message, code: error.code });
     }
 });
 
-llamaProcess.stderr.on('data', (data) => {
-    logger.error(`LLaMA Error: ${data}`);
+app.post('/api/auth/logout', (req, res) => {
+    auth.logout(AuthManager.extractToken(req));
+    res.json({ success: true });
+});
+
+// Supervised LLaMA server
+const llama = new LlamaSupervisor({
+    binary: './../bin/llama-server',
+    host: config.host,
+    port: config.llamaPort,
+    logger,
+    buildArgs: (modelPath) => [
+        '-m', modelPath,
+        '--port', config.llamaPort.toString(),
+        '--host', config.host,
+        '--ctx-size', config.ctxSize.toString(),
+        '--n-gpu-layers', config.nGpuLayers.toString(),
+        '--cont-batching',
+        '--parallel', config.parallel.toString(),
+        ...(config.mmproj ? ['--mmproj', config.mmproj] : []),
+        '--log-disable'
+    ]
+});
+
+const LOAD_PROGRESS = {
+    stopping: 0.1,
+    stopped: 0.1,
+    starting: 0.2,
+    loading: 0.5,
+    ready: 1,
+    crashed: 0
+};
+
+let switchingModel = false;
+
+// Model status as reported to clients
+function getModelStatus() {
+    const status = llama.getStatus();
+    let summary = 'loading';
+    if (status.state === 'ready') summary = 'ready';
+    else if (!switchingModel && (status.state === 'crashed' || status.state === 'stopped')) summary = 'error';
+    
+    return {
+        model: status.model,
+        status: summary,
+        state: status.state,
+        progress: LOAD_PROGRESS[status.state] ?? 0,
+        error: summary === 'error' ? status.lastError?.message || null : null,
+        elapsedMs: status.loadingMs,
+        restarts: status.restarts,
+        vision: Boolean(config.mmproj)
+    };
+}
+
+llama.on('state', (status) => {
+    // A restarted or switched llama-server starts with empty slots
+    if (status.state !== 'ready') scheduler.forgetSlots();
+    broadcast({ type: 'model_status', ...getModelStatus() });
+});
+
+// GGUF metadata, cached by file size and mtime
+const modelMetadata = new GGUFMetadataCache(path.join(__dirname, '.cache', 'gguf-metadata.json'));
+
+async function getModelMetadata(modelPath) {
+    try {
+        const metadata = await modelMetadata.get(path.resolve(__dirname, modelPath));
+        return metadata.error ? null : metadata;
+    } catch (error) {
+        logger.debug(`No GGUF metadata for ${modelPath}:`, error.message);
+        return null;
+    }
+}
+
+async function checkContextSize(modelPath) {
+    const metadata = await getModelMetadata(modelPath);
+    if (metadata?.contextLength && config.ctxSize > metadata.contextLength) {
+        logger.warn(`--ctx-size ${config.ctxSize} is larger than the ${metadata.contextLength} tokens ${path.basename(modelPath)} was trained on`);
+    }
+}
+
+async function loadModel(modelPath) {
+    switchingModel = true;
+    activeGenerations.forEach((generation, key) => abortGeneration(key, 'model_switch'));
+    config.model = modelPath;
+    config.mmproj = resolveProjector(modelPath);
+    contextWindow.reset();
+    checkContextSize(modelPath);
+    
+    try {
+        await llama.switchModel(modelPath);
+    } finally {
+        switchingModel = false;
+    }
+}
+
+function isModelReady() {
+    return llama.isReady();
+}
+
+// Chat template resolution
+function getTemplateOverride(modelPath) {
+    const name = chatTemplateOverrides[path.basename(modelPath)] || config.chatTemplate;
+    return CHAT_TEMPLATES[name] ? name : null;
+}
+
+async function buildChatPrompt(messages) {
+    const override = getTemplateOverride(config.model);
+    if (override) {
+        return applyChatTemplate(override, messages);
+    }
+    
+    // Let llama-server render the template embedded in the GGUF
+    try {
+        const response = await fetch(`${llamaUrl}/apply-template`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ messages })
+        });
+        
+        if (response.ok) {
+            const data = await response.json();
+            if (typeof data.prompt === 'string') {
+                return { prompt: data.prompt, stop: [], template: 'gguf' };
+            }
+        }
+        logger.debug(`apply-template not available (HTTP ${response.status}), using built-in template`);
+    } catch (error) {
+        logger.warn('apply-template request failed, using built-in template:', error.message);
+    }
+    
+    const metadata = await getModelMetadata(config.model);
+    const fallback = detectTemplate(metadata?.chatTemplate || '')
+        || detectTemplate(path.basename(config.model))
+        || 'chatml';
+    return applyChatTemplate(fallback, messages);
+}
+
+// Chat history trimming, counted with llama-server's tokenizer
+const contextWindow = new ContextWindow({
+    llamaUrl,
+    ctxSize: config.ctxSize,
+    policy: config.contextPolicy,
+    logger
 });
+config.contextPolicy = contextWindow.policy;
 
-// WebSocket Server - MEJORAR CONFIGURACIÓN
+// Chat requests carry a structured `messages` array, trimmed to fit the
+// context. Messages without an id are reported by their position. A raw
+// `message` prompt is still accepted for older clients and is sent to
+// llama-server as is.
+//
+// With tools the system prompt describes them and `transcript` holds the
+// calls and results of the generation so far. `expanded` reuses the
+// attachments of a previous step.
+async function resolvePrompt(data, { tools = [], transcript = [], expanded = null } = {}) {
+    if (data.messages !== undefined) {
+        if (!expanded) {
+            const messages = Array.isArray(data.messages)
+                ? data.messages.map((msg, index) => ({ id: index, ...msg }))
+                : data.messages;
+            expanded = await attachmentExpander.expand(normalizeMessages(messages));
+        }
+        const result = await contextWindow.fit([...addToolInstructions(expanded.messages, tools), ...transcript], {
+            maxTokens: Number(data.maxTokens) || 200,
+            render: buildChatPrompt
+        });
+        if (result.context && expanded.report.length > 0) {
+            result.context.attachments = expanded.report;
+        }
+        result.images = expanded.images;
+        result.expanded = expanded;
+        return result;
+    }
+    if (typeof data.message === 'string' && data.message) {
+        return { prompt: data.message, stop: [], template: 'raw', context: null };
+    }
+    throw new Error('Request must include a messages array');
+}
+
+// WebSocket Server - upgrades on the HTTP server at config.wsPath
 const wss = new WebSocketServer({ 
-    port: config.wsPort,
+    noServer: true,
     perMessageDeflate: false,
-    clientTracking: true
+    clientTracking: true,
+    maxPayload: Number(config.maxBodyMB) * 1024 * 1024
 });
 
-logger.info(`WebSocket Server started on port ${config.wsPort}`);
-logger.info(`WebSocket URL: ws://${config.host}:${config.wsPort}`);
+// Compatibility mode for clients that still connect to a separate port
+let legacyWss = null;
+if (config.wsPort) {
+    legacyWss = new WebSocketServer({
+        port: config.wsPort,
+        perMessageDeflate: false,
+        clientTracking: true,
+        maxPayload: Number(config.maxBodyMB) * 1024 * 1024
+    });
+    legacyWss.on('connection', (ws, req) => wss.emit('connection', ws, req));
+    legacyWss.on('error', (error) => logger.error(`Legacy WebSocket port ${config.wsPort} failed:`, error.message));
+    logger.info(`Legacy WebSocket server started on port ${config.wsPort}`);
+}
 
 const activeConnections = new Map();
+// Keyed by generationKey(): the ids come from the clients, so two clients
+// may use the same one and neither can reach the other's generation
+const activeGenerations = new Map();
+
+function generationKey(clientId, generationId) {
+    return `${clientId}:${generationId}`;
+}
+
+// One generation per llama-server slot, the rest wait in the queue
+const scheduler = new GenerationScheduler({
+    slots: Number(config.parallel),
+    maxQueueSize: Number(config.queueSize),
+    queueTimeoutMs: Number(config.queueTimeout) * 1000,
+    logger
+});
+
+function broadcast(payload) {
+    const message = JSON.stringify(payload);
+    activeConnections.forEach(ws => {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(message);
+        }
+    });
+}
+
+// Abort an in-flight generation so llama-server frees its slot
+function abortGeneration(key, reason = 'stopped') {
+    const generation = activeGenerations.get(key);
+    if (!generation) return false;
+    
+    generation.reason = reason;
+    generation.controller.abort();
+    return true;
+}
+
+function abortClientGenerations(clientId, reason) {
+    let aborted = 0;
+    activeGenerations.forEach((generation, key) => {
+        if (generation.clientId === clientId && abortGeneration(key, reason)) {
+            aborted++;
+        }
+    });
+    return aborted;
+}
+
+function sendToClient(ws, payload) {
+    if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify(payload));
+    }
+}
+
+// Tool calls the model may make while answering one message
+const MAX_TOOL_STEPS = 5;
+
+// Client tools run in the browser that sent the chat, which answers with a
+// `tool_result` message for the call id
+function requestClientTool(ws, generation, callId, name, args, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new ToolError('TOOL_ABORTED', `${name} was cancelled`, 499, { name }));
+        signal.addEventListener('abort', onAbort, { once: true });
+        generation.toolRequests.set(callId, {
+            name,
+            resolve: (result) => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(result);
+            },
+            reject: (error) => {
+                signal.removeEventListener('abort', onAbort);
+                reject(error);
+            }
+        });
+        sendToClient(ws, { type: 'tool_request', generationId: generation.id, callId, name, arguments: args });
+    }).finally(() => generation.toolRequests.delete(callId));
+}
+
+function resolveToolRequest(clientId, data) {
+    const generation = activeGenerations.get(generationKey(clientId, data.generationId));
+    const request = generation?.toolRequests.get(data.callId);
+    if (!request) {
+        logger.debug(`Ignoring tool_result for unknown call ${data.callId}`);
+        return;
+    }
+    
+    if (data.error) {
+        const message = typeof data.error === 'string' ? data.error : data.error.message;
+        request.reject(new ToolError('TOOL_FAILED', message || `${request.name} failed`, 500, { name: request.name }));
+    } else {
+        request.resolve(data.result ?? null);
+    }
+}
+
+// Runs the call the model wrote after <tool_call> and returns the
+// <tool_response> for the next step. Failures go back to the model as an
+// error so it can correct the call or answer without it.
+async function runToolCall(ws, generation, session, raw) {
+    const callId = `${generation.id}_${session.steps}`;
+    const started = Date.now();
+    
+    const { call, outcome, executed } = await session.run(raw, {
+        onCall: (parsed, step) => {
+            sendToClient(ws, { type: 'tool_call', generationId: generation.id, callId, step, name: parsed?.name ?? null, arguments: parsed?.arguments ?? null });
+        },
+        requestClient: (name, args, signal) => requestClientTool(ws, generation, callId, name, args, signal)
+    });
+    
+    const durationMs = Date.now() - started;
+    const name = call?.name ?? null;
+    // Calls refused before running (TOOL_LIMIT, UNKNOWN_TOOL) are only logged
+    if (executed) {
+        metrics.toolCalls.inc({ tool: name, outcome: outcome.error ? outcome.error.code : 'ok' });
+    }
+    logger.info(`Tool call ${callId}: ${name ?? 'invalid'}`, { durationMs, executed, error: outcome.error?.code || null });
+    
+    sendToClient(ws, {
+        type: 'tool_result',
+        generationId: generation.id,
+        callId,
+        name,
+        durationMs,
+        ...(outcome.error
+            ? { error: { code: outcome.error.code, message: outcome.error.message } }
+            : { result: outcome.content, truncated: outcome.truncated })
+    });
+    
+    return formatToolResponse(name ?? 'invalid', outcome.error ? { error: outcome.error.message } : { content: outcome.content });
+}
+
+async function handleChatGeneration(ws, clientId, data) {
+    const generationId = data.generationId || `gen_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    
+    const key = generationKey(clientId, generationId);
+    if (activeGenerations.has(key)) {
+        throw new Error(`Generation ${generationId} is already running`);
+    }
+    
+    if (!isModelReady()) {
+        sendToClient(ws, {
+            type: 'error',
+            code: 'MODEL_LOADING',
+            generationId,
+            message: `Model ${path.basename(config.model)} is not ready (${llama.state}), try again later`
+        });
+        return;
+    }
+    
+    // JSON schema or GBNF grammar the reply must follow
+    const format = resolveOutputFormat(data);
+    const sampling = resolveSampling(data);
+    
+    const generation = {
+        id: generationId,
+        clientId,
+        chatId: data.chatId || null,
+        controller: new AbortController(),
+        tokens: 0,
+        toolRequests: new Map(),
+        reason: null,
+        queuedAt: Date.now(),
+        startedAt: null,
+        firstTokenAt: null
+    };
+    activeGenerations.set(key, generation);
+    
+    let release = null;
+    try {
+        // Tools enabled for this chat. Raw prompts can't describe them and a
+        // constrained reply has no room for a tool call.
+        const tools = data.messages !== undefined && !format ? toolRegistry.select(data.tools) : [];
+        const session = new ToolSession(toolRegistry, { tools, maxCalls: MAX_TOOL_STEPS, signal: generation.controller.signal });
+        
+        // The first prompt is built before queueing, so a malformed request
+        // fails without taking a slot or counting as a generation
+        let promptData = await resolvePrompt(data, { tools });
+        
+        // Same chat, same slot: its cached prompt is reused
+        release = await scheduler.acquire({
+            owner: clientId,
+            key: generation.chatId,
+            signal: generation.controller.signal,
+            onQueued: (position, queueLength) => {
+                sendToClient(ws, { type: 'queued', generationId, position, queueLength });
+            }
+        });
+        
+        generation.startedAt = Date.now();
+        metrics.generationStarted('websocket');
+        sendToClient(ws, { type: 'started', generationId });
+        logger.debug(`Generation ${generationId} started for ${clientId}`, {
+            waitedMs: generation.startedAt - generation.queuedAt,
+            slot: release.slot
+        });
+        
+        const transcript = [];
+        let final = {};
+        let content = '';
+        let predicted = 0;
+        
+        // Model call, tool call, tool result, until the model answers
+        // without calling a tool. Each step continues in the same slot.
+        for (let step = 0; ; step++) {
+            if (step > 0) {
+                promptData = await resolvePrompt(data, { tools, transcript, expanded: promptData.expanded });
+            }
+            const { prompt, stop, template, context, images } = promptData;
+            
+            if (step === 0) {
+                logger.debug(`Prompt for ${generationId} built with template: ${template}`, { tools: tools.map(tool => tool.name) });
+                if (context) {
+                    sendToClient(ws, { type: 'context', generationId, ...context });
+                }
+            }
+            
+            // The text of a tool call is held back from the client
+            const parser = tools.length > 0 ? new ToolCallParser() : null;
+            const sendText = (text) => {
+                if (text) sendToClient(ws, { type: 'token', generationId, token: text });
+            };
+            
+            final = {};
+            content = '';
+            await streamCompletion(llamaUrl, {
+                prompt,
+                stop: parser ? [...stop, ...sampling.stop, TOOL_CALL_CLOSE] : [...stop, ...sampling.stop],
+                ...(images?.length ? { image_data: images } : {}),
+                ...completionOptions(format),
+                ...sampling.options,
+                ...slotOptions(release.slot),
+                n_predict: data.maxTokens || 200
+            }, {
+                signal: generation.controller.signal,
+                onData: (chunk) => {
+                    logger.debug(`Stream chunk for ${clientId}:`, chunk);
+                    if (chunk.stop) {
+                        final = chunk;
+                    }
+                    if (chunk.content) {
+                        generation.firstTokenAt ??= Date.now();
+                        generation.tokens++;
+                        content += chunk.content;
+                        sendText(parser ? parser.push(chunk.content) : chunk.content);
+                    }
+                },
+                onParseError: (e) => logger.error('Error parsing stream data:', e.message)
+            });
+            predicted += completionStats(final).tokens_predicted ?? 0;
+            
+            if (!parser) break;
+            sendText(parser.finish());
+            // A call past the limit was already answered with TOOL_LIMIT
+            if (parser.call === null || step > MAX_TOOL_STEPS) break;
+            
+            const response = await runToolCall(ws, generation, session, parser.call);
+            // Pinned so trimming drops older history before this turn's steps
+            transcript.push(
+                { role: 'assistant', content: `${parser.text}${formatToolCall(parser.call)}`, pinned: true },
+                { role: 'user', content: response, pinned: true }
+            );
+        }
+        
+        const stats = {
+            ...completionStats(final),
+            ...(session.steps > 0 ? { tokens_predicted: predicted, tool_calls: session.executed } : {}),
+            slot: release.slot,
+            ttft_ms: generation.firstTokenAt ? generation.firstTokenAt - generation.startedAt : null
+        };
+        // The client parses the JSON itself, only the verdict is sent
+        const { data: parsed, ...output } = checkOutput(format, content, stats.stop_type) || {};
+        if (output.type && !output.valid) {
+            logger.info(`Generation ${generationId} does not match its ${output.type}`, { errors: output.errors });
+        }
+        sendToClient(ws, {
+            type: 'done',
+            generationId,
+            tokens: generation.tokens,
+            ...stats,
+            ...(output.type ? { output } : {})
+        });
+        metrics.generationFinished('websocket', 'completed', {
+            tokens: stats.tokens_predicted ?? generation.tokens,
+            ttftMs: stats.ttft_ms,
+            promptTokens: stats.prompt_tokens,
+            cachedTokens: stats.cached_tokens
+        });
+        logger.debug(`Stream completed for ${clientId}`, { generationId, tokens: generation.tokens, ...stats });
+    } catch (error) {
+        if (release) {
+            metrics.generationFinished('websocket', generation.controller.signal.aborted ? 'aborted' : 'failed', {
+                tokens: generation.tokens
+            });
+        }
+        if (generation.controller.signal.aborted) {
+            logger.info(`Generation ${generationId} aborted (${generation.reason})`, {
+                clientId,
+                tokens: generation.tokens
+            });
+            sendToClient(ws, {
+                type: 'stopped',
+                generationId,
+                reason: generation.reason,
+                tokens: generation.tokens
+            });
+        } else {
+            throw error;
+        }
+    } finally {
+        release?.();
+        activeGenerations.delete(key);
+    }
+}
 
 wss.on('connection', (ws, req) => {
+    const identity = auth.authenticate(req);
+    if (!identity) {
+        logger.warn(`Rejected unauthenticated WebSocket client from ${req.socket.remoteAddress}`);
+        metrics.wsRejected.inc({ reason: 'auth' });
+        ws.close(4401, 'Authentication required');
+        return;
+    }
+    
+    try {
+        limits.checkClients(activeConnections.size);
+    } catch (error) {
+        logger.warn(`Rejected WebSocket client from ${req.socket.remoteAddress}: ${error.message}`);
+        sendToClient(ws, { type: 'error', code: error.code, message: error.message });
+        metrics.wsRejected.inc({ reason: 'too_many_clients' });
+        ws.close(1013, 'Too many clients');
+        return;
+    }
+    
     const clientId = Date.now() + Math.random().toString(36).substr(2, 9);
     activeConnections.set(clientId, ws);
+    metrics.wsConnections.inc();
     
     logger.info(`New WebSocket client connected: ${clientId}`, {
         ip: req.socket.remoteAddress,
@@ -172,71 +812,65 @@ wss.on('connection', (ws, req) => {
         timestamp: new Date().toISOString()
     }));
     
+    // Let the client know which model is loaded
+    sendToClient(ws, { type: 'model_status', ...getModelStatus() });
+    
     ws.on('message', async (message) => {
+        let data = null;
         try {
-            const data = JSON.parse(message.toString());
+            data = JSON.parse(message.toString());
             logger.debug(`WebSocket message from ${clientId}:`, data);
             
             if (data.type === 'chat') {
-                const response = await fetch(`http://${config.host}:${config.llamaPort}/completion`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        prompt: data.message,
-                        n_predict: data.maxTokens || 200,
-                        temperature: data.temperature || 0.7,
-                        stream: true
-                    })
-                });
-                
-                if (!response.ok) {
-                    throw new Error(`LLaMA server responded with ${response.status}`);
+                await limits.consume(identity, req.socket.remoteAddress);
+                limits.checkGeneration(data);
+                await handleChatGeneration(ws, clientId, data);
+            } else if (data.type === 'tool_result') {
+                resolveToolRequest(clientId, data);
+            } else if (data.type === 'stop') {
+                const ownsGeneration = !data.generationId || activeGenerations.has(generationKey(clientId, data.generationId));
+                const runsElsewhere = [...activeGenerations.values()].some(generation => generation.id === data.generationId);
+                if (!ownsGeneration && runsElsewhere) {
+                    // Running, but started by another client
+                    sendToClient(ws, {
+                        type: 'error',
+                        code: 'UNKNOWN_GENERATION',
+                        generationId: data.generationId,
+                        message: `Generation ${data.generationId} was not started by this client`
+                    });
+                    return;
                 }
                 
-                const reader = response.body.getReader();
-                while (true) {
-                    const { done, value } = await reader.read();
-                    if (done) break;
-                    
-                    const chunk = new TextDecoder().decode(value);
-                    logger.debug(`Stream chunk for ${clientId}:`, chunk);
-                    
-                    chunk.split('\n').forEach(line => {
-                        if (line.startsWith('data: ')) {
-                            const dataStr = line.substring(6);
-                            if (dataStr === '[DONE]') {
-                                ws.send(JSON.stringify({ type: 'done' }));
-                                logger.debug(`Stream completed for ${clientId}`);
-                                return;
-                            }
-                            
-                            try {
-                                const jsonData = JSON.parse(dataStr);
-                                if (jsonData.content) {
-                                    ws.send(JSON.stringify({
-                                        type: 'token',
-                                        token: jsonData.content
-                                    }));
-                                }
-                            } catch (e) {
-                                logger.error('Error parsing stream data:', e.message);
-                            }
-                        }
+                const stopped = data.generationId
+                    ? Number(abortGeneration(generationKey(clientId, data.generationId), 'stopped'))
+                    : abortClientGenerations(clientId, 'stopped');
+                
+                if (stopped === 0) {
+                    // Nothing running upstream, confirm so the client can settle its state
+                    sendToClient(ws, {
+                        type: 'stopped',
+                        generationId: data.generationId || null,
+                        reason: 'not_running',
+                        tokens: 0
                     });
                 }
             }
         } catch (error) {
             logger.error(`WebSocket error for ${clientId}:`, error);
-            ws.send(JSON.stringify({
+            sendToClient(ws, {
                 type: 'error',
-                message: error.message
-            }));
+                generationId: data?.generationId || null,
+                code: error.code,
+                message: error.message,
+                ...(error.details || {})
+            });
         }
     });
     
     ws.on('close', () => {
         activeConnections.delete(clientId);
-        logger.info(`WebSocket client disconnected: ${clientId}`);
+        const aborted = abortClientGenerations(clientId, 'disconnected');
+        logger.info(`WebSocket client disconnected: ${clientId}`, aborted ? { abortedGenerations: aborted } : null);
     });
     
     ws.on('error', (error) => {
@@ -257,134 +891,561 @@ wss.on('connection', (ws, req) => {
 
 // API Routes
 app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        llama: 'running',
+    const llamaStatus = llama.getStatus();
+    const health = {
+        status: llama.isReady() ? 'ok' : 'degraded',
+        llama: llamaStatus,
+        embeddings: embeddingServer?.getStatus() || null,
         websocket: {
             connected: activeConnections.size,
-            port: config.wsPort
+            path: config.wsPath,
+            legacyPort: config.wsPort
+        },
+        generations: {
+            active: activeGenerations.size
         },
+        slots: scheduler.getStatus(),
         timestamp: new Date().toISOString(),
         config: {
             port: config.port,
             llamaPort: config.llamaPort,
+            wsPath: config.wsPath,
             wsPort: config.wsPort,
             model: config.model,
-            host: config.host
+            modelStatus: getModelStatus().status,
+            chatTemplate: getTemplateOverride(config.model) || 'gguf',
+            host: config.host,
+            limits: limits.getStatus()
         }
-    });
+    };
+    
+    // Health stays public for monitoring, configuration details need a login
+    health.auth = { enabled: auth.isEnabled() };
+    if (!auth.authenticate(req)) {
+        delete health.config;
+    }
+    
+    res.json(health);
 });
 
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', requestLimiter, async (req, res) => {
+    if (!isModelReady()) {
+        return res.status(503).json({
+            error: `Model ${path.basename(config.model)} is not ready (${llama.state}), try again later`,
+            code: 'MODEL_LOADING'
+        });
+    }
+    
+    try {
+        limits.checkGeneration(req.body || {});
+    } catch (error) {
+        return sendLimitError(req, res, error);
+    }
+    
     try {
-        const { message, maxTokens = 200, temperature = 0.7 } = req.body;
+        const { maxTokens = 200 } = req.body;
         
-        logger.info('Chat request received:', { messageLength: message.length, maxTokens, temperature });
+        let promptData;
+        let format;
+        let sampling;
+        try {
+            format = resolveOutputFormat(req.body || {});
+            sampling = resolveSampling(req.body || {});
+            promptData = await resolvePrompt(req.body || {});
+        } catch (error) {
+            if (error instanceof LimitError) {
+                return sendLimitError(req, res, error);
+            }
+            if (error instanceof DocumentError) {
+                return sendDocumentError(res, error);
+            }
+            if (error instanceof OutputFormatError || error instanceof SamplingError) {
+                return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+            }
+            return res.status(400).json({ error: error.message });
+        }
+        const { prompt, stop, template, context, images } = promptData;
         
-        const response = await fetch(`http://${config.host}:${config.llamaPort}/completion`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                prompt: message,
-                n_predict: maxTokens,
-                temperature: temperature,
-                stream: false
-            })
+        logger.info('Chat request received:', { promptLength: prompt.length, template, maxTokens, ...sampling.options });
+        
+        // Stop waiting (or generating) if the HTTP client goes away
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+        
+        let data;
+        const release = await scheduler.acquire({ owner: `http:${req.ip}`, key: req.body.chatId || null, signal: controller.signal });
+        metrics.generationStarted('http');
+        try {
+            data = await requestCompletion(llamaUrl, {
+                prompt,
+                stop: [...stop, ...sampling.stop],
+                ...(images?.length ? { image_data: images } : {}),
+                ...completionOptions(format),
+                ...sampling.options,
+                ...slotOptions(release.slot),
+                n_predict: maxTokens
+            }, { signal: controller.signal });
+        } catch (error) {
+            metrics.generationFinished('http', controller.signal.aborted ? 'aborted' : 'failed');
+            throw error;
+        } finally {
+            release();
+        }
+        const stats = completionStats(data);
+        metrics.generationFinished('http', 'completed', {
+            tokens: data.tokens_predicted ?? 0,
+            promptTokens: stats.prompt_tokens,
+            cachedTokens: stats.cached_tokens
         });
-
-        const data = await response.json();
         logger.info('Chat response generated:', { 
             tokensUsed: data.tokens_used,
-            contentLength: data.content?.length || 0
+            contentLength: data.content?.length || 0,
+            cachedTokens: stats.cached_tokens
         });
         
+        // With a format, `output.data` is the parsed JSON reply
+        const output = checkOutput(format, data.content || '', stats.stop_type);
         res.json({
             response: data.content,
-            tokens_used: data.tokens_used
+            tokens_used: data.tokens_used,
+            ...stats,
+            slot: release.slot,
+            context,
+            ...(output ? { output } : {})
         });
         
     } catch (error) {
+        if (res.destroyed) return;
         logger.error('Chat error:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message, code: error.code });
     }
 });
 
-// File upload endpoint
-app.post('/api/upload', express.raw({ type: '*/*', limit: '10mb' }), async (req, res) => {
+// Uploaded documents, extracted once and referenced by id from the chats
+const documents = new DocumentStore({ dir: path.join(__dirname, 'data', 'documents'), logger });
+
+// Second llama-server in embedding mode, only started with --embedding-model
+const embeddingServer = config.embeddingModel ? new LlamaSupervisor({
+    name: 'Embedding server',
+    binary: './../bin/llama-server',
+    host: config.host,
+    port: config.embeddingPort,
+    logger,
+    buildArgs: (modelPath) => [
+        '-m', modelPath,
+        '--port', config.embeddingPort.toString(),
+        '--host', config.host,
+        '--embeddings',
+        // A whole chunk has to fit in one batch of one slot
+        '--ctx-size', '2048',
+        '--batch-size', '2048',
+        '--ubatch-size', '2048',
+        '--parallel', '1',
+        '--n-gpu-layers', config.nGpuLayers.toString(),
+        '--log-disable'
+    ]
+}) : null;
+
+// Vector index of the documents under data/index/
+const ragIndex = embeddingServer ? new RagIndex({
+    dir: path.join(__dirname, 'data', 'index'),
+    embeddings: new EmbeddingClient({ url: embeddingServer.url, logger }),
+    isReady: () => embeddingServer.isReady(),
+    model: () => path.basename(config.embeddingModel),
+    logger
+}) : null;
+
+const attachmentExpander = new AttachmentExpander({
+    documents,
+    contextWindow,
+    budgetTokens: config.attachmentTokens,
+    retriever: ragIndex,
+    topK: config.ragTopK,
+    vision: () => Boolean(config.mmproj),
+    logger
+});
+
+// Tools for WebSocket chats, each one enabled per chat by the client
+const toolRegistry = new ToolRegistry({ logger });
+builtinTools({ workspace: config.workspace }).forEach(tool => toolRegistry.register(tool));
+
+if (config.workspace && !fs.existsSync(config.workspace)) {
+    logger.warn(`Workspace ${config.workspace} does not exist, read_file will fail`);
+}
+
+app.get('/api/tools', (req, res) => {
+    res.json({ tools: toolRegistry.list(), workspace: Boolean(config.workspace) });
+});
+
+function sendDocumentError(res, error) {
+    if (error instanceof DocumentError) {
+        return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+    }
+    logger.error('Document error:', error);
+    res.status(500).json({ error: error.message });
+}
+
+function headerValue(value) {
     try {
-        const filename = req.headers['x-filename'] || 'upload.txt';
-        const content = req.body.toString();
+        return value ? decodeURIComponent(value) : null;
+    } catch (error) {
+        return value;
+    }
+}
+
+// File upload endpoint. The body is the raw file; X-Filename, X-File-Type
+// and X-Chat-Id describe it. X-Chunk-Size sets the retrieval chunk size.
+app.post('/api/upload', requestLimiter, express.raw({ type: '*/*', limit: '10mb' }), async (req, res) => {
+    try {
+        const filename = headerValue(req.headers['x-filename']) || 'upload.txt';
+        const chatId = req.headers['x-chat-id'] || req.query.chatId || 'default';
+        const buffer = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        
+        if (detectImage(buffer) && !config.mmproj) {
+            throw new DocumentError(
+                'VISION_NOT_SUPPORTED',
+                `${path.basename(config.model)} can't read images. Switch to a vision model with a matching mmproj projector.`,
+                422,
+                { model: path.basename(config.model) }
+            );
+        }
         
-        logger.info('File upload received:', { filename, size: content.length });
+        const document = await documents.save({
+            chatId,
+            filename,
+            mimeType: req.headers['x-file-type'] || null,
+            buffer,
+            chunkSize: req.headers['x-chunk-size'] ? clampChunkSize(req.headers['x-chunk-size']) : null
+        });
+        logger.info('Document stored:', {
+            id: document.id,
+            chatId,
+            filename: document.filename,
+            type: document.type,
+            size: document.size,
+            sections: document.sections.length
+        });
         
-        // Process the file content (in a real app, you might want to save it)
+        const summary = summarizeDocument(document);
         res.json({
             success: true,
-            filename: filename,
-            size: content.length,
-            content: content.substring(0, 1000) // Return first 1000 chars for preview
+            document: summary,
+            // Searchable once the embedding server has indexed it
+            indexing: ragIndex?.schedule(document) || false,
+            filename: document.filename,
+            size: document.size,
+            content: summary.preview
         });
         
     } catch (error) {
-        logger.error('Upload error:', error);
-        res.status(500).json({ error: error.message });
+        if (!(error instanceof DocumentError)) {
+            logger.error('Upload error:', error);
+        }
+        sendDocumentError(res, error);
     }
 });
 
-// Get available models
-app.get('/api/models', (req, res) => {
+app.get('/api/documents', async (req, res) => {
+    if (!req.query.chatId) {
+        return res.status(400).json({ error: 'chatId is required', code: 'INVALID_CHAT_ID' });
+    }
+    res.json({ documents: await documents.list(req.query.chatId) });
+});
+
+app.get('/api/documents/:id', async (req, res) => {
+    const document = await documents.get(req.params.id);
+    if (!document) {
+        return res.status(404).json({ error: 'Document not found', code: 'DOCUMENT_NOT_FOUND' });
+    }
+    res.json(document);
+});
+
+app.delete('/api/documents/:id', async (req, res) => {
+    try {
+        const deleted = await documents.delete(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Document not found', code: 'DOCUMENT_NOT_FOUND' });
+        }
+        await ragIndex?.delete(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        sendDocumentError(res, error);
+    }
+});
+
+// Removes every document of a chat, called when the chat is deleted
+app.delete('/api/documents', async (req, res) => {
+    if (!req.query.chatId) {
+        return res.status(400).json({ error: 'chatId is required', code: 'INVALID_CHAT_ID' });
+    }
+    try {
+        const deleted = await documents.deleteChat(req.query.chatId);
+        await Promise.all(deleted.map(id => ragIndex?.delete(id)));
+        res.json({ success: true, deleted: deleted.length });
+    } catch (error) {
+        sendDocumentError(res, error);
+    }
+});
+
+// Model discovery shared by /api/models and /v1/models
+function listModels() {
     const modelsDir = path.join(__dirname, '../models');
     const models = [];
     
+    if (fs.existsSync(modelsDir)) {
+        const files = fs.readdirSync(modelsDir);
+        files.forEach(file => {
+            // Projectors are loaded along with their model, not on their own
+            if (file.endsWith('.gguf') && !isProjectorFile(file)) {
+                const stats = fs.statSync(path.join(modelsDir, file));
+                const projector = findProjector(`./../models/${file}`, projectorOverrides);
+                models.push({
+                    name: file,
+                    path: `./../models/${file}`,
+                    size: stats.size,
+                    sizeMB: Math.round(stats.size / (1024 * 1024)),
+                    modified: stats.mtime.toISOString(),
+                    vision: Boolean(projector),
+                    mmproj: projector ? path.basename(projector) : null
+                });
+            }
+        });
+    }
+    
+    return models;
+}
+
+// Get available models
+app.get('/api/models', async (req, res) => {
     try {
-        if (fs.existsSync(modelsDir)) {
-            const files = fs.readdirSync(modelsDir);
-            files.forEach(file => {
-                if (file.endsWith('.gguf')) {
-                    const stats = fs.statSync(path.join(modelsDir, file));
-                    models.push({
-                        name: file,
-                        path: `./../models/${file}`,
-                        size: stats.size,
-                        sizeMB: Math.round(stats.size / (1024 * 1024))
-                    });
-                }
-            });
-        }
+        const models = await Promise.all(listModels().map(async (model) => {
+            const metadata = await getModelMetadata(model.path);
+            if (!metadata) return { ...model, metadata: null };
+            
+            const { chatTemplate, ...rest } = metadata;
+            return {
+                ...model,
+                metadata: {
+                    ...rest,
+                    chatTemplate: chatTemplate ? detectTemplate(chatTemplate) || 'custom' : null
+                },
+                contextSize: metadata.contextLength,
+                ctxSizeExceeded: Boolean(metadata.contextLength && config.ctxSize > metadata.contextLength)
+            };
+        }));
         
-        res.json({ models });
+        res.json({ models, ctxSize: Number(config.ctxSize) });
     } catch (error) {
         logger.error('Error reading models:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
+// Active model
+app.get('/api/models/active', (req, res) => {
+    res.json({
+        name: path.basename(config.model),
+        ...getModelStatus()
+    });
+});
+
+app.post('/api/models/active', (req, res) => {
+    const requested = req.body?.model;
+    if (typeof requested !== 'string' || !requested) {
+        return res.status(400).json({ error: 'model is required' });
+    }
+    
+    let model;
+    try {
+        model = listModels().find(m => m.name === path.basename(requested));
+    } catch (error) {
+        logger.error('Error reading models:', error);
+        return res.status(500).json({ error: error.message });
+    }
+    
+    if (!model) {
+        return res.status(404).json({ error: `Model not found: ${requested}` });
+    }
+    
+    if (switchingModel) {
+        return res.status(409).json({
+            error: `Model ${path.basename(config.model)} is already loading`,
+            code: 'MODEL_LOADING'
+        });
+    }
+    
+    if (path.basename(config.model) === model.name && llama.state !== 'stopped') {
+        return res.status(llama.isReady() ? 200 : 202).json(getModelStatus());
+    }
+    
+    logger.info(`Switching model to ${model.name}`);
+    // Clients follow the switch through model_status, including failures
+    loadModel(model.path).catch((error) => {
+        logger.error(`Failed to load ${model.name}:`, error.message);
+        broadcast({ type: 'model_status', ...getModelStatus(), status: 'error', error: error.message });
+    });
+    
+    res.status(202).json({ model: model.path, status: 'loading' });
+});
+
+// Model downloads
+const downloader = new ModelDownloader({ logger });
+
+downloader.on('progress', (status) => {
+    broadcast({ type: 'download_progress', ...status });
+});
+
+app.get('/api/models/catalog', (req, res) => {
+    try {
+        const models = loadCatalog().map(entry => ({
+            ...entry,
+            installed: fs.existsSync(path.join(MODELS_DIR, entry.file))
+        }));
+        res.json({ models, mirror: config.modelMirror });
+    } catch (error) {
+        logger.error('Error reading model catalog:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/models/downloads', (req, res) => {
+    res.json({ downloads: downloader.list() });
+});
+
+app.post('/api/models/download', (req, res) => {
+    const { model, sha256, mirror, allowUnverified } = req.body || {};
+    if (typeof model !== 'string' || !model) {
+        return res.status(400).json({ error: 'model must be a catalog name or a URL' });
+    }
+    
+    let source;
+    try {
+        source = resolveSource(model, { mirror: mirror || config.modelMirror, sha256, allowUnverified: allowUnverified === true });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    let download;
+    try {
+        download = downloader.download(source);
+    } catch (error) {
+        return res.status(409).json({ error: error.message });
+    }
+    
+    // Failures are reported through download_progress events
+    download.promise.catch(() => {});
+    
+    logger.info(`Model download started: ${source.file}`, { url: source.url });
+    res.status(202).json({ download: downloader.describe(download) });
+});
+
+app.delete('/api/models/download/:file', (req, res) => {
+    if (!downloader.cancel(req.params.file)) {
+        return res.status(404).json({ error: `No active download for ${req.params.file}` });
+    }
+    res.json({ success: true });
+});
+
+// OpenAI-compatible API (/v1/*)
+registerOpenAIRoutes(app, {
+    logger,
+    llamaUrl,
+    listModels,
+    buildChatPrompt,
+    isModelReady,
+    checkLimits: (params) => limits.checkGeneration(params),
+    maxTokens: limits.maxTokens,
+    acquireSlot: (options) => scheduler.acquire(options),
+    getActiveModel: () => path.basename(config.model),
+    metrics
+});
+
+// Prometheus metrics. Localhost only unless --metrics-public is set, then
+// remote scrapers need an API token when auth is enabled.
+function isLocalRequest(req) {
+    const address = req.socket.remoteAddress || '';
+    return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+app.get('/metrics', (req, res) => {
+    if (!isLocalRequest(req)) {
+        if (!config.metricsPublic) {
+            return res.status(403).json({ error: 'Metrics are only available from localhost', code: 'FORBIDDEN' });
+        }
+        if (!auth.authenticate(req)) {
+            return res.status(401).json({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+        }
+    }
+    
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+});
+
 // Modern Express 5 route with named parameter - MUST BE THE LAST ROUTE
 app.get('/{*splat}', (req, res) => {
     logger.debug('Serving frontend for route:', req.url);
     res.sendFile(path.join(__dirname, '../frontend/index.html'));
 });
 
-app.listen(config.port, () => {
+// Body parser errors (oversized JSON or uploads)
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+        return sendLimitError(req, res, new LimitError(
+            'PAYLOAD_TOO_LARGE',
+            `Request body is larger than ${Math.round(error.limit / 1024)} KB`,
+            413,
+            { limit: error.limit }
+        ));
+    }
+    next(error);
+});
+
+checkContextSize(config.model);
+llama.start(config.model);
+embeddingServer?.start(config.embeddingModel);
+
+const server = app.listen(config.port, () => {
     logger.info(`Backend running at http://${config.host}:${config.port}`);
     logger.info(`Frontend: http://${config.host}:${config.port}`);
     logger.info(`LLaMA: http://${config.host}:${config.llamaPort}`);
-    logger.info(`WebSocket: ws://${config.host}:${config.wsPort}`);
+    logger.info(`WebSocket: ws://${config.host}:${config.port}${config.wsPath}`);
     logger.info(`Log file: ${config.logFile}`);
     
     // Log important URLs for debugging
     console.log('\n=== OpenChatMobile Server Ready ===');
     console.log(`Frontend: http://localhost:${config.port}`);
     console.log(`API: http://localhost:${config.port}/api/health`);
-    console.log(`WebSocket: ws://localhost:${config.wsPort}`);
+    console.log(`WebSocket: ws://localhost:${config.port}${config.wsPath}`);
+    if (config.wsPort) {
+        console.log(`WebSocket (legacy): ws://localhost:${config.wsPort}`);
+    }
     console.log(`LLaMA Server: http://localhost:${config.llamaPort}`);
+    if (embeddingServer) {
+        console.log(`Embedding Server: http://localhost:${config.embeddingPort}`);
+    }
     console.log('===================================\n');
 });
 
+server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== config.wsPath) {
+        socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+        socket.destroy();
+        return;
+    }
+    
+    wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit('connection', ws, req);
+    });
+});
+
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
     logger.info('Shutting down...');
-    if (llamaProcess) llamaProcess.kill();
+    activeGenerations.forEach((generation, key) => abortGeneration(key, 'shutdown'));
+    llama.stop();
+    embeddingServer?.stop();
     
     // Close all WebSocket connections
     activeConnections.forEach((ws, clientId) => {
@@ -392,11 +1453,12 @@ process.on('SIGTERM', () => {
         ws.close();
     });
     
-    process.exit(0);
+    logger.close().then(() => process.exit(0));
 });
 
 process.on('SIGINT', () => {
     logger.info('Interrupted, shutting down...');
-    if (llamaProcess) llamaProcess.kill();
-    process.exit(0);
+    llama.stop();
+    embeddingServer?.stop();
+    logger.close().then(() => process.exit(0));
 });
\ No newline at end of file
@@ -0,0 +1,100 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ModelDownloader, resolveSource } from '../lib/model-downloader.js';
+
+// A file server that honours Range requests like Hugging Face does
+const body = crypto.randomBytes(256 * 1024);
+const sha256 = crypto.createHash('sha256').update(body).digest('hex');
+let server;
+let baseUrl;
+let modelsDir;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        if (req.method === 'HEAD') {
+            // Only the "upstream" path publishes its sha256
+            res.writeHead(302, req.url.startsWith('/upstream/') ? { 'X-Linked-Etag': `"${sha256}"` } : {});
+            return res.end();
+        }
+        const range = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+        if (!range) {
+            res.writeHead(200, { 'Content-Length': body.length });
+            return res.end(body);
+        }
+        const start = Number(range[1]);
+        if (start >= body.length) {
+            res.writeHead(416, { 'Content-Range': `bytes */${body.length}` });
+            return res.end();
+        }
+        res.writeHead(206, {
+            'Content-Length': body.length - start,
+            'Content-Range': `bytes ${start}-${body.length - 1}/${body.length}`
+        });
+        res.end(body.subarray(start));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    modelsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'models-'));
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(modelsDir, { recursive: true, force: true });
+});
+
+test('resumes a partial download and verifies the whole file', async () => {
+    fs.writeFileSync(path.join(modelsDir, 'partial.gguf.part'), body.subarray(0, 1000));
+    
+    const downloader = new ModelDownloader({ modelsDir });
+    const download = downloader.download(resolveSource(`${baseUrl}/partial.gguf`, { sha256 }));
+    const finalPath = await download.promise;
+    
+    assert.deepEqual(fs.readFileSync(finalPath), body);
+    assert.equal(downloader.describe(download).verified, true);
+});
+
+test('finishes an already complete part file the server answers with 416', async () => {
+    const partPath = path.join(modelsDir, 'complete.gguf.part');
+    fs.writeFileSync(partPath, body);
+    
+    const downloader = new ModelDownloader({ modelsDir });
+    const download = downloader.download(resolveSource(`${baseUrl}/complete.gguf`, { sha256 }));
+    const finalPath = await download.promise;
+    
+    assert.equal(downloader.describe(download).verified, true);
+    assert.equal(downloader.describe(download).sha256, sha256);
+    assert.deepEqual(fs.readFileSync(finalPath), body);
+    assert.equal(fs.existsSync(partPath), false);
+});
+
+test('refuses a download with no known sha256', async () => {
+    const downloader = new ModelDownloader({ modelsDir });
+    const download = downloader.download(resolveSource(`${baseUrl}/unknown.gguf`));
+    
+    await assert.rejects(download.promise, /No sha256 known/);
+    assert.equal(fs.existsSync(path.join(modelsDir, 'unknown.gguf')), false);
+    assert.equal(fs.existsSync(path.join(modelsDir, 'unknown.gguf.part')), false);
+});
+
+test('downloads an unverified file only when allowed', async () => {
+    const downloader = new ModelDownloader({ modelsDir });
+    const download = downloader.download(resolveSource(`${baseUrl}/unchecked.gguf`, { allowUnverified: true }));
+    
+    assert.deepEqual(fs.readFileSync(await download.promise), body);
+    assert.equal(downloader.describe(download).verified, false);
+});
+
+test('checks a mirrored file against the sha256 published upstream', async () => {
+    const downloader = new ModelDownloader({ modelsDir });
+    const source = resolveSource(`${baseUrl}/upstream/mirrored.gguf`, { mirror: `${baseUrl}/mirror/` });
+    assert.equal(source.url, `${baseUrl}/mirror/mirrored.gguf`);
+    
+    const download = downloader.download(source);
+    await download.promise;
+    assert.equal(downloader.describe(download).verified, true);
+});
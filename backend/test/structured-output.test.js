@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveOutputFormat, schemaErrors, checkOutput } from '../lib/structured-output.js';
+
+const rejects = (jsonSchema, pattern) => {
+    assert.throws(() => resolveOutputFormat({ jsonSchema }), error => error.code === 'INVALID_OUTPUT_FORMAT' && pattern.test(error.message));
+};
+
+test('rejects circular references before generation', () => {
+    rejects({ $ref: '#' }, /circular reference: # -> #/);
+    rejects({ allOf: [{ $ref: '#/$defs/a' }], $defs: { a: { anyOf: [{ $ref: '#' }] } } }, /circular reference/);
+});
+
+test('rejects references that do not resolve inside the schema', () => {
+    rejects({ $ref: '#/$defs/missing' }, /unresolvable reference/);
+    rejects({ $ref: 'https://example.com/schema.json' }, /unresolvable reference/);
+    rejects({ $ref: '#/constructor' }, /unresolvable reference/);
+});
+
+test('accepts recursion through properties and items', () => {
+    const tree = {
+        type: 'object',
+        properties: { name: { type: 'string' }, children: { type: 'array', items: { $ref: '#' } } }
+    };
+    
+    assert.equal(resolveOutputFormat({ jsonSchema: tree }).type, 'json_schema');
+    assert.deepEqual(schemaErrors(tree, { name: 'a', children: [{ name: 'b', children: [{ name: 3 }] }] }), [
+        '$.children[0].children[0].name must be string, got integer'
+    ]);
+});
+
+test('reports a circular reference instead of overflowing the stack', () => {
+    assert.deepEqual(schemaErrors({ $ref: '#' }, 1), ['$ has a circular reference #']);
+});
+
+test('refuses custom stop strings along with an output format', () => {
+    assert.throws(() => resolveOutputFormat({ jsonSchema: {}, stop: ['}'] }), /stop can't be combined with jsonSchema/);
+    assert.throws(() => resolveOutputFormat({ grammar: 'root ::= "a"', stop: 'a' }), /stop can't be combined with grammar/);
+    assert.equal(resolveOutputFormat({ jsonSchema: {}, stop: [] }).type, 'json_schema');
+});
+
+test('says a reply was cut off by a stop string', () => {
+    const grammar = checkOutput({ type: 'grammar', grammar: 'root ::= "a"' }, 'a', 'word');
+    const json = checkOutput({ type: 'json_schema', schema: {} }, '{"a":', 'word');
+    
+    assert.deepEqual(grammar.errors, ['Output was cut off by a stop string']);
+    assert.deepEqual(json.errors, ['Output was cut off by a stop string before the JSON was complete']);
+    assert.equal(checkOutput({ type: 'json_schema', schema: {} }, '{"a":1}', 'word').valid, true);
+});
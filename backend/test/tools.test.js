@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolRegistry, ToolSession, validateArguments } from '../lib/tools.js';
+
+const schema = {
+    type: 'object',
+    properties: {
+        expression: { type: 'string' },
+        precision: { type: 'integer', default: 6 }
+    },
+    required: ['expression'],
+    additionalProperties: false
+};
+
+test('rejects keys inherited from Object.prototype as unknown properties', () => {
+    for (const key of ['constructor', 'toString', 'hasOwnProperty']) {
+        assert.throws(
+            () => validateArguments(schema, { expression: '1+1', [key]: 5 }),
+            error => error.code === 'INVALID_ARGUMENTS' && error.message.includes(`unknown property "${key}"`)
+        );
+    }
+});
+
+test('does not take inherited keys for required arguments', () => {
+    const required = { type: 'object', properties: { toString: { type: 'string' } }, required: ['toString'] };
+    
+    assert.throws(() => validateArguments(required, {}), /is missing "toString"/);
+    assert.deepEqual(validateArguments(required, { toString: 'x' }), { toString: 'x' });
+});
+
+test('fills in defaults of missing optional arguments', () => {
+    assert.deepEqual(validateArguments(schema, { expression: '2*3' }), { expression: '2*3', precision: 6 });
+});
+
+test('counts only the tool calls that ran when the limit is reached', async () => {
+    const registry = new ToolRegistry();
+    let runs = 0;
+    registry.register({
+        name: 'echo',
+        description: 'Returns its text',
+        parameters: { type: 'object', properties: { text: { type: 'string' } } },
+        execute: ({ text }) => {
+            runs++;
+            return text;
+        }
+    });
+    const session = new ToolSession(registry, { tools: registry.select(['echo']), maxCalls: 2 });
+    const raw = '{"name": "echo", "arguments": {"text": "hi"}}';
+    
+    assert.equal((await session.run(raw)).outcome.content, 'hi');
+    assert.equal((await session.run(raw)).executed, true);
+    const limited = await session.run(raw);
+    
+    assert.equal(limited.executed, false);
+    assert.equal(limited.outcome.error.code, 'TOOL_LIMIT');
+    assert.equal(session.steps, 3);
+    assert.equal(session.executed, 2);
+    assert.equal(runs, 2);
+});
+
+test('does not count calls to tools that are not enabled', async () => {
+    const session = new ToolSession(new ToolRegistry(), { tools: [], maxCalls: 5 });
+    const result = await session.run('{"name": "calculator", "arguments": {}}');
+    
+    assert.equal(result.outcome.error.code, 'UNKNOWN_TOOL');
+    assert.equal(session.executed, 0);
+});
@@ -13,11 +13,22 @@ class OpenChatMobile {
         this.isGenerating = false;
         this.isConnected = false;
         this.typingMessageId = null;
+        this.typingChatId = null;
         this.serverHealth = false;
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
-        this.uploadedFile = null;
+        this.pendingAttachments = []; // Documents uploaded for the next message
         this.serverConfig = null;
+        this.activeModel = null;
+        this.modelStatus = null;
+        this.modelWaiters = [];
+        this.llamaState = null;
+        this.modelVision = null; // Whether the loaded model takes images, null until known
+        this.availableTools = []; // Tools reported by /api/tools
+        this.wsState = 'connecting';
+        this.healthPollInterval = null;
+        this.authToken = localStorage.getItem('authToken');
+        this.loginWaiters = [];
         
         // Performance optimizations
         this.debounceTimers = {};
@@ -26,6 +37,8 @@ class OpenChatMobile {
         this.lastRenderTime = 0;
         this.renderInterval = 50; // ms entre renders
         this.accumulatedContent = new Map(); // Contenido acumulado por mensaje
+        this.checkpointInterval = 1000; // ms entre guardados del stream en el historial
+        this.lastCheckpointTime = 0;
         
         // Initialize application
         this.initLogger();
@@ -77,7 +90,23 @@ class OpenChatMobile {
             this.maxTokensValue = document.getElementById('maxTokensValue');
             this.temperatureInput = document.getElementById('temperature');
             this.temperatureValue = document.getElementById('temperatureValue');
+            this.samplingPresetSelect = document.getElementById('samplingPreset');
+            this.samplerInputs = Array.from(document.querySelectorAll('[data-sampler]'));
+            this.stopStringsInput = document.getElementById('stopStrings');
+            this.savePresetBtn = document.getElementById('savePresetBtn');
+            this.deletePresetBtn = document.getElementById('deletePresetBtn');
+            this.exportPresetsBtn = document.getElementById('exportPresetsBtn');
+            this.importPresetsBtn = document.getElementById('importPresetsBtn');
+            this.importPresetsInput = document.getElementById('importPresetsInput');
             this.systemPromptInput = document.getElementById('systemPrompt');
+            this.toolSettings = document.getElementById('toolSettings');
+            this.outputModeSelect = document.getElementById('outputMode');
+            this.outputFormatEditor = document.getElementById('outputFormatEditor');
+            this.outputFormatInput = document.getElementById('outputFormat');
+            this.outputFormatError = document.getElementById('outputFormatError');
+            this.savedFormatsSelect = document.getElementById('savedFormats');
+            this.saveFormatBtn = document.getElementById('saveFormatBtn');
+            this.deleteFormatBtn = document.getElementById('deleteFormatBtn');
             this.darkModeToggle = document.getElementById('darkModeToggle');
             
             // Main content elements
@@ -87,12 +116,20 @@ class OpenChatMobile {
             this.statusText = this.connectionStatus?.querySelector('.status-text');
             this.stopBtn = document.getElementById('stopBtn');
             this.tokenCount = document.getElementById('tokenCount');
+            this.contextMeter = document.getElementById('contextMeter');
             this.wsStatus = document.getElementById('wsStatus');
             this.messagesContainer = document.getElementById('messagesContainer');
             this.messageInput = document.getElementById('messageInput');
             this.sendBtn = document.getElementById('sendBtn');
             this.clearInputBtn = document.getElementById('clearInputBtn');
             this.fileUpload = document.getElementById('fileUpload');
+            this.attachmentChips = document.getElementById('attachmentChips');
+            
+            // Login overlay
+            this.loginOverlay = document.getElementById('loginOverlay');
+            this.loginForm = document.getElementById('loginForm');
+            this.loginSecret = document.getElementById('loginSecret');
+            this.loginError = document.getElementById('loginError');
             
             // Toast container (create if doesn't exist)
             this.toastContainer = document.getElementById('toastContainer');
@@ -140,14 +177,48 @@ class OpenChatMobile {
         if (this.temperatureInput) {
             this.temperatureInput.addEventListener('input', (e) => {
                 this.temperatureValue.textContent = e.target.value;
-                this.saveSettings();
+                this.markSamplingCustom();
             });
         }
         
+        // Sampling presets
+        this.samplerInputs.forEach(input => {
+            input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => this.markSamplingCustom());
+        });
+        this.stopStringsInput?.addEventListener('input', () => this.markSamplingCustom());
+        this.samplingPresetSelect?.addEventListener('change', () => this.applySamplingPreset(this.samplingPresetSelect.value));
+        this.savePresetBtn?.addEventListener('click', () => this.saveSamplingPreset());
+        this.deletePresetBtn?.addEventListener('click', () => this.deleteSamplingPreset());
+        this.exportPresetsBtn?.addEventListener('click', () => this.exportSamplingPresets());
+        this.importPresetsBtn?.addEventListener('click', () => this.importPresetsInput?.click());
+        this.importPresetsInput?.addEventListener('change', (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (file) this.importSamplingPresets(file);
+        });
+        
         this.systemPromptInput?.addEventListener('input', () => this.saveSettings());
-        this.modelSelect?.addEventListener('change', () => this.saveSettings());
+        this.modelSelect?.addEventListener('change', () => {
+            this.saveSettings();
+            this.activateModel(this.modelSelect.value).catch(error => {
+                this.showToast(`Failed to switch model: ${error.message}`, 'error');
+            });
+        });
         this.darkModeToggle?.addEventListener('change', (e) => this.toggleDarkMode(e.target.checked));
         
+        // Structured output
+        this.outputModeSelect?.addEventListener('change', () => {
+            this.updateOutputEditor();
+            this.saveSettings();
+        });
+        this.outputFormatInput?.addEventListener('input', () => {
+            this.updateOutputEditor();
+            this.saveSettings();
+        });
+        this.savedFormatsSelect?.addEventListener('change', () => this.applySavedFormat(this.savedFormatsSelect.value));
+        this.saveFormatBtn?.addEventListener('click', () => this.saveOutputFormat());
+        this.deleteFormatBtn?.addEventListener('click', () => this.deleteOutputFormat());
+        
         // Chat input controls
         this.messageInput?.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) {
@@ -165,6 +236,12 @@ class OpenChatMobile {
         // File upload
         this.fileUpload?.addEventListener('change', (e) => this.handleFileUpload(e));
         
+        // Login
+        this.loginForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitLogin();
+        });
+        
         // Window events
         window.addEventListener('resize', () => this.handleResize());
         window.addEventListener('beforeunload', () => this.saveCurrentState());
@@ -254,10 +331,14 @@ class OpenChatMobile {
             this.serverHealth = healthy;
             
             if (healthy) {
+                await this.ensureAuthenticated();
+                
                 // Get server config first
                 await this.getServerConfig();
                 this.connectWebSocket();
                 await this.loadModels();
+                await this.loadTools();
+                this.startHealthPolling();
                 this.showToast('Connected to server', 'success');
             } else {
                 this.showToast('Server not responding. Starting in offline mode.', 'warning');
@@ -269,18 +350,122 @@ class OpenChatMobile {
         }
     }
     
+    /**
+     * Authentication
+     */
+    
+    /**
+     * fetch() wrapper that sends the auth token and asks for a login on 401
+     * @param {string} url - API URL
+     * @param {Object} options - fetch options
+     * @returns {Promise<Response>}
+     */
+    async apiFetch(url, options = {}) {
+        const headers = { ...(options.headers || {}) };
+        if (this.authToken) {
+            headers.Authorization = `Bearer ${this.authToken}`;
+        }
+        
+        const response = await fetch(url, { ...options, headers });
+        
+        if (response.status === 401) {
+            this.handleUnauthorized();
+            throw new Error('Authentication required');
+        }
+        
+        return response;
+    }
+    
+    /**
+     * Resolve once the server accepts our token (or doesn't require one)
+     */
+    async ensureAuthenticated() {
+        try {
+            const response = await this.apiFetch('/api/auth/status');
+            const data = await response.json();
+            
+            if (!data.enabled || data.authenticated) {
+                return;
+            }
+        } catch (error) {
+            this.logger.warn('Auth status check failed:', error);
+            return;
+        }
+        
+        this.handleUnauthorized();
+        await new Promise(resolve => this.loginWaiters.push(resolve));
+    }
+    
+    handleUnauthorized() {
+        if (this.authToken) {
+            this.authToken = null;
+            localStorage.removeItem('authToken');
+        }
+        this.showLogin();
+    }
+    
+    showLogin(message = '') {
+        if (!this.loginOverlay) return;
+        
+        this.loginOverlay.hidden = false;
+        if (this.loginError) this.loginError.textContent = message;
+        this.loginSecret?.focus();
+    }
+    
+    async submitLogin() {
+        const secret = this.loginSecret?.value || '';
+        if (!secret) return;
+        
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ password: secret })
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                this.showLogin(data.error || `HTTP ${response.status}`);
+                return;
+            }
+            
+            this.authToken = data.token;
+            localStorage.setItem('authToken', data.token);
+            this.loginSecret.value = '';
+            this.loginOverlay.hidden = true;
+            this.showToast('Signed in', 'success');
+            
+            const waiters = this.loginWaiters;
+            this.loginWaiters = [];
+            if (waiters.length > 0) {
+                waiters.forEach(resolve => resolve());
+            } else {
+                // Session expired while the app was running
+                await this.getServerConfig();
+                this.reconnectAttempts = 0;
+                if (!this.isConnected) this.connectWebSocket();
+                await this.loadModels();
+            }
+        } catch (error) {
+            this.logger.error('Login failed:', error);
+            this.showLogin('Could not reach the server');
+        }
+    }
+    
     /**
      * Get server configuration
      */
     async getServerConfig() {
         try {
-            const response = await fetch('/api/health');
+            const response = await this.apiFetch('/api/health');
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}`);
             }
             
             const data = await response.json();
             this.serverConfig = data.config || {};
+            this.activeModel = this.serverConfig.model || null;
+            this.modelStatus = this.serverConfig.modelStatus || null;
             this.logger.info('Server configuration loaded:', this.serverConfig);
             
             return this.serverConfig;
@@ -288,7 +473,6 @@ class OpenChatMobile {
             this.logger.error('Failed to get server config:', error);
             this.serverConfig = {
                 port: window.location.port || 3000,
-                wsPort: 8081,
                 llamaPort: 8080
             };
             return this.serverConfig;
@@ -303,7 +487,7 @@ class OpenChatMobile {
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), 5000);
             
-            const response = await fetch('/api/health', {
+            const response = await this.apiFetch('/api/health', {
                 signal: controller.signal
             });
             
@@ -312,6 +496,8 @@ class OpenChatMobile {
             if (response.ok) {
                 const data = await response.json();
                 this.logger.info('Server health check passed:', data);
+                this.llamaState = data.llama?.state || null;
+                this.updateConnectionStatus();
                 return true;
             }
             return false;
@@ -321,30 +507,36 @@ class OpenChatMobile {
         }
     }
     
+    /**
+     * Poll server health while the WebSocket (which pushes llama state) is down
+     */
+    startHealthPolling() {
+        if (this.healthPollInterval) return;
+        
+        this.healthPollInterval = setInterval(async () => {
+            if (this.isConnected) return;
+            this.serverHealth = await this.checkServerHealth();
+            if (!this.serverHealth) {
+                this.llamaState = null;
+                this.updateConnectionStatus();
+            }
+        }, 15000);
+    }
+    
     /**
      * Connect to WebSocket server
      */
     connectWebSocket() {
         try {
-            // Use the actual server configuration for WebSocket connection
-            const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-            const wsPort = this.serverConfig?.wsPort || 8081;
-            const hostname = window.location.hostname;
-            
-            // If we're running on localhost and server is on a different port,
-            // we need to use the actual server hostname
-            let wsUrl;
-            
-            if (hostname === 'localhost' || hostname === '127.0.0.1') {
-                // For local development, use localhost with the configured port
-                wsUrl = `${protocol}//localhost:${wsPort}`;
-            } else {
-                // For production, use the same hostname with the configured port
-                wsUrl = `${protocol}//${hostname}:${wsPort}`;
-            }
+            let wsUrl = window.getConfig('WS_BASE_URL');
             
             this.logger.info(`Connecting to WebSocket: ${wsUrl}`);
             
+            // Browsers can't set headers on the upgrade request, the token goes in the query
+            if (this.authToken) {
+                wsUrl += `?token=${encodeURIComponent(this.authToken)}`;
+            }
+            
             this.ws = new WebSocket(wsUrl);
             
             this.ws.onopen = () => {
@@ -364,6 +556,20 @@ class OpenChatMobile {
                 this.isConnected = false;
                 this.updateConnectionStatus('disconnected');
                 
+                // El servidor aborta la generación al perder la conexión
+                if (this.isGenerating && this.typingMessageId) {
+                    this.interruptStream();
+                }
+                
+                if (event.code === 4401) {
+                    this.handleUnauthorized();
+                    return;
+                }
+                
+                if (event.code === 1013) {
+                    this.showToast(this.getErrorMessage({ code: 'TOO_MANY_CLIENTS' }), 'warning');
+                }
+                
                 if (event.code !== 1000 && this.reconnectAttempts < this.maxReconnectAttempts) {
                     this.reconnectAttempts++;
                     const delay = Math.min(3000 * this.reconnectAttempts, 15000);
@@ -399,22 +605,94 @@ class OpenChatMobile {
             const data = JSON.parse(event.data);
             
             switch (data.type) {
+                case 'queued':
+                    if (this.typingMessageId && this.isCurrentGeneration(data.generationId)) {
+                        this.showQueuePosition(this.typingMessageId, data.position, data.queueLength);
+                    }
+                    break;
+                    
+                case 'started':
+                    this.logger.debug('Generation started:', data.generationId);
+                    if (this.typingMessageId && this.isCurrentGeneration(data.generationId)) {
+                        this.showQueuePosition(this.typingMessageId, null);
+                    }
+                    break;
+                    
+                case 'context':
+                    if (this.isCurrentGeneration(data.generationId)) {
+                        this.applyContextReport(this.typingChatId || this.currentChatId, data);
+                        this.applyMessageSources(this.typingChatId || this.currentChatId, this.typingMessageId, data);
+                    }
+                    break;
+                    
                 case 'token':
-                    if (this.typingMessageId) {
+                    if (this.typingMessageId && this.isCurrentGeneration(data.generationId)) {
                         this.accumulateToken(this.typingMessageId, data.token);
                     }
                     break;
                     
+                case 'tool_call':
+                case 'tool_result':
+                    if (this.typingMessageId && this.isCurrentGeneration(data.generationId)) {
+                        this.applyToolStep(this.typingChatId || this.currentChatId, this.typingMessageId, data);
+                    }
+                    break;
+                    
+                case 'tool_request':
+                    this.handleToolRequest(data);
+                    break;
+                    
                 case 'done':
-                    this.finalizeStream();
+                    if (this.isCurrentGeneration(data.generationId)) {
+                        this.finalizeStream(data);
+                    }
+                    break;
+                    
+                case 'stopped':
+                    this.logger.info('Generation stopped on server:', {
+                        generationId: data.generationId,
+                        reason: data.reason,
+                        tokens: data.tokens
+                    });
+                    if (data.reason === 'stopped' && data.tokens > 0) {
+                        this.showToast(`Generation stopped after ${data.tokens} tokens`, 'info');
+                    }
+                    // Ended by the server (model switch, shutdown): keep the
+                    // partial reply and leave the generating state as a user stop does
+                    if (this.typingMessageId && this.isCurrentGeneration(data.generationId)) {
+                        const reasons = {
+                            model_switch: 'Generation stopped: the model is being switched',
+                            shutdown: 'Generation stopped: the server is shutting down',
+                            disconnected: 'Generation stopped: the connection was lost'
+                        };
+                        if (reasons[data.reason]) {
+                            this.showToast(reasons[data.reason], 'warning');
+                        }
+                        this.interruptStream();
+                    }
+                    break;
+                    
+                case 'model_status':
+                    this.handleModelStatus(data);
+                    break;
+                    
+                case 'download_progress':
+                    this.handleDownloadProgress(data);
+                    break;
+                    
+                case 'info':
+                case 'ping':
                     break;
                     
                 case 'error':
-                    this.showToast(`Error: ${data.message}`, 'error');
-                    this.isGenerating = false;
-                    this.stopBtn.disabled = true;
-                    this.sendBtn.disabled = false;
-                    this.typingMessageId = null;
+                    // A late error of an earlier or queued generation must
+                    // not end the reply that is streaming now
+                    if (!this.isCurrentGeneration(data.generationId)) {
+                        this.logger.warn('Error for another generation:', data);
+                        break;
+                    }
+                    this.showToast(this.getErrorMessage(data, 'GENERATION_FAILED'), 'error');
+                    this.interruptStream();
                     break;
                     
                 default:
@@ -425,6 +703,30 @@ class OpenChatMobile {
         }
     }
     
+    /**
+     * Map a structured server error to its CONFIG.ERRORS message
+     * @param {Object} error - Error payload with `code` and optional `retryAfter`
+     * @param {string} fallbackKey - CONFIG.ERRORS key used for unknown codes
+     * @returns {string} User-facing message
+     */
+    getErrorMessage(error, fallbackKey = 'SERVER_ERROR') {
+        const messages = window.getConfig('ERRORS', {});
+        let message = messages[error?.code] || error?.message || error?.error || messages[fallbackKey];
+        
+        if (error?.retryAfter) {
+            message += ` (retry in ${error.retryAfter}s)`;
+        }
+        return message;
+    }
+    
+    /**
+     * Comprueba si un evento pertenece a la generación en curso
+     */
+    isCurrentGeneration(generationId) {
+        // Eventos sin id provienen de servidores antiguos
+        return !generationId || generationId === this.typingMessageId;
+    }
+    
     /**
      * Acumula tokens y programa una actualización eficiente
      */
@@ -440,6 +742,91 @@ class OpenChatMobile {
         
         // Programar actualización optimizada
         this.scheduleOptimizedUpdate(messageId);
+        
+        // Guardar periódicamente el contenido parcial en el historial
+        const now = Date.now();
+        if (now - this.lastCheckpointTime > this.checkpointInterval) {
+            this.commitStreamContent(messageId, true);
+            this.lastCheckpointTime = now;
+        }
+    }
+    
+    /**
+     * Vuelca el contenido acumulado del stream en el modelo del chat
+     * @param {string} messageId - Mensaje del bot en streaming
+     * @param {boolean} incomplete - Marca el mensaje como respuesta parcial
+     * @returns {Object|null} Mensaje actualizado
+     */
+    commitStreamContent(messageId, incomplete) {
+        const chat = this.chats.get(this.typingChatId || this.currentChatId);
+        const message = chat?.messages.find(m => m.id === messageId);
+        if (!message) return null;
+        
+        if (this.accumulatedContent.has(messageId)) {
+            message.content = this.accumulatedContent.get(messageId);
+        }
+        
+        if (incomplete) {
+            message.incomplete = true;
+        } else {
+            delete message.incomplete;
+        }
+        
+        chat.updatedAt = new Date().toISOString();
+        this.saveChats();
+        
+        return message;
+    }
+    
+    /**
+     * Keep the generation stats reported by the server on the bot message
+     * @param {Object} result - `done` event or /api/chat response
+     * @returns {Object} Stats stored with the message
+     */
+    buildMessageStats(result) {
+        const timings = result.timings || {};
+        return {
+            model: this.activeModel ? this.activeModel.split('/').pop() : null,
+            tokens: result.tokens_predicted ?? result.tokens ?? null,
+            tokensPerSecond: timings.predicted_per_second ?? null,
+            promptTokensPerSecond: timings.prompt_per_second ?? null,
+            promptTokens: result.prompt_tokens ?? timings.prompt_n ?? null,
+            // Prompt tokens llama-server found in the slot's cache
+            cachedTokens: result.cached_tokens ?? null,
+            slot: result.slot ?? null,
+            // Sin streaming no hay primer token, la evaluación del prompt es lo más parecido
+            ttftMs: result.ttft_ms ?? timings.prompt_ms ?? null,
+            stopType: result.stop_type || null
+        };
+    }
+    
+    /**
+     * Footer with tokens, tok/s, time to first token, prompt cache hits and finish reason
+     * @param {Object} stats - Stats from buildMessageStats
+     * @returns {string} HTML
+     */
+    renderMessageStats(stats) {
+        const reasons = { eos: 'finished', word: 'stop word', limit: 'max tokens', none: 'stopped' };
+        const parts = [];
+        
+        if (stats.tokens !== null) parts.push(`${stats.tokens} tokens`);
+        if (stats.tokensPerSecond !== null) parts.push(`${stats.tokensPerSecond.toFixed(1)} tok/s`);
+        if (stats.ttftMs !== null) parts.push(`TTFT ${(stats.ttftMs / 1000).toFixed(2)}s`);
+        if (stats.cachedTokens > 0 && stats.promptTokens > 0) parts.push(`${Math.round(stats.cachedTokens / stats.promptTokens * 100)}% cached`);
+        if (stats.stopType) parts.push(reasons[stats.stopType] || stats.stopType);
+        if (parts.length === 0) return '';
+        
+        const cache = stats.cachedTokens != null && stats.promptTokens !== null
+            ? ` (${stats.cachedTokens} cached, ${Math.max(0, stats.promptTokens - stats.cachedTokens)} evaluated)`
+            : '';
+        const details = [
+            stats.model,
+            stats.promptTokens !== null ? `prompt ${stats.promptTokens} tokens${cache}` : null,
+            stats.slot ? `slot ${stats.slot.id}${stats.slot.reused ? ', reused' : ''}` : null,
+            stats.promptTokensPerSecond !== null ? `${stats.promptTokensPerSecond.toFixed(1)} tok/s prompt eval` : null
+        ].filter(Boolean).join(' · ');
+        
+        return `<div class="message-stats" title="${this.escapeHtml(details).replace(/"/g, '&quot;')}">${this.escapeHtml(parts.join(' · '))}</div>`;
     }
     
     /**
@@ -466,6 +853,315 @@ class OpenChatMobile {
         }
     }
     
+    /**
+     * Show (or clear) the queue position badge of a pending bot message
+     * @param {string} messageId - Bot message waiting for a slot
+     * @param {number|null} position - 1-based position, null once started
+     * @param {number} queueLength - Requests waiting on the server
+     */
+    showQueuePosition(messageId, position, queueLength = 0) {
+        const avatar = document.getElementById(messageId)?.querySelector('.message-avatar');
+        if (!avatar) return;
+        
+        let badge = avatar.querySelector('.message-badge.queued');
+        if (position === null) {
+            badge?.remove();
+            return;
+        }
+        
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'message-badge queued';
+            avatar.appendChild(badge);
+        }
+        badge.title = `${queueLength} request(s) waiting for the model`;
+        badge.innerHTML = `<i class="fas fa-hourglass-half"></i> Queued #${position}`;
+    }
+    
+    /**
+     * Store the server's context report and mark the messages it left out
+     * @param {string} chatId - Chat the generation belongs to
+     * @param {Object} report - promptTokens, budget, contextSize, policy and omitted message ids
+     */
+    applyContextReport(chatId, report) {
+        const chat = this.chats.get(chatId);
+        if (!chat) return;
+        
+        const omitted = new Set(report.omitted || []);
+        const previouslyOmitted = chat.messages.filter(msg => msg.omitted).length;
+        
+        chat.context = {
+            promptTokens: report.promptTokens,
+            budget: report.budget,
+            contextSize: report.contextSize,
+            policy: report.policy
+        };
+        chat.messages.forEach(msg => {
+            if (omitted.has(msg.id)) {
+                msg.omitted = true;
+            } else {
+                delete msg.omitted;
+            }
+        });
+        this.saveChats();
+        
+        if (chatId !== this.currentChatId) return;
+        
+        // Solo cambiar clases, el mensaje en curso se está renderizando
+        chat.messages.forEach(msg => {
+            document.getElementById(msg.id)?.classList.toggle('omitted', Boolean(msg.omitted));
+        });
+        this.updateContextMeter();
+        
+        const nowOmitted = chat.messages.filter(msg => msg.omitted).length;
+        if (nowOmitted > previouslyOmitted) {
+            this.showToast(`${nowOmitted} older message(s) no longer fit in the model context`, 'info');
+        }
+        
+        // Only warn about files attached to the message just sent
+        const lastUser = [...chat.messages].reverse().find(msg => msg.role === 'user');
+        const shortened = (report.attachments || [])
+            .filter(item => item.messageId === lastUser?.id && (item.truncated || item.missing));
+        if (shortened.length > 0) {
+            const names = shortened.map(item => item.filename || 'a file').join(', ');
+            this.showToast(`Only part of ${names} fits in the model context`, 'warning');
+        }
+    }
+    
+    /**
+     * Keep the document passages retrieved for a reply on the bot message
+     * @param {string} chatId - Chat the generation belongs to
+     * @param {string} messageId - Bot message being generated
+     * @param {Object} report - Context report with the attachments used
+     */
+    applyMessageSources(chatId, messageId, report) {
+        const message = this.chats.get(chatId)?.messages.find(msg => msg.id === messageId);
+        if (!message) return;
+        
+        const sources = (report.attachments || [])
+            .flatMap(item => (item.passages || []).map(passage => ({
+                ...passage,
+                documentId: item.id,
+                filename: item.filename
+            })))
+            .sort((a, b) => a.ref - b.ref);
+        
+        if (sources.length > 0) {
+            message.sources = sources;
+        } else {
+            delete message.sources;
+        }
+        this.saveChats();
+    }
+    
+    /**
+     * Collapsible list of the passages the answer was given
+     * @param {Array<Object>} sources - Passages from applyMessageSources
+     * @returns {string} HTML
+     */
+    renderMessageSources(sources) {
+        if (!sources?.length) return '';
+        
+        const items = sources.map(source => {
+            const location = source.page ? `page ${source.page}` : source.title;
+            return `<li title="Similarity ${source.score}">
+              <span class="source-ref">[${source.ref}]</span>
+              <span class="source-name">${this.escapeHtml(source.filename)}</span>${location ? ` · ${this.escapeHtml(String(location))}` : ''}
+              <div class="source-preview">${this.escapeHtml(source.preview)}</div>
+            </li>`;
+        }).join('');
+        
+        return `<details class="message-sources">
+          <summary><i class="fas fa-book-open"></i> ${sources.length} passage${sources.length === 1 ? '' : 's'} from your files</summary>
+          <ol>${items}</ol>
+        </details>`;
+    }
+    
+    /**
+     * Record a tool call or its result on the bot message being generated
+     * @param {string} chatId - Chat the generation belongs to
+     * @param {string} messageId - Bot message being generated
+     * @param {Object} event - `tool_call` or `tool_result` WebSocket event
+     */
+    applyToolStep(chatId, messageId, event) {
+        const message = this.chats.get(chatId)?.messages.find(msg => msg.id === messageId);
+        if (!message) return;
+        
+        message.toolSteps ||= [];
+        let step = message.toolSteps.find(item => item.callId === event.callId);
+        if (!step) {
+            step = { callId: event.callId, name: event.name, arguments: event.arguments, status: 'running' };
+            message.toolSteps.push(step);
+        }
+        
+        if (event.type === 'tool_result') {
+            step.status = event.error ? 'error' : 'done';
+            step.durationMs = event.durationMs;
+            if (event.error) {
+                step.error = event.error.message;
+            } else {
+                step.result = event.result;
+                if (event.truncated) step.truncated = true;
+            }
+        }
+        this.saveChats();
+        
+        const element = document.getElementById(messageId);
+        element?.querySelector('.message-tools')?.remove();
+        element?.querySelector('.message-content')?.insertAdjacentHTML('beforebegin', this.renderToolSteps(message.toolSteps));
+        this.scrollToBottomIfNearEnd();
+    }
+    
+    /**
+     * Collapsible steps with the tools the model called and what they returned
+     * @param {Array<Object>} steps - Steps from applyToolStep
+     * @returns {string} HTML
+     */
+    renderToolSteps(steps) {
+        if (!steps?.length) return '';
+        
+        const icons = { running: 'fa-spinner fa-spin', done: 'fa-wrench', error: 'fa-exclamation-circle' };
+        const items = steps.map(step => {
+            const name = step.name ? this.escapeHtml(step.name) : 'invalid call';
+            const duration = step.durationMs !== undefined ? ` · ${step.durationMs} ms` : '';
+            const output = step.status === 'error'
+                ? `Error: ${step.error}`
+                : step.status === 'done' ? `${step.result}${step.truncated ? '\n[truncated]' : ''}` : 'Running...';
+            
+            return `<details class="tool-step ${step.status}">
+              <summary><i class="fas ${icons[step.status]}"></i> <span class="tool-name">${name}</span>${duration}</summary>
+              ${step.arguments ? `<pre>${this.escapeHtml(JSON.stringify(step.arguments, null, 2))}</pre>` : ''}
+              <pre>${this.escapeHtml(output)}</pre>
+            </details>`;
+        }).join('');
+        
+        return `<div class="message-tools">${items}</div>`;
+    }
+    
+    /**
+     * Run a tool the server delegates to the browser and send back the result
+     * @param {Object} request - `tool_request` event with callId, name and arguments
+     */
+    handleToolRequest(request) {
+        const reply = { type: 'tool_result', generationId: request.generationId, callId: request.callId };
+        try {
+            if (request.name !== 'search_history') {
+                throw new Error(`Unknown client tool ${request.name}`);
+            }
+            reply.result = this.searchChatHistory(request.arguments || {});
+        } catch (error) {
+            this.logger.error('Client tool failed:', error);
+            reply.error = { message: error.message };
+        }
+        
+        if (this.ws?.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify(reply));
+        }
+    }
+    
+    /**
+     * search_history tool: messages of the other chats that contain the query words
+     * @param {Object} args - { query, limit }
+     * @returns {Object} Matches, best first, with an excerpt around the first hit
+     */
+    searchChatHistory({ query = '', limit = 5 }) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const excerptLength = window.getConfig('UI.TOOL_EXCERPT_LENGTH', 240);
+        const matches = [];
+        
+        this.chats.forEach(chat => {
+            // The current chat is already in the prompt
+            if (chat.id === (this.typingChatId || this.currentChatId)) return;
+            
+            chat.messages.forEach(message => {
+                const text = (message.content || '').toLowerCase();
+                const hits = words.filter(word => text.includes(word));
+                if (hits.length === 0) return;
+                
+                const first = text.indexOf(hits[0]);
+                const start = Math.max(0, first - Math.floor(excerptLength / 3));
+                matches.push({
+                    score: hits.length / words.length,
+                    chat: chat.title,
+                    role: message.role === 'bot' ? 'assistant' : message.role,
+                    date: message.timestamp,
+                    excerpt: `${start > 0 ? '…' : ''}${message.content.slice(start, start + excerptLength).trim()}${start + excerptLength < message.content.length ? '…' : ''}`
+                });
+            });
+        });
+        
+        matches.sort((a, b) => b.score - a.score || new Date(b.date) - new Date(a.date));
+        return { query, total: matches.length, results: matches.slice(0, limit) };
+    }
+    
+    /**
+     * Message text as HTML. Replies generated with a JSON schema show as a
+     * collapsible tree, with a warning when they don't match the format.
+     * @param {Object} message - Chat message
+     * @returns {string} HTML
+     */
+    renderMessageBody(message) {
+        const output = message.output;
+        if (!output) return this.markdownToHtml(message.content);
+        
+        const warning = output.valid ? '' : `<div class="output-invalid" title="${this.escapeHtml(output.errors.join('\n')).replace(/"/g, '&quot;')}">
+          <i class="fas fa-exclamation-triangle"></i> Doesn't match the ${output.type === 'grammar' ? 'grammar' : 'schema'}: ${this.escapeHtml(output.errors[0] || '')}
+        </div>`;
+        
+        if (output.type === 'json_schema') {
+            try {
+                return `${warning}<div class="json-tree">${this.renderJsonTree(JSON.parse(message.content))}</div>`;
+            } catch (error) {
+                // Not JSON, shown as text below the warning
+            }
+        }
+        return warning + this.markdownToHtml(message.content);
+    }
+    
+    /**
+     * Nested <details> for a JSON value, the first two levels open
+     * @param {*} value - Parsed JSON
+     * @param {string|number|null} key - Property name or array index
+     * @param {number} depth - Nesting level
+     * @returns {string} HTML
+     */
+    renderJsonTree(value, key = null, depth = 0) {
+        const label = key !== null ? `<span class="json-key">${this.escapeHtml(String(key))}</span>: ` : '';
+        
+        if (value && typeof value === 'object') {
+            const isArray = Array.isArray(value);
+            const entries = isArray ? value.map((item, index) => [index, item]) : Object.entries(value);
+            const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+            if (entries.length === 0) {
+                return `<div class="json-leaf">${label}${open}${close}</div>`;
+            }
+            
+            const count = `${entries.length} ${isArray ? (entries.length === 1 ? 'item' : 'items') : (entries.length === 1 ? 'key' : 'keys')}`;
+            return `<details class="json-node"${depth < 2 ? ' open' : ''}>
+              <summary>${label}${open}<span class="json-count">${count}</span>${close}</summary>
+              ${entries.map(([childKey, child]) => this.renderJsonTree(child, childKey, depth + 1)).join('')}
+            </details>`;
+        }
+        
+        const type = value === null ? 'null' : typeof value;
+        return `<div class="json-leaf">${label}<span class="json-${type}">${this.escapeHtml(JSON.stringify(value))}</span></div>`;
+    }
+    
+    /**
+     * Pin a message so the keep-pinned policy never trims it
+     * @param {string} messageId - Message to pin or unpin
+     */
+    togglePinMessage(messageId) {
+        const chat = this.chats.get(this.currentChatId);
+        const message = chat?.messages.find(msg => msg.id === messageId);
+        if (!message) return;
+        
+        message.pinned = !message.pinned;
+        if (!message.pinned) delete message.pinned;
+        this.saveChats();
+        this.renderMessages();
+    }
+    
     /**
      * Renderiza el contenido acumulado de manera eficiente
      */
@@ -499,14 +1195,33 @@ class OpenChatMobile {
     
     /**
      * Finaliza el stream y limpia los acumuladores
+     * @param {Object|null} result - `done` event with the generation stats
      */
-    finalizeStream() {
+    finalizeStream(result = null) {
         // Renderizar cualquier contenido pendiente
         if (this.renderTimeout) {
             clearTimeout(this.renderTimeout);
         }
         this.renderAccumulatedContent();
         
+        // Guardar la respuesta completa en el historial
+        if (this.typingMessageId) {
+            const message = this.commitStreamContent(this.typingMessageId, false);
+            if (message && result) {
+                message.stats = this.buildMessageStats(result);
+                if (result.output) {
+                    message.output = result.output;
+                }
+                this.saveChats();
+                const content = document.getElementById(message.id)?.querySelector('.message-content');
+                if (content && message.output) {
+                    content.innerHTML = this.renderMessageBody(message);
+                }
+                content?.insertAdjacentHTML('afterend', this.renderMessageSources(message.sources));
+                content?.insertAdjacentHTML('afterend', this.renderMessageStats(message.stats));
+            }
+        }
+        
         // Limpiar acumuladores
         this.accumulatedContent.clear();
         
@@ -515,11 +1230,46 @@ class OpenChatMobile {
         this.stopBtn.disabled = true;
         this.sendBtn.disabled = false;
         this.typingMessageId = null;
+        this.typingChatId = null;
         
         // Forzar scroll al final
         this.scrollToBottom();
     }
     
+    /**
+     * Cierra un stream interrumpido (stop, error o desconexión)
+     * guardando lo recibido como mensaje incompleto
+     */
+    interruptStream() {
+        if (this.renderTimeout) {
+            clearTimeout(this.renderTimeout);
+        }
+        
+        const messageId = this.typingMessageId;
+        if (messageId) {
+            const message = this.commitStreamContent(messageId, true);
+            
+            // Un mensaje sin contenido ni herramientas no aporta nada al historial
+            if (message && !message.content && !message.toolSteps?.length) {
+                const chat = this.chats.get(this.typingChatId || this.currentChatId);
+                chat.messages = chat.messages.filter(m => m.id !== messageId);
+                this.saveChats();
+            }
+        }
+        
+        this.accumulatedContent.clear();
+        
+        this.isGenerating = false;
+        this.stopBtn.disabled = true;
+        this.sendBtn.disabled = false;
+        this.typingMessageId = null;
+        this.typingChatId = null;
+        
+        if (messageId) {
+            this.renderMessages();
+        }
+    }
+    
     /**
      * Scroll suave solo si estamos cerca del final
      */
@@ -656,6 +1406,7 @@ class OpenChatMobile {
         this.renderMessages();
         this.updateChatTitle();
         this.loadChatSettings();
+        this.updateTokenCount();
         
         // Close sidebar on mobile
         if (window.innerWidth < 768) {
@@ -683,6 +1434,7 @@ class OpenChatMobile {
         if (confirm(`Are you sure you want to delete "${chatTitle}"? This action cannot be undone.`)) {
             this.chats.delete(chatId);
             this.saveChats();
+            this.deleteChatDocuments(chatId);
             
             if (this.currentChatId === chatId) {
                 const firstChat = Array.from(this.chats.keys())[0];
@@ -702,6 +1454,7 @@ class OpenChatMobile {
         }
         
         if (confirm('Are you sure you want to clear ALL chat history? This action cannot be undone.')) {
+            this.chats.forEach((chat, chatId) => this.deleteChatDocuments(chatId));
             this.chats.clear();
             this.createNewChat();
             this.showToast('All chat history cleared', 'success');
@@ -715,15 +1468,19 @@ class OpenChatMobile {
     
     async sendMessage() {
         // Validation
-        const message = this.messageInput?.value?.trim();
-        if (!message || this.isGenerating) return;
+        const message = this.messageInput?.value?.trim() || '';
+        const attachments = this.pendingAttachments;
+        if ((!message && attachments.length === 0) || this.isGenerating) return;
         
         // Clear input immediately
         this.messageInput.value = '';
         this.adjustTextareaHeight();
+        this.pendingAttachments = [];
+        this.renderAttachmentChips();
         
         // Add user message to chat
-        this.addMessage('user', message);
+        const userMessageId = this.addMessage('user', message, null, attachments);
+        this.recordAttachments(this.currentChatId, userMessageId, attachments);
         
         // Update UI state
         this.isGenerating = true;
@@ -741,24 +1498,32 @@ class OpenChatMobile {
         const settings = chat.settings;
         
         try {
+            // Each chat generates with the model recorded in its settings
+            await this.activateModel(settings.model);
+            
             if (this.ws && this.isConnected) {
                 // Use WebSocket streaming
                 const messageId = `msg_${Date.now()}`;
                 this.typingMessageId = messageId;
+                this.typingChatId = this.currentChatId;
                 
                 // Crear elemento de mensaje con contenido vacío
                 this.addMessage('bot', '', messageId);
                 
                 // Inicializar acumulador para este mensaje
                 this.accumulatedContent.set(messageId, '');
+                this.lastCheckpointTime = Date.now();
                 
                 // Prepare payload
                 const payload = {
                     type: 'chat',
-                    message: this.buildPrompt(chat, message),
+                    messages: this.buildMessages(chat, messageId),
                     maxTokens: parseInt(settings.maxTokens) || 200,
-                    temperature: parseFloat(settings.temperature) || 0.7,
-                    chatId: this.currentChatId
+                    ...this.buildSamplingPayload(settings),
+                    chatId: this.currentChatId,
+                    generationId: messageId,
+                    tools: this.getEnabledTools(settings),
+                    ...this.buildOutputFormat(settings)
                 };
                 
                 this.ws.send(JSON.stringify(payload));
@@ -772,21 +1537,36 @@ class OpenChatMobile {
                 this.typingMessageId = messageId;
                 this.addMessage('bot', 'Thinking...', messageId);
                 
-                const response = await fetch('/api/chat', {
+                const response = await this.apiFetch('/api/chat', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({
-                        message: this.buildPrompt(chat, message),
+                        chatId: this.currentChatId,
+                        messages: this.buildMessages(chat, messageId),
                         maxTokens: parseInt(settings.maxTokens) || 200,
-                        temperature: parseFloat(settings.temperature) || 0.7
+                        ...this.buildSamplingPayload(settings),
+                        ...this.buildOutputFormat(settings)
                     })
                 });
                 
+                const data = await response.json().catch(() => ({}));
                 if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    throw new Error(this.getErrorMessage(data, 'GENERATION_FAILED'));
                 }
                 
-                const data = await response.json();
+                if (data.context) {
+                    this.applyContextReport(this.currentChatId, data.context);
+                    this.applyMessageSources(this.currentChatId, messageId, data.context);
+                }
+                
+                const botMessage = chat.messages.find(msg => msg.id === messageId);
+                if (botMessage) {
+                    botMessage.stats = this.buildMessageStats(data);
+                    if (data.output) {
+                        const { data: parsed, ...output } = data.output;
+                        botMessage.output = output;
+                    }
+                }
                 
                 // Actualizar mensaje con respuesta completa
                 this.updateMessageContent(messageId, data.response);
@@ -809,6 +1589,7 @@ class OpenChatMobile {
             this.stopBtn.disabled = true;
             this.sendBtn.disabled = false;
             this.typingMessageId = null;
+            this.typingChatId = null;
             
             // Limpiar acumuladores
             this.accumulatedContent.clear();
@@ -818,61 +1599,59 @@ class OpenChatMobile {
         }
     }
     
-    buildPrompt(chat, newMessage) {
+    /**
+     * Build the structured conversation sent to the server, which applies
+     * the model's chat template
+     * @param {Object} chat - Chat whose history is sent
+     * @param {string} pendingMessageId - Bot message being generated (excluded)
+     * @returns {Array<{role: string, content: string, id: string, pinned: boolean, attachments?: string[]}>}
+     *   Messages, ids let the server report which ones it left out of the context.
+     *   Attachments are document ids, the server adds their text to the prompt
+     */
+    buildMessages(chat, pendingMessageId = null) {
         const settings = chat.settings;
-        let prompt = '';
+        const messages = [];
         
         // Add system prompt if exists
         if (settings.systemPrompt?.trim()) {
-            prompt += `${settings.systemPrompt}\n\n`;
+            messages.push({ role: 'system', content: settings.systemPrompt.trim(), id: 'system' });
         }
         
-        // Add conversation history
+        // Add conversation history (already includes the new user message)
         chat.messages.forEach(msg => {
-            const role = msg.role === 'user' ? 'User' : 'Assistant';
-            prompt += `${role}: ${msg.content}\n`;
+            const hasAttachments = msg.attachments?.length > 0;
+            if (msg.id === pendingMessageId || (!msg.content && !hasAttachments)) return;
+            const entry = {
+                role: msg.role === 'user' ? 'user' : 'assistant',
+                content: msg.content,
+                id: msg.id,
+                pinned: Boolean(msg.pinned)
+            };
+            if (hasAttachments) {
+                entry.attachments = msg.attachments.map(attachment => attachment.id);
+            }
+            messages.push(entry);
         });
         
-        // Add new user message
-        prompt += `User: ${newMessage}\n`;
-        prompt += 'Assistant:';
-        
-        return prompt;
+        return messages;
     }
     
     stopGeneration() {
         if (this.ws && this.isConnected) {
-            this.ws.send(JSON.stringify({ type: 'stop' }));
+            this.ws.send(JSON.stringify({
+                type: 'stop',
+                generationId: this.typingMessageId
+            }));
         }
         
-        // Limpiar acumuladores y timeouts
-        if (this.renderTimeout) {
-            clearTimeout(this.renderTimeout);
-        }
-        this.accumulatedContent.clear();
-        
-        this.isGenerating = false;
-        this.stopBtn.disabled = true;
-        this.sendBtn.disabled = false;
-        
-        if (this.typingMessageId) {
-            const typingElement = document.getElementById(this.typingMessageId);
-            if (typingElement) {
-                const contentElement = typingElement.querySelector('.message-content');
-                if (contentElement) {
-                    const currentText = contentElement.textContent;
-                    contentElement.textContent = currentText + ' [Stopped]';
-                    contentElement.classList.remove('typing');
-                }
-            }
-            this.typingMessageId = null;
-        }
+        // Guardar la respuesta parcial y limpiar acumuladores
+        this.interruptStream();
         
         this.showToast('Generation stopped', 'warning');
         this.logger.info('Generation stopped by user');
     }
     
-    addMessage(role, content, id = null) {
+    addMessage(role, content, id = null, attachments = []) {
         const chat = this.chats.get(this.currentChatId);
         if (!chat) return null;
         
@@ -883,14 +1662,18 @@ class OpenChatMobile {
             content,
             timestamp: new Date().toISOString()
         };
+        if (attachments.length > 0) {
+            message.attachments = attachments;
+        }
         
         chat.messages.push(message);
         chat.updatedAt = new Date().toISOString();
         
         // Update chat title if first user message
         if (role === 'user' && chat.messages.length === 1) {
-            const words = content.split(' ').slice(0, 5).join(' ');
-            chat.title = words.length < content.length ? words + '...' : words;
+            const titleSource = content || attachments[0]?.name || 'New Chat';
+            const words = titleSource.split(' ').slice(0, 5).join(' ');
+            chat.title = words.length < titleSource.length ? words + '...' : words;
             this.updateChatTitle();
             this.renderChatList();
         }
@@ -901,6 +1684,29 @@ class OpenChatMobile {
         return messageId;
     }
     
+    /**
+     * Keep the chat's attachment list in chat.metadata.fileAttachments
+     * @param {string} chatId - Chat the message belongs to
+     * @param {string} messageId - User message carrying the attachments
+     * @param {Array<Object>} attachments - Attachments of that message
+     */
+    recordAttachments(chatId, messageId, attachments) {
+        const chat = this.chats.get(chatId);
+        if (!chat || attachments.length === 0) return;
+        
+        chat.metadata = chat.metadata || { tokensUsed: 0 };
+        chat.metadata.fileAttachments = chat.metadata.fileAttachments || [];
+        // The thumbnails are already stored with the message
+        attachments.forEach(({ thumbnail, ...attachment }) => {
+            chat.metadata.fileAttachments.push({
+                ...attachment,
+                messageId,
+                attachedAt: new Date().toISOString()
+            });
+        });
+        this.saveChats();
+    }
+    
     updateMessageContent(messageId, content) {
         const chat = this.chats.get(this.currentChatId);
         if (!chat) return;
@@ -929,13 +1735,42 @@ class OpenChatMobile {
      */
     
     async handleFileUpload(event) {
-        const file = event.target.files?.[0];
-        if (!file) return;
+        const files = Array.from(event.target.files || []);
+        if (files.length === 0) return;
+        
+        const maxFiles = window.getConfig('FILE_UPLOAD.MAX_FILES_PER_MESSAGE', 5);
+        const room = maxFiles - this.pendingAttachments.length;
+        if (room <= 0) {
+            this.showToast(`Up to ${maxFiles} files per message`, 'warning');
+            if (event.target.value) event.target.value = '';
+            return;
+        }
+        if (files.length > room) {
+            this.showToast(`Only the first ${room} file(s) will be attached (up to ${maxFiles} per message)`, 'warning');
+        }
         
+        // Documents belong to a chat
+        if (!this.currentChatId && !this.createNewChat()) return;
+        
+        try {
+            for (const file of files.slice(0, room)) {
+                await this.uploadAttachment(file);
+            }
+        } finally {
+            // Reset file input
+            if (event.target.value) event.target.value = '';
+        }
+    }
+    
+    /**
+     * Upload one file and add it to the attachments of the next message
+     * @param {File} file - File picked or dropped by the user
+     */
+    async uploadAttachment(file) {
         // Validate file size (10MB limit)
         const maxSize = 10 * 1024 * 1024;
         if (file.size > maxSize) {
-            this.showToast('File too large. Maximum size is 10MB.', 'error');
+            this.showToast(`${file.name} is too large. Maximum size is 10MB.`, 'error');
             return;
         }
         
@@ -950,7 +1785,8 @@ class OpenChatMobile {
             'image/'
         ];
         
-        const isValidType = allowedTypes.some(type => {
+        // Browsers often leave .md or .csv files without a type, the server sniffs them
+        const isValidType = !file.type || allowedTypes.some(type => {
             if (type.endsWith('/')) {
                 return file.type.startsWith(type);
             }
@@ -958,73 +1794,189 @@ class OpenChatMobile {
         });
         
         if (!isValidType) {
-            this.showToast('File type not supported', 'error');
+            this.showToast(`${file.name}: file type not supported`, 'error');
+            return;
+        }
+        
+        const isImage = file.type.startsWith('image/');
+        if (isImage && this.modelVision === false) {
+            this.showToast(this.getErrorMessage({ code: 'VISION_NOT_SUPPORTED' }), 'error');
             return;
         }
         
         try {
             this.showToast(`Uploading ${file.name}...`, 'info');
             
-            // Read file content
-            const content = await this.readFileAsText(file);
-            
-            // Upload to server
-            const response = await fetch('/api/upload', {
+            // The server extracts the text, the file goes up as is
+            const response = await this.apiFetch('/api/upload', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/octet-stream',
                     'X-Filename': encodeURIComponent(file.name),
                     'X-File-Size': file.size,
-                    'X-File-Type': file.type
+                    'X-File-Type': file.type,
+                    'X-Chat-Id': this.currentChatId,
+                    'X-Chunk-Size': window.getConfig('FILE_UPLOAD.CHUNK_SIZE', 1000)
                 },
-                body: content
+                body: file
             });
             
+            const data = await response.json().catch(() => ({}));
             if (!response.ok) {
-                throw new Error(`Upload failed: ${response.statusText}`);
+                const code = data.code === 'PAYLOAD_TOO_LARGE' ? 'FILE_TOO_LARGE' : data.code;
+                throw new Error(this.getErrorMessage({ ...data, code }, 'UPLOAD_FAILED'));
             }
             
-            const data = await response.json();
-            
-            // Store file reference
-            this.uploadedFile = {
+            this.pendingAttachments.push({
+                id: data.document.id,
                 name: file.name,
                 size: file.size,
-                type: file.type,
-                content: data.content || content.substring(0, 1000),
-                serverData: data
-            };
-            
-            // Add file info to message input
-            const fileInfo = `[File: ${file.name} (${this.formatFileSize(file.size)})]\n`;
-            this.messageInput.value = fileInfo + (this.messageInput.value || '');
-            this.adjustTextareaHeight();
+                type: data.document.type,
+                summary: this.describeDocument(data.document),
+                thumbnail: data.document.type === 'image' ? await this.createThumbnail(file) : null
+            });
+            this.renderAttachmentChips();
             
-            this.showToast(`File "${file.name}" uploaded successfully`, 'success');
-            this.logger.info('File uploaded:', { 
-                filename: file.name, 
+            this.showToast(`File "${file.name}" attached: ${this.describeDocument(data.document)}`, 'success');
+            this.logger.info('File uploaded:', {
+                id: data.document.id,
+                filename: file.name,
                 size: file.size,
-                type: file.type 
+                type: data.document.type
             });
-            
+        
         } catch (error) {
             this.logger.error('File upload error:', error);
             this.showToast(`Upload failed: ${error.message}`, 'error');
-        } finally {
-            // Reset file input
-            event.target.value = '';
         }
     }
     
-    readFileAsText(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = (e) => reject(new Error('Failed to read file'));
-            reader.readAsText(file);
-        });
-    }
-    
+    /**
+     * Remove a file from the next message and delete it on the server,
+     * no message references it yet
+     * @param {string} documentId - Attachment to remove
+     */
+    removePendingAttachment(documentId) {
+        this.pendingAttachments = this.pendingAttachments.filter(attachment => attachment.id !== documentId);
+        this.renderAttachmentChips();
+        
+        this.apiFetch(`/api/documents/${encodeURIComponent(documentId)}`, { method: 'DELETE' })
+            .catch(error => this.logger.warn('Could not delete document:', error));
+    }
+    
+    /**
+     * Chips above the input for the files attached to the next message
+     */
+    renderAttachmentChips() {
+        if (!this.attachmentChips) return;
+        
+        this.attachmentChips.hidden = this.pendingAttachments.length === 0;
+        this.attachmentChips.innerHTML = this.pendingAttachments.map(attachment => this.renderAttachmentChip(attachment,
+            `<button class="attachment-remove" data-document-id="${attachment.id}" title="Remove"><i class="fas fa-times"></i></button>`
+        )).join('');
+        
+        this.attachmentChips.querySelectorAll('.attachment-remove').forEach(button => {
+            button.addEventListener('click', () => this.removePendingAttachment(button.dataset.documentId));
+        });
+    }
+    
+    /**
+     * Attachments shown inside a message bubble
+     * @param {Array<Object>} attachments - Attachments saved with the message
+     * @returns {string} HTML
+     */
+    renderMessageAttachments(attachments) {
+        if (!attachments?.length) return '';
+        
+        const images = attachments.filter(attachment => this.isThumbnail(attachment.thumbnail));
+        const files = attachments.filter(attachment => !images.includes(attachment));
+        const imagesHtml = images.map(attachment => `<img class="message-image" src="${attachment.thumbnail}"
+              alt="${this.escapeHtml(attachment.name).replace(/"/g, '&quot;')}" title="${this.escapeHtml(attachment.name).replace(/"/g, '&quot;')}">`).join('');
+        
+        return `${images.length ? `<div class="message-images">${imagesHtml}</div>` : ''}
+        ${files.length ? `<div class="message-attachments">${files.map(attachment => this.renderAttachmentChip(attachment)).join('')}</div>` : ''}`;
+    }
+    
+    /**
+     * Only data URLs made by createThumbnail go into an img src
+     */
+    isThumbnail(value) {
+        return typeof value === 'string' && /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/=]+$/.test(value);
+    }
+    
+    /**
+     * Small JPEG preview of an image, stored with the chat
+     * @param {File} file - Image picked by the user
+     * @returns {Promise<string|null>} Data URL, null if the browser can't decode the image
+     */
+    async createThumbnail(file) {
+        const maxSide = window.getConfig('FILE_UPLOAD.THUMBNAIL_SIZE', 256);
+        try {
+            const bitmap = await createImageBitmap(file);
+            const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+            canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+            canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            bitmap.close();
+            return canvas.toDataURL('image/jpeg', 0.8);
+        } catch (error) {
+            this.logger.warn('Could not create thumbnail:', error);
+            return null;
+        }
+    }
+    
+    renderAttachmentChip(attachment, extra = '') {
+        const icons = {
+            pdf: 'fa-file-pdf',
+            html: 'fa-file-code',
+            json: 'fa-file-code',
+            csv: 'fa-file-csv',
+            markdown: 'fa-file-alt',
+            text: 'fa-file-alt'
+        };
+        const title = this.escapeHtml(attachment.summary || '').replace(/"/g, '&quot;');
+        const preview = this.isThumbnail(attachment.thumbnail)
+            ? `<img class="attachment-thumb" src="${attachment.thumbnail}" alt="">`
+            : `<i class="fas ${icons[attachment.type] || 'fa-file'}"></i>`;
+        
+        return `<span class="attachment-chip" title="${title}">
+              ${preview}
+              <span class="attachment-name">${this.escapeHtml(attachment.name)}</span>
+              <span class="attachment-size">${this.formatFileSize(attachment.size)}</span>
+              ${extra}
+            </span>`;
+    }
+    
+    /**
+     * Short description of an extracted document ("12 pages", "3 sections")
+     */
+    describeDocument(document) {
+        if (document.type === 'image') {
+            const format = (document.format || 'image').toUpperCase();
+            return document.width ? `${format} image, ${document.width}×${document.height}` : `${format} image`;
+        }
+        if (document.pages) {
+            return `${document.pages} page${document.pages === 1 ? '' : 's'}`;
+        }
+        if (document.rows !== undefined) {
+            return `${document.rows} row${document.rows === 1 ? '' : 's'}`;
+        }
+        const count = document.sections.length;
+        return `${count} section${count === 1 ? '' : 's'}`;
+    }
+    
+    /**
+     * Removes the server-side documents of a deleted chat
+     */
+    async deleteChatDocuments(chatId) {
+        try {
+            await this.apiFetch(`/api/documents?chatId=${encodeURIComponent(chatId)}`, { method: 'DELETE' });
+        } catch (error) {
+            this.logger.warn('Could not delete chat documents:', error);
+        }
+    }
+    
     /**
      * UI Rendering
      */
@@ -1230,7 +2182,10 @@ class OpenChatMobile {
     
     createMessageElement(message) {
         const messageDiv = document.createElement('div');
-        messageDiv.className = `message ${message.role} fade-in`;
+        messageDiv.className = `message ${message.role} fade-in${message.omitted ? ' omitted' : ''}`;
+        if (message.omitted) {
+            messageDiv.title = 'Left out of the last prompt to fit the model context';
+        }
         messageDiv.id = message.id;
         
         const time = new Date(message.timestamp).toLocaleTimeString([], {
@@ -1244,16 +2199,29 @@ class OpenChatMobile {
             : '<i class="fas fa-robot"></i> Assistant';
         
         const isTyping = message.id === this.typingMessageId;
+        const incompleteBadge = message.incomplete && !isTyping
+            ? '<span class="message-badge incomplete" title="Generation was interrupted"><i class="fas fa-exclamation-triangle"></i> Incomplete</span>'
+            : '';
+        const pinnedBadge = message.pinned
+            ? '<span class="message-badge pinned" title="Always kept in the model context"><i class="fas fa-thumbtack"></i> Pinned</span>'
+            : '';
         
         messageDiv.innerHTML = `<div class="message-header">
-          <div class="message-avatar">${avatar}</div>
+          <div class="message-avatar">${avatar}${incompleteBadge}${pinnedBadge}</div>
           <div class="message-time">${time}</div>
         </div>
-        <div class="message-content ${isTyping ? 'typing' : ''}">${this.markdownToHtml(message.content)}</div>
+        ${this.renderMessageAttachments(message.attachments)}
+        ${this.renderToolSteps(message.toolSteps)}
+        <div class="message-content ${isTyping ? 'typing' : ''}">${isTyping ? this.markdownToHtml(message.content) : this.renderMessageBody(message)}</div>
+        ${message.stats && !isTyping ? this.renderMessageStats(message.stats) : ''}
+        ${!isTyping ? this.renderMessageSources(message.sources) : ''}
         <div class="message-actions">
           <button class="btn-icon copy-message-btn" data-message-id="${message.id}" title="Copy message">
             <i class="fas fa-copy"></i>
           </button>
+          <button class="btn-icon pin-message-btn ${message.pinned ? 'active' : ''}" data-message-id="${message.id}" title="${message.pinned ? 'Unpin' : 'Pin to context'}">
+            <i class="fas fa-thumbtack"></i>
+          </button>
           <button class="btn-icon regenerate-btn" data-message-id="${message.id}" title="Regenerate">
             <i class="fas fa-redo"></i>
           </button>
@@ -1261,6 +2229,7 @@ class OpenChatMobile {
         
         // Add event listeners for action buttons
         const copyBtn = messageDiv.querySelector('.copy-message-btn');
+        const pinBtn = messageDiv.querySelector('.pin-message-btn');
         const regenerateBtn = messageDiv.querySelector('.regenerate-btn');
         
         copyBtn?.addEventListener('click', (e) => {
@@ -1268,6 +2237,11 @@ class OpenChatMobile {
             this.copyMessageToClipboard(message.id);
         });
         
+        pinBtn?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.togglePinMessage(message.id);
+        });
+        
         regenerateBtn?.addEventListener('click', (e) => {
             e.stopPropagation();
             this.regenerateResponse(message.id);
@@ -1284,8 +2258,14 @@ class OpenChatMobile {
         return {
             model: this.modelSelect?.value || '',
             maxTokens: this.maxTokensInput?.value || 200,
-            temperature: this.temperatureInput?.value || 0.7,
+            temperature: this.temperatureInput?.value ?? 0.7,
+            sampling: this.getSamplingSettings(),
             systemPrompt: this.systemPromptInput?.value || 'You are a helpful assistant.',
+            tools: this.getToolSettings(),
+            output: {
+                mode: this.outputModeSelect?.value || 'off',
+                value: this.outputFormatInput?.value || ''
+            },
             enableStreaming: true,
             autoScroll: true
         };
@@ -1305,14 +2285,19 @@ class OpenChatMobile {
             }
             
             if (this.temperatureInput && this.temperatureValue) {
-                this.temperatureInput.value = settings.temperature || 0.7;
-                this.temperatureValue.textContent = settings.temperature || 0.7;
+                this.temperatureInput.value = settings.temperature ?? 0.7;
+                this.temperatureValue.textContent = settings.temperature ?? 0.7;
             }
             
             if (this.systemPromptInput) {
                 this.systemPromptInput.value = settings.systemPrompt || 'You are a helpful assistant.';
             }
             
+            this.renderSamplingPresets();
+            this.loadSamplingSettings(settings.sampling);
+            this.loadOutputSettings(settings.output);
+            this.renderSavedFormats();
+            
             this.logger.info('Settings loaded');
         } catch (error) {
             this.logger.error('Error loading settings:', error);
@@ -1332,14 +2317,465 @@ class OpenChatMobile {
             }
             
             if (this.temperatureInput && this.temperatureValue) {
-                this.temperatureInput.value = chat.settings.temperature || 0.7;
-                this.temperatureValue.textContent = chat.settings.temperature || 0.7;
+                this.temperatureInput.value = chat.settings.temperature ?? 0.7;
+                this.temperatureValue.textContent = chat.settings.temperature ?? 0.7;
             }
             
             if (this.systemPromptInput) {
                 this.systemPromptInput.value = chat.settings.systemPrompt || 'You are a helpful assistant.';
             }
+            
+            this.loadSamplingSettings(chat.settings.sampling);
+            this.loadOutputSettings(chat.settings.output);
+        }
+        this.renderToolSettings();
+    }
+    
+    /**
+     * Sampler values from the sidebar. Empty fields are left out so
+     * llama-server uses its own defaults.
+     * @returns {Object} { preset, stop, ...samplers }
+     */
+    getSamplingSettings() {
+        const sampling = { preset: this.samplingPresetSelect?.value || '' };
+        this.samplerInputs.forEach(input => {
+            if (input.value !== '') sampling[input.dataset.sampler] = Number(input.value);
+        });
+        sampling.stop = (this.stopStringsInput?.value || '').split('\n').filter(line => line !== '');
+        return sampling;
+    }
+    
+    /**
+     * Show a chat's sampler values and preset in the sidebar
+     * @param {Object} sampling - Saved by getSamplingSettings
+     */
+    loadSamplingSettings(sampling = {}) {
+        this.samplerInputs.forEach(input => {
+            const value = sampling[input.dataset.sampler] ?? '';
+            // The mirostat select shows 0 as its empty "Off" option
+            input.value = input.tagName === 'SELECT' && value === 0 ? '' : value;
+        });
+        if (this.stopStringsInput) {
+            this.stopStringsInput.value = (sampling.stop || []).join('\n');
+        }
+        if (this.samplingPresetSelect) {
+            const known = Object.prototype.hasOwnProperty.call(this.getSamplingPresets(), sampling.preset);
+            this.samplingPresetSelect.value = known ? sampling.preset : '';
+        }
+    }
+    
+    /**
+     * Request fields for a chat's samplers, checked again by the server.
+     * Stop strings are left out while an output format is set, the server
+     * refuses the two together.
+     * @param {Object} settings - Chat settings
+     * @returns {Object} temperature, the samplers that are set and `stop`
+     */
+    buildSamplingPayload(settings) {
+        const { preset, stop = [], ...samplers } = settings.sampling || {};
+        const temperature = parseFloat(settings.temperature);
+        const constrained = Object.keys(this.buildOutputFormat(settings)).length > 0;
+        return {
+            temperature: Number.isFinite(temperature) ? temperature : 0.7,
+            ...samplers,
+            ...(stop.length && !constrained ? { stop } : {})
+        };
+    }
+    
+    /**
+     * Built-in presets followed by the ones saved in this browser
+     * @returns {Object} Preset values keyed by name
+     */
+    getSamplingPresets() {
+        return { ...window.getConfig('DEFAULTS.SAMPLING_PRESETS', {}), ...this.getCustomPresets() };
+    }
+    
+    getCustomPresets() {
+        try {
+            return JSON.parse(localStorage.getItem('samplingPresets')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    renderSamplingPresets() {
+        if (!this.samplingPresetSelect) return;
+        
+        const selected = this.samplingPresetSelect.value;
+        const builtIn = window.getConfig('DEFAULTS.SAMPLING_PRESETS', {});
+        const custom = Object.keys(this.getCustomPresets()).filter(name => !builtIn[name]).sort();
+        const group = (label, names) => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = label;
+            optgroup.append(...names.map(name => this.createTextOption(name, name)));
+            return optgroup;
+        };
+        
+        this.samplingPresetSelect.replaceChildren(
+            this.createTextOption('', 'Custom'),
+            group('Built-in', Object.keys(builtIn)),
+            ...(custom.length ? [group('Saved', custom)] : [])
+        );
+        this.samplingPresetSelect.value = Object.prototype.hasOwnProperty.call(this.getSamplingPresets(), selected) ? selected : '';
+    }
+    
+    /**
+     * Build a select option; names typed by the user are set as text, never parsed as HTML
+     * @param {string} value - Option value
+     * @param {string} label - Visible text
+     * @returns {HTMLOptionElement}
+     */
+    createTextOption(value, label) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }
+    
+    applySamplingPreset(name) {
+        const preset = this.getSamplingPresets()[name];
+        if (!preset) {
+            this.saveSettings();
+            return;
+        }
+        
+        const { temperature = 0.7, ...sampling } = preset;
+        if (this.temperatureInput && this.temperatureValue) {
+            this.temperatureInput.value = temperature;
+            this.temperatureValue.textContent = temperature;
+        }
+        this.loadSamplingSettings({ ...sampling, preset: name });
+        this.saveSettings();
+    }
+    
+    /**
+     * A value was edited by hand, so the chat no longer follows its preset
+     */
+    markSamplingCustom() {
+        if (this.samplingPresetSelect) {
+            this.samplingPresetSelect.value = '';
+        }
+        this.saveSettings();
+    }
+    
+    saveSamplingPreset() {
+        const name = prompt('Name for this preset:')?.trim();
+        if (!name) return;
+        
+        if (window.getConfig('DEFAULTS.SAMPLING_PRESETS', {})[name]) {
+            this.showToast(`"${name}" is a built-in preset, pick another name`, 'warning');
+            return;
+        }
+        
+        const { preset, stop, ...samplers } = this.getSamplingSettings();
+        const presets = this.getCustomPresets();
+        presets[name] = {
+            temperature: parseFloat(this.temperatureInput?.value ?? 0.7),
+            ...samplers,
+            ...(stop.length ? { stop } : {})
+        };
+        localStorage.setItem('samplingPresets', JSON.stringify(presets));
+        this.renderSamplingPresets();
+        this.samplingPresetSelect.value = name;
+        this.saveSettings();
+        this.showToast(`Preset "${name}" saved`, 'success');
+    }
+    
+    deleteSamplingPreset() {
+        const name = this.samplingPresetSelect?.value;
+        const presets = this.getCustomPresets();
+        if (!name || !presets[name]) {
+            this.showToast('Pick a saved preset to delete, built-in presets can\'t be deleted', 'warning');
+            return;
+        }
+        if (!confirm(`Delete the preset "${name}"?`)) return;
+        
+        delete presets[name];
+        localStorage.setItem('samplingPresets', JSON.stringify(presets));
+        this.renderSamplingPresets();
+        this.saveSettings();
+        this.showToast(`Preset "${name}" deleted`, 'info');
+    }
+    
+    exportSamplingPresets() {
+        const presets = this.getCustomPresets();
+        if (Object.keys(presets).length === 0) {
+            this.showToast('No saved presets to export', 'warning');
+            return;
+        }
+        
+        const content = JSON.stringify({ type: 'sampling-presets', version: 1, presets }, null, 2);
+        const blob = new Blob([content], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'sampling-presets.json';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Add the presets of an exported file, replacing saved ones with the
+     * same name. Values outside the ranges of the sidebar fields are refused.
+     * @param {File} file - JSON written by exportSamplingPresets
+     */
+    async importSamplingPresets(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const entries = Object.entries(data?.presets || {});
+            if (data?.type !== 'sampling-presets' || entries.length === 0) {
+                throw new Error('The file has no sampling presets');
+            }
+            
+            const builtIn = window.getConfig('DEFAULTS.SAMPLING_PRESETS', {});
+            const presets = this.getCustomPresets();
+            let imported = 0;
+            for (const [name, values] of entries) {
+                if (!name.trim() || builtIn[name]) continue;
+                presets[name] = this.checkSamplingPreset(name, values);
+                imported++;
+            }
+            
+            localStorage.setItem('samplingPresets', JSON.stringify(presets));
+            this.renderSamplingPresets();
+            this.showToast(`Imported ${imported} preset${imported === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            this.logger.error('Error importing presets:', error);
+            this.showToast(`Failed to import presets: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Keep the known samplers of an imported preset
+     * @param {string} name - Preset name, for error messages
+     * @param {Object} values - Preset values
+     * @returns {Object} Checked preset
+     */
+    checkSamplingPreset(name, values) {
+        if (!values || typeof values !== 'object') {
+            throw new Error(`Preset "${name}" is not an object`);
+        }
+        
+        const fields = [this.temperatureInput, ...this.samplerInputs].filter(Boolean);
+        const preset = {};
+        for (const input of fields) {
+            const key = input.dataset.sampler || 'temperature';
+            const value = values[key];
+            if (value === undefined || value === null) continue;
+            
+            const min = input.min !== '' ? Number(input.min) : -Infinity;
+            const max = input.max !== '' ? Number(input.max) : Infinity;
+            const allowed = typeof value === 'number' && (input.tagName === 'SELECT'
+                ? value === 0 || Array.from(input.options).some(option => option.value === String(value))
+                : value >= min && value <= max);
+            if (!allowed) {
+                throw new Error(`Preset "${name}" has an invalid ${key}`);
+            }
+            preset[key] = value;
+        }
+        if (Array.isArray(values.stop) && values.stop.every(item => typeof item === 'string')) {
+            preset.stop = values.stop;
+        }
+        return preset;
+    }
+    
+    /**
+     * Show a chat's structured output setting in the sidebar
+     * @param {Object} output - { mode, value } from the chat settings
+     */
+    loadOutputSettings(output = {}) {
+        if (this.outputModeSelect) {
+            this.outputModeSelect.value = output.mode || 'off';
+        }
+        if (this.outputFormatInput) {
+            this.outputFormatInput.value = output.value || '';
+        }
+        this.updateOutputEditor();
+    }
+    
+    /**
+     * Show the editor for schema and grammar modes and check what it holds
+     */
+    updateOutputEditor() {
+        const mode = this.outputModeSelect?.value || 'off';
+        if (!this.outputFormatEditor) return;
+        
+        this.outputFormatEditor.hidden = mode !== 'json_schema' && mode !== 'grammar';
+        this.outputFormatInput.placeholder = mode === 'grammar'
+            ? 'root ::= "yes" | "no"'
+            : '{"type": "object", "properties": {"name": {"type": "string"}}, "required": ["name"]}';
+        this.outputFormatError.textContent = this.outputFormatInput.value.trim()
+            ? this.checkOutputFormat(mode, this.outputFormatInput.value) || ''
+            : '';
+    }
+    
+    /**
+     * Quick check of a schema or grammar, the server validates it again
+     * @param {string} mode - json_schema or grammar
+     * @param {string} value - Schema JSON or GBNF text
+     * @returns {string|null} Problem found, null when it looks usable
+     */
+    checkOutputFormat(mode, value) {
+        if (mode === 'grammar') {
+            return /^\s*root\s*::=/m.test(value) ? null : 'The grammar needs a root rule (root ::= ...)';
+        }
+        if (mode === 'json_schema') {
+            try {
+                const schema = JSON.parse(value);
+                return schema && typeof schema === 'object' && !Array.isArray(schema) ? null : 'The schema must be a JSON object';
+            } catch (error) {
+                return `Invalid JSON: ${error.message}`;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Request fields for a chat's structured output setting
+     * @param {Object} settings - Chat settings
+     * @returns {Object} `jsonSchema` or `grammar`, empty for free text
+     */
+    buildOutputFormat(settings) {
+        const { mode = 'off', value = '' } = settings.output || {};
+        if (mode === 'json') return { jsonSchema: {} };
+        if (mode === 'json_schema' && value.trim()) return { jsonSchema: value };
+        if (mode === 'grammar' && value.trim()) return { grammar: value };
+        return {};
+    }
+    
+    /**
+     * Schemas and grammars saved for reuse across chats
+     * @returns {Array<{name: string, mode: string, value: string}>}
+     */
+    getSavedFormats() {
+        try {
+            return JSON.parse(localStorage.getItem('outputFormats')) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    renderSavedFormats() {
+        if (!this.savedFormatsSelect) return;
+        
+        const formats = this.getSavedFormats();
+        this.savedFormatsSelect.replaceChildren(
+            this.createTextOption('', 'Saved formats...'),
+            ...formats.map(format => {
+                const kind = format.mode === 'grammar' ? 'GBNF' : 'Schema';
+                return this.createTextOption(format.name, `${format.name} (${kind})`);
+            })
+        );
+    }
+    
+    applySavedFormat(name) {
+        const format = this.getSavedFormats().find(item => item.name === name);
+        if (!format) return;
+        
+        this.loadOutputSettings(format);
+        this.saveSettings();
+    }
+    
+    saveOutputFormat() {
+        const mode = this.outputModeSelect?.value;
+        const value = this.outputFormatInput?.value || '';
+        const problem = this.checkOutputFormat(mode, value);
+        if (!value.trim() || problem) {
+            this.showToast(problem || 'Write a schema or grammar first', 'warning');
+            return;
+        }
+        
+        const name = prompt('Name for this format:', this.savedFormatsSelect?.value || '')?.trim();
+        if (!name) return;
+        
+        const formats = this.getSavedFormats().filter(item => item.name !== name);
+        formats.push({ name, mode, value });
+        formats.sort((a, b) => a.name.localeCompare(b.name));
+        localStorage.setItem('outputFormats', JSON.stringify(formats));
+        this.renderSavedFormats();
+        this.savedFormatsSelect.value = name;
+        this.showToast(`Format "${name}" saved`, 'success');
+    }
+    
+    deleteOutputFormat() {
+        const name = this.savedFormatsSelect?.value;
+        if (!name) {
+            this.showToast('Pick a saved format to delete', 'warning');
+            return;
+        }
+        
+        localStorage.setItem('outputFormats', JSON.stringify(this.getSavedFormats().filter(item => item.name !== name)));
+        this.renderSavedFormats();
+        this.showToast(`Format "${name}" deleted`, 'info');
+    }
+    
+    /**
+     * Load the tools the server offers and show their switches
+     */
+    async loadTools() {
+        try {
+            const response = await this.apiFetch('/api/tools');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            this.availableTools = data.tools || [];
+        } catch (error) {
+            this.logger.warn('Could not load tools:', error);
+            this.availableTools = [];
+        }
+        this.renderToolSettings();
+    }
+    
+    /**
+     * One switch per tool with the state saved in the current chat
+     */
+    renderToolSettings() {
+        if (!this.toolSettings) return;
+        
+        if (this.availableTools.length === 0) {
+            this.toolSettings.innerHTML = '<span class="tool-settings-empty">No tools available</span>';
+            return;
         }
+        
+        const enabled = this.chats.get(this.currentChatId)?.settings?.tools || {};
+        this.toolSettings.innerHTML = this.availableTools.map(tool => {
+            const checked = tool.available && (enabled[tool.name] ?? tool.defaultEnabled);
+            const title = tool.available ? tool.description : tool.reason;
+            return `<label class="checkbox-label${tool.available ? '' : ' unavailable'}" title="${this.escapeHtml(title || '').replace(/"/g, '&quot;')}">
+              <input type="checkbox" data-tool="${this.escapeHtml(tool.name)}"${checked ? ' checked' : ''}${tool.available ? '' : ' disabled'}>
+              <span>${this.escapeHtml(tool.name)}</span>
+            </label>`;
+        }).join('');
+        
+        this.toolSettings.querySelectorAll('input[data-tool]').forEach(input => {
+            input.addEventListener('change', () => this.saveSettings());
+        });
+    }
+    
+    /**
+     * Tool switches as { name: enabled }, tools without a switch keep their saved state
+     * @returns {Object<string, boolean>}
+     */
+    getToolSettings() {
+        const tools = { ...(this.chats.get(this.currentChatId)?.settings?.tools || {}) };
+        this.toolSettings?.querySelectorAll('input[data-tool]:not(:disabled)').forEach(input => {
+            tools[input.dataset.tool] = input.checked;
+        });
+        return tools;
+    }
+    
+    /**
+     * Names of the tools a chat sends with its requests
+     * @param {Object} settings - Chat settings
+     * @returns {string[]}
+     */
+    getEnabledTools(settings) {
+        return this.availableTools
+            .filter(tool => tool.available && (settings.tools?.[tool.name] ?? tool.defaultEnabled))
+            .map(tool => tool.name);
     }
     
     saveSettings() {
@@ -1364,7 +2800,7 @@ class OpenChatMobile {
     
     async loadModels() {
         try {
-            const response = await fetch('/api/models');
+            const response = await this.apiFetch('/api/models');
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}`);
             }
@@ -1376,10 +2812,20 @@ class OpenChatMobile {
                 
                 if (data.models && data.models.length > 0) {
                     data.models.forEach(model => {
-                        const option = document.createElement('option');
-                        option.value = model.path;
-                        option.textContent = `${model.name} (${model.sizeMB}MB)`;
-                        this.modelSelect.appendChild(option);
+                        const metadata = model.metadata || {};
+                        this.modelSelect.appendChild(this.createModelOption({
+                            name: model.name,
+                            path: model.path,
+                            sizeMB: model.sizeMB,
+                            contextSize: model.contextSize,
+                            ctxSizeExceeded: model.ctxSizeExceeded,
+                            tags: [
+                                metadata.architecture,
+                                metadata.parameterLabel,
+                                metadata.quantization,
+                                metadata.chatTemplate
+                            ].filter(Boolean)
+                        }));
                     });
                 } else {
                     this.loadFallbackModels();
@@ -1405,17 +2851,10 @@ class OpenChatMobile {
         
         this.modelSelect.innerHTML = '';
         
-        const fallbackModels = [
-            { name: 'Llama 3.2 1B Instruct', path: './../models/Llama-3.2-1B-Instruct-Q4_K_M.gguf', sizeMB: 600 },
-            { name: 'Llama 3.2 3B Instruct', path: './../models/Llama-3.2-3B-Instruct-Q4_K_M.gguf', sizeMB: 1800 },
-            { name: 'Mistral 7B Instruct', path: './../models/mistral-7b-instruct-v0.2.Q4_K_M.gguf', sizeMB: 4000 }
-        ];
+        const fallbackModels = window.FALLBACK_MODELS || [];
         
         fallbackModels.forEach(model => {
-            const option = document.createElement('option');
-            option.value = model.path;
-            option.textContent = `${model.name} (${model.sizeMB}MB)`;
-            this.modelSelect.appendChild(option);
+            this.modelSelect.appendChild(this.createModelOption(model));
         });
         
         // Select first model by default
@@ -1424,6 +2863,182 @@ class OpenChatMobile {
         }
     }
     
+    /**
+     * Build a model picker option from GGUF metadata
+     * @param {Object} model - Model info with contextSize and tags
+     * @returns {HTMLOptionElement}
+     */
+    createModelOption(model) {
+        const option = document.createElement('option');
+        option.value = model.path;
+        
+        const details = [`${model.sizeMB}MB`];
+        if (model.contextSize) {
+            details.push(`${this.formatContextSize(model.contextSize)} ctx`);
+        }
+        if (model.tags?.length) {
+            details.push(...model.tags);
+        }
+        
+        option.textContent = `${model.ctxSizeExceeded ? '⚠️ ' : ''}${model.name} (${details.join(' · ')})`;
+        option.title = model.ctxSizeExceeded
+            ? `Server context size is larger than the ${model.contextSize} tokens this model was trained on`
+            : model.description || model.name;
+        option.dataset.contextSize = model.contextSize || '';
+        
+        return option;
+    }
+    
+    formatContextSize(tokens) {
+        return tokens >= 1024 ? `${Math.round(tokens / 1024)}K` : String(tokens);
+    }
+    
+    /**
+     * Active model management
+     */
+    
+    getModelName(modelPath) {
+        return (modelPath || '').split('/').pop();
+    }
+    
+    handleModelStatus(data) {
+        const previousStatus = this.modelStatus;
+        this.activeModel = data.model;
+        this.modelStatus = data.status;
+        this.llamaState = data.state || null;
+        this.modelVision = data.vision ?? null;
+        this.updateConnectionStatus();
+        
+        const name = this.getModelName(data.model);
+        
+        if (data.status === 'loading') {
+            if (this.modelSelect) this.modelSelect.disabled = true;
+            if (this.statusText) {
+                this.statusText.textContent = `Loading ${name} (${Math.round((data.progress || 0) * 100)}%)`;
+            }
+        } else {
+            if (this.modelSelect) this.modelSelect.disabled = false;
+            
+            if (previousStatus === 'loading') {
+                if (data.status === 'ready') {
+                    this.showToast(`Model loaded: ${name}`, 'success');
+                } else if (data.status === 'error') {
+                    this.showToast(`Failed to load ${name}: ${data.error}`, 'error');
+                }
+            }
+            
+            // Resolve pending model switches
+            const waiters = this.modelWaiters;
+            this.modelWaiters = [];
+            waiters.forEach(waiter => waiter(data));
+        }
+        
+        this.logger.debug('Model status:', data);
+    }
+    
+    handleDownloadProgress(data) {
+        switch (data.status) {
+            case 'completed':
+                this.showToast(`Model downloaded: ${data.file}`, 'success');
+                this.loadModels();
+                break;
+            case 'failed':
+            case 'cancelled':
+                this.showToast(`Download of ${data.file} ${data.status}: ${data.error}`, 'error');
+                break;
+            default:
+                this.logger.debug('Model download progress:', data);
+        }
+    }
+    
+    /**
+     * Wait until the server finishes loading a model
+     * @param {number} timeout - Maximum wait in milliseconds
+     * @returns {Promise<Object>} Final model status
+     */
+    waitForModel(timeout = 300000) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                clearInterval(poll);
+                this.modelWaiters = this.modelWaiters.filter(waiter => waiter !== done);
+                reject(new Error('Timed out waiting for model to load'));
+            }, timeout);
+            
+            // Without WebSocket there are no model_status events, poll instead
+            const poll = setInterval(async () => {
+                if (this.isConnected) return;
+                try {
+                    const response = await this.apiFetch('/api/models/active');
+                    const data = await response.json();
+                    if (data.status !== 'loading') {
+                        this.handleModelStatus(data);
+                    }
+                } catch (error) {
+                    this.logger.debug('Model status poll failed:', error);
+                }
+            }, 2000);
+            
+            const done = (status) => {
+                clearTimeout(timer);
+                clearInterval(poll);
+                if (status.status === 'ready') {
+                    resolve(status);
+                } else {
+                    reject(new Error(status.error || 'Model failed to load'));
+                }
+            };
+            
+            this.modelWaiters.push(done);
+        });
+    }
+    
+    /**
+     * Ask the server to load a model and wait until it is ready
+     * @param {string} modelPath - Model path as listed by /api/models
+     * @returns {Promise<boolean>} Whether a switch was needed
+     */
+    async activateModel(modelPath) {
+        if (!modelPath || !this.serverHealth) return false;
+        
+        const isActive = this.getModelName(modelPath) === this.getModelName(this.activeModel);
+        if (isActive && this.modelStatus === 'ready') return false;
+        
+        if (!isActive || this.modelStatus !== 'loading') {
+            const response = await this.apiFetch('/api/models/active', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ model: modelPath })
+            });
+            
+            const data = await response.json().catch(() => ({}));
+            
+            if (response.ok && response.status !== 202) {
+                this.activeModel = data.model;
+                this.modelStatus = data.status;
+                return false;
+            }
+            
+            if (response.status === 404) {
+                this.showToast(`${this.getModelName(modelPath)} is not available on the server, using ${this.getModelName(this.activeModel)}`, 'warning');
+                return false;
+            }
+            
+            if (!response.ok && response.status !== 409) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+        }
+        
+        this.modelStatus = 'loading';
+        this.showToast(`Loading model ${this.getModelName(modelPath)}...`, 'info');
+        await this.waitForModel();
+        
+        // A different switch may have finished first
+        if (this.getModelName(this.activeModel) !== this.getModelName(modelPath)) {
+            return this.activateModel(modelPath);
+        }
+        return true;
+    }
+    
     /**
      * UI Helpers
      */
@@ -1465,8 +3080,10 @@ class OpenChatMobile {
             this.messageInput.value = '';
             this.adjustTextareaHeight();
             this.messageInput.focus();
-            this.uploadedFile = null;
         }
+        
+        // Nothing references the pending files yet
+        [...this.pendingAttachments].forEach(attachment => this.removePendingAttachment(attachment.id));
     }
     
     adjustTextareaHeight() {
@@ -1488,7 +3105,13 @@ class OpenChatMobile {
         }
     }
     
-    updateConnectionStatus(status) {
+    /**
+     * Update the connection indicator. The dot reflects the llama-server
+     * state reported by the backend, the debug item the WebSocket state.
+     * @param {string} status - WebSocket state (defaults to the last known one)
+     */
+    updateConnectionStatus(status = this.wsState) {
+        this.wsState = status;
         if (!this.statusDot || !this.statusText || !this.wsStatus) return;
         
         const statusMap = {
@@ -1497,11 +3120,20 @@ class OpenChatMobile {
             disconnected: { text: 'Disconnected', class: 'disconnected' }
         };
         
-        const info = statusMap[status] || statusMap.disconnected;
+        const llamaStatusMap = {
+            starting: { text: 'Starting LLaMA', class: 'connecting' },
+            loading: { text: 'Loading model', class: 'connecting' },
+            stopping: { text: 'Switching model', class: 'connecting' },
+            stopped: { text: 'LLaMA stopped', class: 'disconnected' },
+            crashed: { text: 'LLaMA crashed, restarting', class: 'disconnected' }
+        };
+        
+        const wsInfo = statusMap[status] || statusMap.disconnected;
+        const info = llamaStatusMap[this.llamaState] || wsInfo;
         
         this.statusDot.className = 'status-dot ' + info.class;
         this.statusText.textContent = info.text;
-        this.wsStatus.textContent = `WS: ${info.text}`;
+        this.wsStatus.textContent = `WS: ${wsInfo.text}`;
     }
     
     updateTokenCount() {
@@ -1516,6 +3148,37 @@ class OpenChatMobile {
         }, 0);
         
         this.tokenCount.textContent = `Tokens: ${totalTokens}`;
+        this.updateContextMeter();
+    }
+    
+    /**
+     * Show how much of the context the last prompt used, as counted by the server
+     */
+    updateContextMeter() {
+        if (!this.contextMeter) return;
+        
+        const context = this.chats.get(this.currentChatId)?.context;
+        const fill = this.contextMeter.querySelector('.context-meter-fill');
+        const label = this.contextMeter.querySelector('.context-meter-label');
+        
+        if (!context?.budget) {
+            fill.style.width = '0';
+            label.textContent = '–';
+            this.contextMeter.classList.remove('warning', 'full');
+            this.contextMeter.title = 'Context usage is reported after the next message';
+            return;
+        }
+        
+        const ratio = Math.min(1, context.promptTokens / context.budget);
+        const omitted = this.chats.get(this.currentChatId).messages.filter(msg => msg.omitted).length;
+        
+        fill.style.width = `${Math.round(ratio * 100)}%`;
+        label.textContent = `${Math.round(ratio * 100)}%`;
+        this.contextMeter.classList.toggle('warning', ratio >= 0.75 && ratio < 0.95 && omitted === 0);
+        this.contextMeter.classList.toggle('full', ratio >= 0.95 || omitted > 0);
+        this.contextMeter.title = `Prompt: ${context.promptTokens} of ${context.budget} tokens `
+            + `(${context.contextSize} context, policy ${context.policy})`
+            + (omitted > 0 ? `, ${omitted} message(s) left out` : '');
     }
     
     showToast(message, type = 'info') {
@@ -1577,6 +3240,10 @@ class OpenChatMobile {
     }
     
     saveCurrentState() {
+        // Conservar la respuesta en curso si se recarga la página
+        if (this.isGenerating && this.typingMessageId) {
+            this.commitStreamContent(this.typingMessageId, true);
+        }
         this.saveChats();
         this.saveSettings();
         this.logger.info('Application state saved');
@@ -1597,7 +3264,10 @@ class OpenChatMobile {
             let content = `# ${chat.title}\n\n`;
             content += `**Exported:** ${new Date().toLocaleString()}\n`;
             content += `**Model:** ${chat.settings.model || 'Default'}\n`;
-            content += `**Temperature:** ${chat.settings.temperature || 0.7}\n`;
+            content += `**Temperature:** ${chat.settings.temperature ?? 0.7}\n`;
+            if (chat.settings.sampling?.preset) {
+                content += `**Sampling Preset:** ${chat.settings.sampling.preset}\n`;
+            }
             content += `**Max Tokens:** ${chat.settings.maxTokens || 200}\n`;
             content += `**System Prompt:** ${chat.settings.systemPrompt || 'Default'}\n\n`;
             content += '---\n\n';
@@ -1701,6 +3371,8 @@ class OpenChatMobile {
             // Trigger new generation with the last user message
             const lastUserMessage = chat.messages[chat.messages.length - 1];
             if (lastUserMessage && lastUserMessage.role === 'user') {
+                // sendMessage() adds the user turn again
+                chat.messages.pop();
                 this.messageInput.value = lastUserMessage.content;
                 this.sendMessage();
             }
@@ -1771,10 +3443,12 @@ class OpenChatMobile {
             chatCount: this.chats.size,
             isGenerating: this.isGenerating,
             isConnected: this.isConnected,
+            llamaState: this.llamaState,
+            activeModel: this.activeModel,
             websocketState: this.ws?.readyState,
             serverHealth: this.serverHealth,
             serverConfig: this.serverConfig,
-            uploadedFile: this.uploadedFile,
+            pendingAttachments: this.pendingAttachments,
             reconnectAttempts: this.reconnectAttempts,
             pendingTokens: this.pendingTokens.size,
             accumulatedContent: this.accumulatedContent.size
@@ -1789,6 +3463,9 @@ class OpenChatMobile {
         if (this.renderTimeout) {
             clearTimeout(this.renderTimeout);
         }
+        if (this.healthPollInterval) {
+            clearInterval(this.healthPollInterval);
+        }
         
         // Cerrar WebSocket
         if (this.ws) {
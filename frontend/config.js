@@ -11,10 +11,11 @@ const CONFIG = {
     
     // API Configuration
     API_BASE_URL: window.location.origin,
+    // WebSocket upgrades are served by the same HTTP server, so this works
+    // behind reverse proxies, tunnels and adb port forwarding
     WS_BASE_URL: (() => {
         const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        const port = parseInt(window.location.port) + 1 || 8081;
-        return `${protocol}//${window.location.hostname}:${port}`;
+        return `${protocol}//${window.location.host}/ws`;
     })(),
     
     // Timeout Configuration (in milliseconds)
@@ -33,7 +34,8 @@ const CONFIG = {
         MAX_CHATS_DISPLAYED: 20,            // Maximum chats to display in sidebar
         AUTO_SCROLL_DELAY: 100,             // Delay for auto-scroll (ms)
         DEBOUNCE_DELAY: 300,                // Debounce delay for input events
-        ANIMATION_DURATION: 300             // Animation duration (ms)
+        ANIMATION_DURATION: 300,            // Animation duration (ms)
+        TOOL_EXCERPT_LENGTH: 240            // Characters of each search_history result
     },
     
     // Model Configuration
@@ -58,8 +60,10 @@ const CONFIG = {
             'image/gif',
             'image/webp'
         ],
-        CHUNK_SIZE: 1024 * 1024, // 1MB chunks
-        MAX_PREVIEW_LENGTH: 1000 // Maximum preview characters
+        MAX_FILES_PER_MESSAGE: 5,
+        CHUNK_SIZE: 1000, // Characters per passage when a large document is searched
+        MAX_PREVIEW_LENGTH: 1000, // Maximum preview characters
+        THUMBNAIL_SIZE: 256 // Longest side of image previews, in pixels
     },
     
     // Storage Configuration
@@ -87,6 +91,13 @@ const CONFIG = {
             showTimestamps: true,
             compactMode: false
         },
+        // Built-in sampling presets, unset samplers keep llama-server's defaults
+        SAMPLING_PRESETS: {
+            Balanced: { temperature: 0.7 },
+            Precise: { temperature: 0.2, topK: 20, topP: 0.8, minP: 0.05, repeatPenalty: 1.1 },
+            Creative: { temperature: 1.1, topP: 0.95, minP: 0.05, presencePenalty: 0.4, frequencyPenalty: 0.2 },
+            Deterministic: { temperature: 0, topK: 1, seed: 42 }
+        },
         THEME: 'light', // 'light' or 'dark'
         LANGUAGE: 'en'
     },
@@ -127,7 +138,24 @@ const CONFIG = {
         GENERATION_FAILED: 'Failed to generate response. Please try again.',
         UPLOAD_FAILED: 'File upload failed. Please try again.',
         EXPORT_FAILED: 'Failed to export chat. Please try again.',
-        IMPORT_FAILED: 'Failed to import chat. Please check the file format.'
+        IMPORT_FAILED: 'Failed to import chat. Please check the file format.',
+        
+        // Structured errors returned by the server (keyed by `code`)
+        RATE_LIMITED: 'Too many requests. Please wait a moment and try again.',
+        PROMPT_TOO_LONG: 'The conversation is too long for the server. Start a new chat or shorten your message.',
+        MAX_TOKENS_EXCEEDED: 'Max Tokens is above the server limit. Lower it in Settings.',
+        INVALID_MAX_TOKENS: 'Max Tokens must be a whole number of at least 1.',
+        TOO_MANY_CLIENTS: 'Too many devices are connected to the server. Please try again later.',
+        PAYLOAD_TOO_LARGE: 'Request is too large for the server.',
+        UNSUPPORTED_FILE_TYPE: 'File type not supported. Upload PDF, HTML, Markdown, CSV, JSON, text or image files.',
+        EMPTY_FILE: 'The file is empty.',
+        NO_TEXT: 'No text could be extracted from this file.',
+        TOO_MANY_DOCUMENTS: 'This chat has too many documents. Delete some or start a new chat.',
+        VISION_NOT_SUPPORTED: 'The loaded model can\'t read images. Switch to a vision model that has an mmproj projector next to it.',
+        QUEUE_FULL: 'Server is busy. Please try again in a moment.',
+        QUEUE_TIMEOUT: 'Server is busy. Timed out waiting for the model.',
+        MODEL_LOADING: 'The model is still loading. Please wait.',
+        CONTEXT_OVERFLOW: 'The message does not fit in the model context. Shorten it, unpin messages or lower Max Tokens.'
     },
     
     // Success Messages
@@ -208,29 +236,29 @@ const FALLBACK_MODELS = [
     {
         name: 'Llama 3.2 1B Instruct',
         path: './../models/Llama-3.2-1B-Instruct-Q4_K_M.gguf',
-        size: 629145600, // 600MB in bytes
-        sizeMB: 600,
+        size: 807694464,
+        sizeMB: 770,
         description: 'Lightweight model for fast responses',
-        contextSize: 4096,
-        tags: ['lightweight', 'fast', 'general']
+        contextSize: 131072, // llama.context_length
+        tags: ['llama', '1.2B', 'Q4_K_M', 'llama3']
     },
     {
         name: 'Llama 3.2 3B Instruct',
         path: './../models/Llama-3.2-3B-Instruct-Q4_K_M.gguf',
-        size: 1887436800, // 1.8GB in bytes
-        sizeMB: 1800,
+        size: 2019377696,
+        sizeMB: 1926,
         description: 'Balanced model for better quality',
-        contextSize: 8192,
-        tags: ['balanced', 'quality', 'general']
+        contextSize: 131072,
+        tags: ['llama', '3.2B', 'Q4_K_M', 'llama3']
     },
     {
         name: 'Mistral 7B Instruct',
         path: './../models/mistral-7b-instruct-v0.2.Q4_K_M.gguf',
-        size: 4294967296, // 4GB in bytes
-        sizeMB: 4000,
+        size: 4368439584,
+        sizeMB: 4166,
         description: 'High quality model for complex tasks',
-        contextSize: 8192,
-        tags: ['high-quality', 'complex-tasks', 'advanced']
+        contextSize: 32768,
+        tags: ['llama', '7.2B', 'Q4_K_M', 'mistral']
     }
 ];
 